@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import { once } from "events";
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import '../global.js';
+
+import { logMessage, closeLogs, createCorrelationId, runWithCorrelationId } from "../logger/logger.js";
+import { Db, DEFAULT_PORTAL_ID } from "../services/db.js";
+import { BitrixError } from "../services/bitrix.js";
+import { Migrator, formatMigrationId } from "../services/migrator.js";
+import { PortalsService, isValidPortalId } from "../services/portals.js";
+import { AuthService } from "../services/auth.js";
+import { CurrencyService, MissingRateError, getDefaultCurrency } from "../services/currency.js";
+import { createPortalSyncService } from "../services/sync.js";
+import { SyncScheduler, SYNC_JOB_KINDS } from "../services/scheduler.js";
+import { createExportConverter, iterateProductRows, writeCsv, writeXlsx, EXPORT_FORMATS } from "../services/export.js";
+import { parseProductRowsFilters, parseTargetCurrency } from "../services/filters.js";
+import { calculateProductsPriceStats, calculateProductsPriceHistory, DEFAULT_PERCENTILES, GRANULARITIES } from "../services/stats.js";
+
+/**
+ * Every command prints one JSON object to stdout: {"status": true, "command", "data"} on success and
+ * {"status": false, "command", "message", "exit_code"} on failure, so scripts can rely on both the output and the exit code.
+ */
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    PORTAL_NOT_FOUND: 3,
+    BITRIX_ERROR: 4,
+    MISSING_RATES: 5,
+    SYNC_IN_PROGRESS: 6
+};
+
+const USAGE = `Usage: node bin/cli.js <command> [options]
+
+Commands:
+  init --webhook <url> [--portal <id>] [--name <name>] [--application-token <token>]
+      Registers a portal or replaces its webhook.
+  sync deals [--portal <id>] [--full]
+  sync productrows [--portal <id>] [--full]
+      Copies deals or their product rows from Bitrix, since the last sync unless --full is given.
+      The sync is recorded in the sync runs like the ones of the server and skipped while another one is running.
+  sync catalog [--portal <id>]
+      Replaces the local product catalog with the products and sections from Bitrix.
+  stats [--portal <id>] [--product <id>...] [--granularity <${GRANULARITIES.join("|")}>] [--percentiles <p,p,...>] [--currency <code>] [filters]
+      Price statistics per product, or the price history by period with --granularity,
+      in --currency or the default currency.
+  export [--portal <id>] [--format <${EXPORT_FORMATS.join("|")}>] [--output <file>] [--currency <code>] [filters]
+      Writes the deals with their product rows to a file, deals_<portal>_<date>.<format> by default,
+      with prices in --currency or the default currency.
+  db <migrate|status|rollback>
+      Applies the pending migrations, lists the migrations or reverts the last one.
+
+Filters: --from <YYYY-MM-DD> --to <YYYY-MM-DD> --deal <id>... --product <id>... --product-name <text>
+
+Exit codes: 0 success, 1 error, 2 invalid command or options, 3 portal not registered,
+            4 Bitrix request failed, 5 exchange rates missing for --currency, 6 another sync is running`;
+
+const FILTER_OPTIONS = {
+    "from": { type: "string" },
+    "to": { type: "string" },
+    "deal": { type: "string", multiple: true },
+    "product": { type: "string", multiple: true },
+    "product-name": { type: "string" }
+};
+
+const COMMAND_OPTIONS = {
+    "init": {
+        "webhook": { type: "string" },
+        "portal": { type: "string" },
+        "name": { type: "string" },
+        "application-token": { type: "string" }
+    },
+    "sync": {
+        "portal": { type: "string" },
+        "full": { type: "boolean" }
+    },
+    "stats": {
+        ...FILTER_OPTIONS,
+        "portal": { type: "string" },
+        "granularity": { type: "string" },
+        "percentiles": { type: "string" },
+        "currency": { type: "string" }
+    },
+    "export": {
+        ...FILTER_OPTIONS,
+        "portal": { type: "string" },
+        "format": { type: "string" },
+        "output": { type: "string" },
+        "currency": { type: "string" }
+    },
+    "db": {}
+};
+
+/**
+ * An error in the command line. Exits with EXIT_CODES.USAGE.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+/**
+ * An error with its own exit code, e.g. an unregistered portal.
+ */
+class CommandError extends Error {
+    constructor(message, exitCode) {
+        super(message);
+        this.name = "CommandError";
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * @param {Array<string>|undefined} values - Ids given on the command line.
+ * @param {string} option - The option name for the error message.
+ * @returns {Array<number>|undefined} The ids as numbers.
+ * @throws {UsageError} If an id is not an integer.
+ */
+function parseIds(values, option) {
+    if (!values) {
+        return undefined;
+    }
+    if (values.some(value => !/^\d+$/.test(value))) {
+        throw new UsageError(`--${option} must be an integer id`);
+    }
+    return values.map(Number);
+}
+
+/**
+ * Builds the Db filters of the stats and export commands from the filter options.
+ *
+ * @throws {UsageError} If a filter is invalid.
+ */
+function parseFilterOptions(options) {
+    const { filters, error } = parseProductRowsFilters({
+        date_from: options.from,
+        date_to: options.to,
+        deal_ids: parseIds(options.deal, "deal"),
+        product_ids: parseIds(options.product, "product"),
+        product_name: options["product-name"]
+    });
+    if (error) {
+        throw new UsageError(error);
+    }
+    return filters;
+}
+
+/**
+ * The services a command works with, created once per run.
+ */
+function createContext() {
+    const db = new Db();
+    return {
+        db: db,
+        portalsService: new PortalsService(db),
+        authService: new AuthService(db),
+        currencyService: new CurrencyService(db),
+        migrator: new Migrator(db)
+    };
+}
+
+/**
+ * Prepares the database the way the server does at startup.
+ */
+async function prepareDatabase(context) {
+    await context.migrator.migrate();
+    await context.portalsService.importLegacyWebhook();
+}
+
+/**
+ * @returns {Promise<string>} The id of the --portal option or the default portal.
+ * @throws {CommandError} If the portal is not registered.
+ */
+async function resolvePortal(context, options) {
+    const portalId = options.portal || DEFAULT_PORTAL_ID;
+    if (!(isValidPortalId(portalId) && await context.portalsService.get(portalId))) {
+        throw new CommandError(`Portal ${portalId} is not registered`, EXIT_CODES.PORTAL_NOT_FOUND);
+    }
+    return portalId;
+}
+
+async function runInit(context, options) {
+    if (!options.webhook) {
+        throw new UsageError("--webhook is required");
+    }
+    const portalId = options.portal || DEFAULT_PORTAL_ID;
+    if (!isValidPortalId(portalId)) {
+        throw new UsageError("--portal may only contain latin letters, digits, \"-\" and \"_\"");
+    }
+
+    await context.portalsService.register(portalId, options.webhook, options.name);
+    if (options["application-token"] !== undefined) {
+        await context.authService.setApplicationToken(portalId, options["application-token"]);
+    }
+    logMessage(LOG_TYPES.A, "cli init", `Portal ${portalId} initialized`);
+    return context.portalsService.get(portalId);
+}
+
+async function runSync(context, options, [target]) {
+    if (![SYNC_JOB_KINDS.DEALS, SYNC_JOB_KINDS.PRODUCT_ROWS, SYNC_JOB_KINDS.CATALOG].includes(target)) {
+        throw new UsageError("sync needs a target: deals, productrows or catalog");
+    }
+    const portalId = await resolvePortal(context, options);
+    const scheduler = new SyncScheduler(context.db, id => createPortalSyncService(context.db, context.portalsService, id));
+
+    const outcome = await scheduler.runNow("cli", { kind: target, full: Boolean(options.full), portalId: portalId });
+    if (!outcome) {
+        throw new CommandError("Another sync is running, try again when it has finished", EXIT_CODES.SYNC_IN_PROGRESS);
+    }
+    const { run, error } = outcome;
+    if (error) {
+        throw error;
+    }
+
+    logMessage(LOG_TYPES.A, `cli sync ${target}`, `Sync run ${run.id} of portal ${portalId} finished`);
+    if (target === SYNC_JOB_KINDS.CATALOG) {
+        return { portal: portalId, run_id: run.id, products: run.rows_processed };
+    }
+    if (target === SYNC_JOB_KINDS.DEALS) {
+        return { portal: portalId, run_id: run.id, deals: run.deals_processed };
+    }
+    return { portal: portalId, run_id: run.id, deals: run.deals_processed, rows: run.rows_processed };
+}
+
+async function runStats(context, options) {
+    const portalId = await resolvePortal(context, options);
+    const filters = parseFilterOptions(options);
+    const { currency: requestedCurrency, error } = parseTargetCurrency({ currency: options.currency });
+    if (error) {
+        throw new UsageError(error);
+    }
+    const currency = requestedCurrency || getDefaultCurrency();
+
+    if (options.granularity !== undefined) {
+        if (!GRANULARITIES.includes(options.granularity)) {
+            throw new UsageError(`--granularity must be one of: ${GRANULARITIES.join(", ")}`);
+        }
+        if (!filters.productIds) {
+            throw new UsageError("--product is required with --granularity");
+        }
+        const rows = await context.currencyService.convertRows(await context.db.getProductRowsWithDealDate(portalId, filters), currency);
+        return { portal: portalId, granularity: options.granularity, currency: currency, history: calculateProductsPriceHistory(rows, options.granularity) };
+    }
+
+    const percentiles = options.percentiles !== undefined ? options.percentiles.split(",").map(Number) : DEFAULT_PERCENTILES;
+    if (percentiles.some(p => isNaN(p) || p < 0 || p > 100)) {
+        throw new UsageError("--percentiles must be a comma separated list of numbers between 0 and 100");
+    }
+    const rows = await context.currencyService.convertRows(await context.db.getProductRowsWithDealDate(portalId, filters), currency);
+    const stats = calculateProductsPriceStats(rows, percentiles);
+    return { portal: portalId, currency: currency, total: stats.length, stats: stats };
+}
+
+async function runExport(context, options) {
+    const portalId = await resolvePortal(context, options);
+    const filters = parseFilterOptions(options);
+    const format = options.format || "csv";
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new UsageError(`--format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+    }
+    const { currency, error } = parseTargetCurrency({ currency: options.currency });
+    if (error) {
+        throw new UsageError(error);
+    }
+    const converter = await createExportConverter(context.db, context.currencyService, portalId, filters, currency || getDefaultCurrency());
+
+    const file = path.resolve(options.output || `deals_${portalId}_${new Date().toISOString().substring(0, 10)}.${format}`);
+    const stream = fs.createWriteStream(file);
+    const rows = iterateProductRows(context.db, portalId, filters, converter);
+    try {
+        const count = format === "csv" ? await writeCsv(stream, rows) : await writeXlsx(stream, rows);
+        if (!stream.writableFinished) {
+            await once(stream, "finish");  // writeCsv and writeXlsx end the stream
+        }
+
+        logMessage(LOG_TYPES.A, "cli export", `${count} productrow(s) of portal ${portalId} exported as ${format} in ${converter.target} to ${file}`);
+        return { portal: portalId, format: format, currency: converter.target, file: file, rows: count };
+    } catch (error) {
+        stream.destroy();
+        fs.rmSync(file, { force: true });
+        throw error;
+    }
+}
+
+async function runDb(context, options, [action]) {
+    switch (action) {
+        case "migrate": {
+            const applied = await context.migrator.migrate();
+            return { applied: applied.map(formatMigrationId) };
+        }
+        case "status": {
+            const migrations = await context.migrator.status();
+            return {
+                pending: migrations.filter(migration => !migration.applied).length,
+                migrations: migrations.map(migration => ({ id: formatMigrationId(migration), ...migration }))
+            };
+        }
+        case "rollback": {
+            const reverted = await context.migrator.rollback();
+            return { reverted: reverted ? formatMigrationId(reverted) : null };
+        }
+        default:
+            throw new UsageError("db needs an action: migrate, status or rollback");
+    }
+}
+
+const COMMANDS = {
+    "init": runInit,
+    "sync": runSync,
+    "stats": runStats,
+    "export": runExport,
+    "db": runDb
+};
+
+/**
+ * @returns {number} The exit code for the error.
+ */
+function getExitCode(error) {
+    if (error instanceof UsageError || String(error.code).startsWith("ERR_PARSE_ARGS")) {
+        return EXIT_CODES.USAGE;
+    }
+    if (error instanceof CommandError) {
+        return error.exitCode;
+    }
+    if (error instanceof BitrixError) {
+        return EXIT_CODES.BITRIX_ERROR;
+    }
+    if (error instanceof MissingRateError) {
+        return EXIT_CODES.MISSING_RATES;
+    }
+    return EXIT_CODES.ERROR;
+}
+
+function print(result) {
+    process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+}
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    if (!command || command === "help" || command === "--help") {
+        process.stderr.write(USAGE + "\n");
+        process.exitCode = command ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+        return;
+    }
+
+    let context = null;
+    let name = command;
+    try {
+        if (!COMMANDS[command]) {
+            throw new UsageError(`Unknown command ${command}`);
+        }
+        const { values, positionals } = parseArgs({ args: rest, options: COMMAND_OPTIONS[command], allowPositionals: true });
+        name = [command, ...positionals].join(" ");
+
+        context = createContext();
+        if (command !== "db") {
+            await prepareDatabase(context);
+        }
+        const data = await COMMANDS[command](context, values, positionals);
+        print({ status: true, command: name, data: data });
+    } catch (error) {
+        const exitCode = getExitCode(error);
+        if (exitCode === EXIT_CODES.ERROR) {
+            logMessage(LOG_TYPES.E, `cli ${name}`, error);
+        }
+        print({
+            status: false,
+            command: name,
+            message: error.message,
+            exit_code: exitCode,
+            ...(error instanceof MissingRateError ? { missing_rates: error.missing } : {}),
+            ...(error instanceof BitrixError ? { error_type: error.name, code: error.code } : {})
+        });
+        if (exitCode === EXIT_CODES.USAGE) {
+            process.stderr.write(USAGE + "\n");
+        }
+        process.exitCode = exitCode;
+    } finally {
+        if (context) {
+            await context.db.close();
+        }
+        await closeLogs();
+    }
+}
+
+dotenv.config({ path: path.join(process.cwd(), '.env') });
+
+runWithCorrelationId(createCorrelationId(), () => main(process.argv.slice(2)));
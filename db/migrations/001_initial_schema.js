@@ -0,0 +1,92 @@
+/**
+ * Tables of the portal scoped schema. Databases created before migrations were introduced
+ * already have some of them, so every table is created only if it does not exist yet.
+ */
+const TABLES = {
+    portals: `
+        CREATE TABLE IF NOT EXISTS portals (
+            id TEXT NOT NULL PRIMARY KEY,
+            name TEXT,
+            bx_link TEXT NOT NULL,
+            created_at DATETIME,
+            updated_at DATETIME
+        );
+    `,
+    deals: `
+        CREATE TABLE IF NOT EXISTS deals (
+            portal_id TEXT NOT NULL,
+            id INTEGER NOT NULL,
+            title TEXT,
+            category_id INTEGER,
+            price_type INTEGER,
+            date_create DATE,
+            PRIMARY KEY (portal_id, id)
+        );
+    `,
+    deals_products: `
+        CREATE TABLE IF NOT EXISTS deals_products (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            portal_id TEXT NOT NULL,
+            deal_id INTEGER,
+            product_id INTEGER,
+            product_name TEXT,
+            price FLOAT,
+            discount FLOAT,
+            FOREIGN KEY (portal_id, deal_id) REFERENCES deals(portal_id, id),
+            UNIQUE (portal_id, deal_id, product_id)
+        );
+    `,
+    sync_runs: `
+        CREATE TABLE IF NOT EXISTS sync_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            portal_id TEXT NOT NULL,
+            trigger TEXT,
+            status TEXT,
+            started_at DATETIME,
+            finished_at DATETIME,
+            deals_processed INTEGER,
+            rows_processed INTEGER,
+            error TEXT
+        );
+    `,
+    selection_rules: `
+        CREATE TABLE IF NOT EXISTS selection_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            portal_id TEXT NOT NULL,
+            category_id INTEGER NOT NULL,
+            price_type TEXT,
+            active INTEGER NOT NULL DEFAULT 1,
+            created_at DATETIME
+        );
+    `,
+    settings: `
+        CREATE TABLE IF NOT EXISTS settings (
+            portal_id TEXT NOT NULL,
+            key TEXT NOT NULL,
+            value TEXT,
+            updated_at DATETIME,
+            PRIMARY KEY (portal_id, key)
+        );
+    `,
+    sync_state: `
+        CREATE TABLE IF NOT EXISTS sync_state (
+            portal_id TEXT NOT NULL,
+            key TEXT NOT NULL,
+            value TEXT,
+            updated_at DATETIME,
+            PRIMARY KEY (portal_id, key)
+        );
+    `
+};
+
+/**
+ * There is no `down`: on a database created before migrations the tables existed before `up`
+ * and hold its data, so this migration cannot tell which tables are its own to drop.
+ */
+async function up(tx) {
+    for (const sql of Object.values(TABLES)) {
+        await tx.run(sql);
+    }
+}
+
+export { up, TABLES };
@@ -0,0 +1,136 @@
+import { TABLES } from "./001_initial_schema.js";
+
+const DEFAULT_PORTAL_ID = "default";
+
+/**
+ * Tables that got portal_id in their primary or unique key and have to be rebuilt.
+ */
+const REBUILT_TABLES = ["deals", "deals_products", "settings", "sync_state"];
+
+/**
+ * Tables that only got a portal_id column.
+ */
+const ALTERED_TABLES = ["selection_rules", "sync_runs"];
+
+/**
+ * The rebuilt tables as they were before multi-portal support, restored by `down`.
+ */
+const LEGACY_TABLES = {
+    deals: `
+        CREATE TABLE deals_old (
+            id INTEGER NOT NULL PRIMARY KEY,
+            title TEXT,
+            category_id INTEGER,
+            price_type INTEGER,
+            date_create DATE
+        );
+    `,
+    deals_products: `
+        CREATE TABLE deals_products_old (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            deal_id INTEGER,
+            product_id INTEGER,
+            product_name TEXT,
+            price FLOAT,
+            discount FLOAT,
+            FOREIGN KEY (deal_id) REFERENCES deals(id),
+            UNIQUE (deal_id, product_id)
+        );
+    `,
+    settings: `
+        CREATE TABLE settings_old (
+            key TEXT NOT NULL PRIMARY KEY,
+            value TEXT,
+            updated_at DATETIME
+        );
+    `,
+    sync_state: `
+        CREATE TABLE sync_state_old (
+            key TEXT NOT NULL PRIMARY KEY,
+            value TEXT,
+            updated_at DATETIME
+        );
+    `
+};
+
+async function getColumns(tx, tableName) {
+    const rows = await tx.all(`PRAGMA table_info(${tableName})`);
+    return rows.map(row => row.name);
+}
+
+/**
+ * Moves a database created before multi-portal support to the portal scoped schema.
+ * Existing data is assigned to the "default" portal. Does nothing if deals already has a portal_id column.
+ */
+async function up(tx) {
+    const dealsColumns = await getColumns(tx, "deals");
+    if (dealsColumns.includes("portal_id")) {
+        return;
+    }
+
+    const rebuilt = [];
+    for (const tableName of REBUILT_TABLES) {
+        const columns = await getColumns(tx, tableName);
+        if (columns.includes("portal_id")) {
+            continue;
+        }
+        const fields = columns.join(", ");
+        await tx.run(TABLES[tableName].replace(`IF NOT EXISTS ${tableName} (`, `${tableName}_new (`));
+        await tx.run(`INSERT INTO ${tableName}_new (portal_id, ${fields}) SELECT '${DEFAULT_PORTAL_ID}', ${fields} FROM ${tableName}`);
+        rebuilt.push(tableName);
+    }
+    for (const tableName of [...rebuilt].reverse()) {
+        await tx.run(`DROP TABLE ${tableName}`);
+    }
+    for (const tableName of rebuilt) {
+        await tx.run(`ALTER TABLE ${tableName}_new RENAME TO ${tableName}`);
+    }
+
+    for (const tableName of ALTERED_TABLES) {
+        if (!(await getColumns(tx, tableName)).includes("portal_id")) {
+            await tx.run(`ALTER TABLE ${tableName} ADD COLUMN portal_id TEXT NOT NULL DEFAULT '${DEFAULT_PORTAL_ID}'`);
+        }
+    }
+
+    if (rebuilt.includes("sync_state")) {
+        // Scheduler settings are instance wide, see SyncScheduler
+        await tx.run("UPDATE sync_state SET portal_id = '*' WHERE key LIKE 'scheduler_%'");
+    }
+}
+
+/**
+ * Moves the database back to the single portal schema, keeping the data of the "default" portal
+ * and the instance wide scheduler settings.
+ * Refuses to run while other portals have data, since their rows would collide with the default portal's.
+ */
+async function down(tx) {
+    for (const tableName of [...REBUILT_TABLES, ...ALTERED_TABLES]) {
+        const rows = await tx.all(
+            `SELECT DISTINCT portal_id FROM ${tableName} WHERE portal_id NOT IN ('${DEFAULT_PORTAL_ID}', '*')`
+        );
+        if (rows.length > 0) {
+            throw new Error(
+                `Table ${tableName} has data of portals other than "${DEFAULT_PORTAL_ID}" (${rows.map(row => row.portal_id).join(", ")}), ` +
+                "remove these portals before rolling back"
+            );
+        }
+    }
+
+    for (const tableName of ALTERED_TABLES) {
+        await tx.run(`ALTER TABLE ${tableName} DROP COLUMN portal_id`);
+    }
+
+    for (const tableName of REBUILT_TABLES) {
+        const fields = (await getColumns(tx, tableName)).filter(column => column !== "portal_id").join(", ");
+        await tx.run(LEGACY_TABLES[tableName]);
+        await tx.run(`INSERT INTO ${tableName}_old (${fields}) SELECT ${fields} FROM ${tableName}`);
+    }
+    for (const tableName of [...REBUILT_TABLES].reverse()) {
+        await tx.run(`DROP TABLE ${tableName}`);
+    }
+    for (const tableName of REBUILT_TABLES) {
+        await tx.run(`ALTER TABLE ${tableName}_old RENAME TO ${tableName}`);
+    }
+}
+
+export { up, down };
@@ -0,0 +1,67 @@
+/**
+ * Adds the Bitrix row id, quantity, net and final prices, discount rate and type, tax and measure
+ * to deals_products. Rows are now identified by their Bitrix row id instead of the product id,
+ * so a deal can hold the same product twice, e.g. at different prices.
+ * Rows synced before this migration keep NULL in the new columns until their deal is synced again.
+ */
+
+const DETAIL_TABLE = `
+    CREATE TABLE deals_products_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        portal_id TEXT NOT NULL,
+        deal_id INTEGER,
+        row_id INTEGER,
+        product_id INTEGER,
+        product_name TEXT,
+        price FLOAT,
+        price_netto FLOAT,
+        price_final FLOAT,
+        quantity FLOAT,
+        discount FLOAT,
+        discount_rate FLOAT,
+        discount_type_id INTEGER,
+        tax_rate FLOAT,
+        tax_included INTEGER,
+        measure_name TEXT,
+        FOREIGN KEY (portal_id, deal_id) REFERENCES deals(portal_id, id),
+        UNIQUE (portal_id, row_id)
+    );
+`;
+
+const SUMMARY_TABLE = `
+    CREATE TABLE deals_products_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        portal_id TEXT NOT NULL,
+        deal_id INTEGER,
+        product_id INTEGER,
+        product_name TEXT,
+        price FLOAT,
+        discount FLOAT,
+        FOREIGN KEY (portal_id, deal_id) REFERENCES deals(portal_id, id),
+        UNIQUE (portal_id, deal_id, product_id)
+    );
+`;
+
+const SUMMARY_FIELDS = "id, portal_id, deal_id, product_id, product_name, price, discount";
+
+async function rebuild(tx, schema, insert) {
+    await tx.run(schema);
+    await tx.run(insert);
+    await tx.run("DROP TABLE deals_products");
+    await tx.run("ALTER TABLE deals_products_new RENAME TO deals_products");
+}
+
+async function up(tx) {
+    await rebuild(tx, DETAIL_TABLE, `INSERT INTO deals_products_new (${SUMMARY_FIELDS}) SELECT ${SUMMARY_FIELDS} FROM deals_products`);
+    await tx.run("CREATE INDEX IF NOT EXISTS deals_products_deal ON deals_products (portal_id, deal_id)");
+}
+
+/**
+ * Drops the detail columns. Rows of the same product in one deal are merged into one, the last one wins.
+ */
+async function down(tx) {
+    await tx.run("DROP INDEX IF EXISTS deals_products_deal");
+    await rebuild(tx, SUMMARY_TABLE, `INSERT OR REPLACE INTO deals_products_new (${SUMMARY_FIELDS}) SELECT ${SUMMARY_FIELDS} FROM deals_products ORDER BY id`);
+}
+
+export { up, down };
@@ -0,0 +1,26 @@
+/**
+ * Stores the currency of every deal and adds the exchange_rates table with dated rates between two currencies.
+ * A rate is in effect from its rate_date until the next rate of the same pair.
+ */
+
+async function up(tx) {
+    await tx.run("ALTER TABLE deals ADD COLUMN currency_id TEXT");
+    await tx.run(`
+        CREATE TABLE exchange_rates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            from_currency TEXT NOT NULL,
+            to_currency TEXT NOT NULL,
+            rate FLOAT NOT NULL,
+            rate_date DATE NOT NULL,
+            updated_at DATETIME,
+            UNIQUE (from_currency, to_currency, rate_date)
+        );
+    `);
+}
+
+async function down(tx) {
+    await tx.run("DROP TABLE exchange_rates");
+    await tx.run("ALTER TABLE deals DROP COLUMN currency_id");
+}
+
+export { up, down };
@@ -0,0 +1,36 @@
+/**
+ * Adds the price_anomalies table with product rows whose price or discount deviated from the product's history
+ * when their deal was added. An anomaly is open until it is acknowledged or dismissed.
+ */
+
+async function up(tx) {
+    await tx.run(`
+        CREATE TABLE price_anomalies (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            portal_id TEXT NOT NULL,
+            deal_id INTEGER NOT NULL,
+            row_id INTEGER NOT NULL,
+            product_id INTEGER,
+            product_name TEXT,
+            field TEXT NOT NULL,
+            value FLOAT NOT NULL,
+            expected FLOAT NOT NULL,
+            deviation FLOAT,
+            z_score FLOAT,
+            sample_size INTEGER NOT NULL,
+            currency_id TEXT,
+            status TEXT NOT NULL DEFAULT 'open',
+            detected_at DATETIME NOT NULL,
+            resolved_at DATETIME,
+            comment TEXT,
+            UNIQUE (portal_id, row_id, field)
+        );
+    `);
+    await tx.run("CREATE INDEX price_anomalies_status ON price_anomalies (portal_id, status)");
+}
+
+async function down(tx) {
+    await tx.run("DROP TABLE price_anomalies");
+}
+
+export { up, down };
@@ -0,0 +1,25 @@
+/**
+ * Adds the writeback_log table with every write to Bitrix made after a deal was added, dry runs included.
+ */
+
+async function up(tx) {
+    await tx.run(`
+        CREATE TABLE writeback_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            portal_id TEXT NOT NULL,
+            deal_id INTEGER NOT NULL,
+            method TEXT NOT NULL,
+            params TEXT NOT NULL,
+            status TEXT NOT NULL,
+            error TEXT,
+            created_at DATETIME NOT NULL
+        );
+    `);
+    await tx.run("CREATE INDEX writeback_log_deal ON writeback_log (portal_id, deal_id)");
+}
+
+async function down(tx) {
+    await tx.run("DROP TABLE writeback_log");
+}
+
+export { up, down };
@@ -0,0 +1,27 @@
+/**
+ * Adds the api_keys table and the application_token_hash column of portals.
+ * Keys and tokens are stored as SHA-256 hashes only, the plain key is shown once when it is created.
+ */
+
+async function up(tx) {
+    await tx.run(`
+        CREATE TABLE api_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            role TEXT NOT NULL,
+            key_prefix TEXT NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            created_at DATETIME NOT NULL,
+            last_used_at DATETIME,
+            revoked_at DATETIME
+        );
+    `);
+    await tx.run("ALTER TABLE portals ADD COLUMN application_token_hash TEXT");
+}
+
+async function down(tx) {
+    await tx.run("DROP TABLE api_keys");
+    await tx.run("ALTER TABLE portals DROP COLUMN application_token_hash");
+}
+
+export { up, down };
@@ -0,0 +1,29 @@
+/**
+ * Adds the backlogs table with the deals and product rows posted to write_backlog/, which wrote them to files
+ * in logger/backlogs before.
+ */
+
+async function up(tx) {
+    await tx.run(`
+        CREATE TABLE backlogs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            portal_id TEXT NOT NULL,
+            deals INTEGER NOT NULL,
+            productrows INTEGER NOT NULL,
+            rejected INTEGER NOT NULL,
+            errors TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            created_by TEXT,
+            created_at DATETIME NOT NULL,
+            replayed_at DATETIME,
+            replay_report TEXT
+        );
+    `);
+    await tx.run("CREATE INDEX backlogs_portal ON backlogs (portal_id, created_at)");
+}
+
+async function down(tx) {
+    await tx.run("DROP TABLE backlogs");
+}
+
+export { up, down };
@@ -0,0 +1,27 @@
+/**
+ * Turns sync_runs into a persisted job queue: a run now records what it syncs (deals, productrows or all),
+ * whether it is a full sync, when it was queued, its progress as JSON and whether it was asked to be cancelled.
+ * Runs left pending or running by earlier versions are closed, so they are not picked up as queued jobs.
+ */
+
+async function up(tx) {
+    await tx.run("ALTER TABLE sync_runs ADD COLUMN kind TEXT NOT NULL DEFAULT 'all'");
+    await tx.run("ALTER TABLE sync_runs ADD COLUMN full INTEGER NOT NULL DEFAULT 0");
+    await tx.run("ALTER TABLE sync_runs ADD COLUMN created_at DATETIME");
+    await tx.run("ALTER TABLE sync_runs ADD COLUMN progress TEXT");
+    await tx.run("ALTER TABLE sync_runs ADD COLUMN cancel_requested INTEGER NOT NULL DEFAULT 0");
+    await tx.run("UPDATE sync_runs SET created_at = started_at");
+    await tx.run(
+        "UPDATE sync_runs SET status = 'error', error = 'Interrupted by a restart' WHERE status IN ('pending', 'running')"
+    );
+    await tx.run("CREATE INDEX sync_runs_status ON sync_runs (status)");
+}
+
+async function down(tx) {
+    await tx.run("DROP INDEX sync_runs_status");
+    for (const column of ["kind", "full", "created_at", "progress", "cancel_requested"]) {
+        await tx.run(`ALTER TABLE sync_runs DROP COLUMN ${column}`);
+    }
+}
+
+export { up, down };
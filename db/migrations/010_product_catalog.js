@@ -0,0 +1,41 @@
+/**
+ * Adds the products and product_sections tables with the Bitrix product catalog of every portal.
+ * price is the base catalog price in currency_id. The catalog is replaced as a whole on every catalog sync.
+ */
+
+async function up(tx) {
+    await tx.run(`
+        CREATE TABLE product_sections (
+            portal_id TEXT NOT NULL,
+            id INTEGER NOT NULL,
+            name TEXT,
+            parent_id INTEGER,
+            catalog_id INTEGER,
+            synced_at DATETIME NOT NULL,
+            PRIMARY KEY (portal_id, id)
+        );
+    `);
+    await tx.run(`
+        CREATE TABLE products (
+            portal_id TEXT NOT NULL,
+            id INTEGER NOT NULL,
+            name TEXT,
+            section_id INTEGER,
+            catalog_id INTEGER,
+            price FLOAT,
+            currency_id TEXT,
+            vat_included INTEGER,
+            active INTEGER,
+            synced_at DATETIME NOT NULL,
+            PRIMARY KEY (portal_id, id)
+        );
+    `);
+    await tx.run("CREATE INDEX products_section ON products (portal_id, section_id)");
+}
+
+async function down(tx) {
+    await tx.run("DROP TABLE products");
+    await tx.run("DROP TABLE product_sections");
+}
+
+export { up, down };
@@ -0,0 +1,19 @@
+/**
+ * Records which process executes a sync run: the host and pid of the owner and the last time it reported
+ * that the run is still alive. A restarted server only requeues the running runs whose owner is gone,
+ * not the ones a command line sync of another process is still executing.
+ */
+
+async function up(tx) {
+    await tx.run("ALTER TABLE sync_runs ADD COLUMN owner_host TEXT");
+    await tx.run("ALTER TABLE sync_runs ADD COLUMN owner_pid INTEGER");
+    await tx.run("ALTER TABLE sync_runs ADD COLUMN heartbeat_at DATETIME");
+}
+
+async function down(tx) {
+    for (const column of ["owner_host", "owner_pid", "heartbeat_at"]) {
+        await tx.run(`ALTER TABLE sync_runs DROP COLUMN ${column}`);
+    }
+}
+
+export { up, down };
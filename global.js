@@ -1,7 +1,9 @@
 globalThis.LOG_TYPES = {
     'E': "error",
+    'W': "warn",
     'A': "access",
-    'I': "info"
+    'I': "info",
+    'D': "debug"
 }
 
 globalThis.RESPONSES = {
@@ -3,15 +3,54 @@ import bodyParser from "body-parser";
 import cors from "cors";
 import dotenv from "dotenv";
 import path from "path";
-import timeout from "connect-timeout";
 import './global.js';
-import fs from "fs";
 
 
-import { logMessage, writeDataToJsonFile } from "./logger/logger.js";
-import {Db} from "./services/db.js";
-import {decryptText, encryptText, generateCryptoKeyAndIV} from "./services/crypto.js";
-import { DealsService } from "./services/deals.js";
+import {
+    logMessage,
+    queryLogs,
+    createCorrelationId,
+    runWithCorrelationId,
+    LOG_LEVELS
+} from "./logger/logger.js";
+import {Db, DEFAULT_PORTAL_ID, DEALS_SORT_FIELDS} from "./services/db.js";
+import { BitrixError, BitrixRateLimitError } from "./services/bitrix.js";
+import { Migrator } from "./services/migrator.js";
+import { PortalsService, isValidPortalId } from "./services/portals.js";
+import { createPortalSyncService, SYNC_KEYS } from "./services/sync.js";
+import { SyncScheduler, SYNC_JOB_KINDS, validateCron } from "./services/scheduler.js";
+import { loadSelection, validateRule, isValidFieldName, SETTINGS_KEYS } from "./services/selection.js";
+import { createExportConverter, iterateProductRows, writeCsv, writeXlsx, EXPORT_FORMATS } from "./services/export.js";
+import {
+    CurrencyService,
+    MissingRateError,
+    isValidCurrency,
+    validateRate,
+    parseRatesCsv,
+    getDefaultCurrency
+} from "./services/currency.js";
+import { isValidDate, parseProductRowsFilters, parseTargetCurrency } from "./services/filters.js";
+import {
+    AnomalyService,
+    validateAnomalySettings,
+    ANOMALY_STATUSES,
+    ANOMALY_TRANSITIONS
+} from "./services/anomalies.js";
+import { WritebackService, validateWritebackSettings, WRITEBACK_STATUSES } from "./services/writeback.js";
+import { BacklogService } from "./services/backlog.js";
+import { calculateCatalogPriceComparison, convertCatalogRows } from "./services/catalog.js";
+import { HealthService } from "./services/health.js";
+import { metrics, collectMetrics } from "./services/metrics.js";
+import { AuthService, getRequestApiKey, getEventApplicationToken, hasRole, API_KEY_ROLES, DEFAULT_CAPTURE_MINUTES } from "./services/auth.js";
+import { recommendBasket, validateBasket, RECOMMENDATION_METHODS, DEFAULT_RECOMMENDATION_DAYS } from "./services/pricing.js";
+import {
+    calculateProductsPriceStats,
+    calculateProductsPriceHistory,
+    getLineTotal,
+    round,
+    DEFAULT_PERCENTILES,
+    GRANULARITIES
+} from "./services/stats.js";
 
 const envPath = path.join(process.cwd(), '.env');
 dotenv.config({ path: envPath });
@@ -22,143 +61,1233 @@ const PORT = 4560;
 const BASE_URL = "/dh_price_counter/"
 
 const db = new Db();
-db.createTables();
+const portalsService = new PortalsService(db);
+const currencyService = new CurrencyService(db);
+const anomalyService = new AnomalyService(db);
+const writebackService = new WritebackService(db);
+const authService = new AuthService(db);
+const backlogService = new BacklogService(db);
+const migrator = new Migrator(db);
+const healthService = new HealthService(db, migrator);
+const dbReady = migrator.migrate()
+    .then(() => portalsService.importLegacyWebhook())
+    .then(() => warnAboutMissingApplicationTokens())
+    .catch(error => logMessage(LOG_TYPES.E, "Db initialization", error));
 
+/**
+ * Event calls of portals without an application token are rejected, which silently stops the deal handlers
+ * of portals registered before event calls were verified. The warning names the steps to fix it.
+ */
+async function warnAboutMissingApplicationTokens() {
+    const portalIds = await authService.getPortalsWithoutApplicationToken();
+    if (portalIds.length > 0) {
+        logMessage(LOG_TYPES.W, "Db initialization",
+            `Bitrix events of portal(s) ${portalIds.join(", ")} are rejected until their application token is set: ` +
+            `call ${BASE_URL}set_application_token/ with the token of the outbound webhook, ` +
+            `or ${BASE_URL}capture_application_token/ and then edit a deal in Bitrix to store the token of the next event`);
+    }
+}
+
+function createSyncService(portalId) {
+    return createPortalSyncService(db, portalsService, portalId);
+}
+
+const scheduler = new SyncScheduler(db, createSyncService);
+
+/**
+ * Runs every request with a correlation id, so all entries it logs, down to Db and Bitrix calls, can be found together.
+ * The id is taken from the X-Request-Id header of a proxy in front of the service or generated, and returned in X-Request-Id.
+ */
+function correlate(req, res, next) {
+    const requestId = req.get("x-request-id");
+    const correlationId = requestId && /^[\w.-]{1,128}$/.test(requestId) ? requestId : createCorrelationId();
+    const startedAt = Date.now();
+    res.setHeader("X-Request-Id", correlationId);
+    runWithCorrelationId(correlationId, () => {
+        res.on("finish", () => logMessage(LOG_TYPES.D, req.path, `${req.method} ${req.path} answered ${res.statusCode} in ${Date.now() - startedAt} ms`));
+        next();
+    });
+}
+
+/**
+ * Counts the requests and their latency per route pattern, e.g. /dh_price_counter/init/, for /metrics.
+ * Requests that matched no route are counted as "unmatched", so scans of random URLs do not add series.
+ */
+function measure(req, res, next) {
+    const startedAt = Date.now();
+    res.on("finish", () => {
+        const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+        metrics.increment("http_requests_total", { method: req.method, route: route, status: res.statusCode });
+        metrics.observe("http_request_duration_seconds", { method: req.method, route: route }, (Date.now() - startedAt) / 1000);
+    });
+    next();
+}
+
+app.use(correlate);
+app.use(measure);
+
+// CORS_ORIGINS in .env is a comma separated list of the origins allowed to call the API from a browser
 app.use(cors({
-    origin: "*",
+    origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(",").map(origin => origin.trim()) : "*",
 }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: false }));
-app.use(timeout('20m'));
 
-function haltOnTimedOut(req, res, next) {
-    if (!req.timedout) next();
+/**
+ * Resolves the portal a request is made for from the "portal" query or body parameter
+ * and stores it in req.portal. Requests without the parameter go to the default portal.
+ */
+async function resolvePortal(req, res, next) {
+    try {
+        const portalId = req.query["portal"] || req.body.portal || DEFAULT_PORTAL_ID;
+        const portal = isValidPortalId(portalId) ? await portalsService.get(portalId) : null;
+        if (!portal) {
+            res.status(404).json({"status": false, "status_msg": "error", "message": `Portal ${portalId} is not registered`});
+            return;
+        }
+        req.portal = portal;
+        next();
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "resolvePortal", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+}
+
+/**
+ * Logs a request rejected by requireRole or verifyEvent.
+ */
+function logRejected(req, reason) {
+    logMessage(LOG_TYPES.A, req.path, `Rejected ${req.method} ${req.path} from ${req.ip}: ${reason}`);
+}
+
+/**
+ * Builds the middleware letting through requests with an API key of the given role, sent as
+ * "Authorization: Bearer <key>" or "X-API-Key: <key>". The key is stored in req.apiKey.
+ *
+ * @param {string} role - One of API_KEY_ROLES. Admin keys pass every role.
+ */
+function requireRole(role) {
+    return async (req, res, next) => {
+        try {
+            const key = await authService.verifyKey(getRequestApiKey(req));
+            if (!key) {
+                logRejected(req, getRequestApiKey(req) ? "unknown or revoked API key" : "no API key");
+                res.status(401).json({"status": false, "status_msg": "error", "message": "A valid API key is required"});
+                return;
+            }
+            if (!hasRole(key.role, role)) {
+                logRejected(req, `API key ${key.id} (${key.name}) has role ${key.role}, ${role} is required`);
+                res.status(403).json({"status": false, "status_msg": "error", "message": `This route requires an API key with the ${role} role`});
+                return;
+            }
+            req.apiKey = key;
+            next();
+        } catch (error) {
+            logMessage(LOG_TYPES.E, "requireRole", error);
+            res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+        }
+    };
+}
+
+/**
+ * Lets through Bitrix event calls carrying the application token of the portal in auth[application_token],
+ * and calls made with an admin API key. Runs after resolvePortal.
+ */
+async function verifyEvent(req, res, next) {
+    try {
+        const key = await authService.verifyKey(getRequestApiKey(req));
+        if (key && hasRole(key.role, "admin")) {
+            req.apiKey = key;
+            next();
+            return;
+        }
+
+        const reason = await authService.verifyApplicationToken(req.portal.id, getEventApplicationToken(req));
+        if (reason) {
+            logRejected(req, reason);
+            res.status(401).json({"status": false, "status_msg": "error", "message": "The event could not be verified"});
+            return;
+        }
+        next();
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "verifyEvent", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+}
+
+/**
+ * Extracts the deal id from a Bitrix event call (ONCRMDEALADD, ONCRMDEALUPDATE, ONCRMDEALDELETE).
+ */
+function getEventDealId(req) {
+    return req.query["ID"] || req.body["data[FIELDS][ID]"];
+}
+
+/**
+ * Answers 422 with the missing rates when a conversion failed and 500 on any other error.
+ */
+function sendConversionError(res, source, error) {
+    if (error instanceof MissingRateError) {
+        res.status(422).json({"status": false, "status_msg": "error", "message": error.message, "missing_rates": error.missing});
+        return;
+    }
+    logMessage(LOG_TYPES.E, source, error);
+    res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+}
+
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        return decoded && Number.isInteger(decoded.id) ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Logs an error of a route that talks to Bitrix and answers with 502, or 503 if the portal kept rejecting
+ * requests over its rate limit, so callers can tell a portal failure from a failure of this service.
+ */
+function sendSyncError(res, source, error) {
+    logMessage(LOG_TYPES.E, source, error);
+    if (error instanceof BitrixError) {
+        res.status(error instanceof BitrixRateLimitError ? 503 : 502).json({
+            "status": false,
+            "status_msg": "error",
+            "message": error.message,
+            "error_type": error.name,
+            "code": error.code
+        });
+        return;
+    }
+    res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+}
+
+app.post(BASE_URL+"get_deals_with_productrows/", requireRole("data"), resolvePortal, async (req ,res) => {
+    try {
+        const { filters, error: filtersError } = parseProductRowsFilters(req.body);
+        if (filtersError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": filtersError});
+            return;
+        }
+
+        const sort = req.body.sort || "id";
+        const order = req.body.order || "asc";
+        const limit = req.body.limit === undefined ? 100 : Number(req.body.limit);
+        const offset = req.body.offset === undefined ? 0 : Number(req.body.offset);
+        const after = req.body.cursor ? decodeCursor(req.body.cursor) : null;
+        if (!DEALS_SORT_FIELDS.includes(sort) || !["asc", "desc"].includes(order)) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": `sort must be one of: ${DEALS_SORT_FIELDS.join(", ")}; order must be asc or desc`});
+            return;
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000 || !Number.isInteger(offset) || offset < 0) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "limit must be between 1 and 1000, offset must be a non-negative integer"});
+            return;
+        }
+        if (req.body.cursor && !after) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "Invalid cursor"});
+            return;
+        }
+        const { currency, error: currencyError } = parseTargetCurrency(req.body);
+        if (currencyError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": currencyError});
+            return;
+        }
+
+        const { total, deals } = await db.getDealsWithProductRows(req.portal.id, filters, { sort, order, limit, offset, after });
+        const pageDeals = currency ? (await currencyService.createConverter(currency)).convertDeals(deals) : deals;
+
+        const data = pageDeals.map(deal => {
+            const dps = deal.productrows.map(dp => {
+                return {
+                    row_id: dp.row_id,
+                    product_id: dp.product_id,
+                    product_name: dp.product_name,
+                    price: dp.price,
+                    price_netto: dp.price_netto,
+                    price_final: dp.price_final,
+                    quantity: dp.quantity,
+                    measure_name: dp.measure_name,
+                    discount: dp.discount,
+                    discount_rate: dp.discount_rate,
+                    discount_type_id: dp.discount_type_id,
+                    tax_rate: dp.tax_rate,
+                    tax_included: dp.tax_included === null ? null : Boolean(dp.tax_included),
+                    line_total: round(getLineTotal(dp))
+                }
+            });
+            const amount = round(dps.reduce((sum, dp) => sum + dp.line_total, 0));
+            return {
+                deal_id: deal.id,
+                date_create: deal.date_create,
+                deal_title: deal.title,
+                currency_id: deal.currency_id || getDefaultCurrency(),
+                original_currency_id: deal.original_currency_id,
+                amount: amount,
+                productrows: dps
+            };
+        });
+        const last = deals[deals.length - 1];
+        const nextCursor = deals.length === limit ? encodeCursor({ value: last[sort], id: last.id }) : null;
+
+        res.status(200).json({
+            "status": true,
+            "status_msg": "success",
+            "total": total,
+            "limit": limit,
+            "offset": after ? null : offset,
+            "next_cursor": nextCursor,
+            "currency": currency,
+            "data": data
+        });
+    } catch (error) {
+        sendConversionError(res, "/get_deals_with_productrows/", error);
+    }
+})
+
+app.post(BASE_URL+"get_products_price_stats/", requireRole("data"), resolvePortal, async (req, res) => {
+    try {
+        const { filters, error: filtersError } = parseProductRowsFilters(req.body);
+        const { currency: requestedCurrency, error: currencyError } = parseTargetCurrency(req.body);
+        const percentiles = req.body.percentiles || DEFAULT_PERCENTILES;
+
+        if (filtersError || currencyError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": filtersError || currencyError});
+            return;
+        }
+        if (!Array.isArray(percentiles) || percentiles.some(p => typeof p !== "number" || p < 0 || p > 100)) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "percentiles must be an array of numbers between 0 and 100"});
+            return;
+        }
+
+        // Prices of deals in other currencies are converted, so the statistics never mix currencies
+        const currency = requestedCurrency || getDefaultCurrency();
+        const rows = await currencyService.convertRows(await db.getProductRowsWithDealDate(req.portal.id, filters), currency);
+        const stats = calculateProductsPriceStats(rows, percentiles);
+
+        res.status(200).json({"status": true, "status_msg": "success", "total": stats.length, "currency": currency, "data": stats});
+    } catch (error) {
+        sendConversionError(res, "/get_products_price_stats/", error);
+    }
+})
+
+app.post(BASE_URL+"get_products_price_history/", requireRole("data"), resolvePortal, async (req, res) => {
+    try {
+        const product_id = req.body.product_id;
+        const granularity = req.body.granularity || "day";
+        const productIds = req.body.product_ids || (product_id ? [product_id] : null);
+        const { filters, error: filtersError } = parseProductRowsFilters({ ...req.body, product_ids: productIds });
+        const { currency: requestedCurrency, error: currencyError } = parseTargetCurrency(req.body);
+
+        if (!Array.isArray(productIds) || productIds.length === 0) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "product_id or product_ids must be provided"});
+            return;
+        }
+        if (!GRANULARITIES.includes(granularity)) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": `granularity must be one of: ${GRANULARITIES.join(", ")}`});
+            return;
+        }
+        if (filtersError || currencyError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": filtersError || currencyError});
+            return;
+        }
+
+        const currency = requestedCurrency || getDefaultCurrency();
+        const rows = await currencyService.convertRows(await db.getProductRowsWithDealDate(req.portal.id, filters), currency);
+        const history = calculateProductsPriceHistory(rows, granularity);
+
+        res.status(200).json({"status": true, "status_msg": "success", "granularity": granularity, "currency": currency, "data": history});
+    } catch (error) {
+        sendConversionError(res, "/get_products_price_history/", error);
+    }
+})
+
+app.post(BASE_URL+"get_price_recommendation/", requireRole("data"), resolvePortal, async (req, res) => {
+    try {
+        const items = req.body.items;
+        const method = req.body.method || "recent_median";
+        const days = req.body.days === undefined ? DEFAULT_RECOMMENDATION_DAYS : Number(req.body.days);
+        const basketError = validateBasket(items);
+        if (basketError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": basketError});
+            return;
+        }
+        if (!RECOMMENDATION_METHODS.includes(method)) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": `method must be one of: ${RECOMMENDATION_METHODS.join(", ")}`});
+            return;
+        }
+        if (!Number.isInteger(days) || days < 1 || days > 3650) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "days must be an integer between 1 and 3650"});
+            return;
+        }
+        const { currency: requestedCurrency, error: currencyError } = parseTargetCurrency(req.body);
+        if (currencyError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": currencyError});
+            return;
+        }
+
+        // Prices of deals in other currencies are converted, so the history of a product is comparable
+        const currency = requestedCurrency || getDefaultCurrency();
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+        const filters = {
+            productIds: [...new Set(items.map(item => Number(item.product_id)))],
+            dateFrom: method === "last_price" ? undefined : since
+        };
+        const rows = await currencyService.convertRows(await db.getProductRowsWithDealDate(req.portal.id, filters), currency);
+        const { lines, total, complete } = recommendBasket(items, rows, method);
+
+        res.status(200).json({
+            "status": true,
+            "status_msg": "success",
+            "method": method,
+            "days": method === "last_price" ? null : days,
+            "currency": currency,
+            "total": total,
+            "complete": complete,
+            "data": lines
+        });
+    } catch (error) {
+        sendConversionError(res, "/get_price_recommendation/", error);
+    }
+})
+
+app.post(BASE_URL+"get_catalog_price_report/", requireRole("data"), resolvePortal, async (req, res) => {
+    try {
+        const { filters, error: filtersError } = parseProductRowsFilters(req.body);
+        const { currency: requestedCurrency, error: currencyError } = parseTargetCurrency(req.body);
+        if (filtersError || currencyError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": filtersError || currencyError});
+            return;
+        }
+
+        // Sold and catalog prices are compared in one currency, catalog prices are converted on the deal date
+        const currency = requestedCurrency || getDefaultCurrency();
+        const converter = await currencyService.createConverter(currency);
+        const rows = convertCatalogRows(await db.getProductRowsWithCatalogPrice(req.portal.id, filters), converter);
+        const { products, sections, not_in_catalog } = calculateCatalogPriceComparison(rows);
+        const [catalogSync] = await db.getByFilter("sync_state", { portal_id: req.portal.id, key: SYNC_KEYS.CATALOG });
+
+        res.status(200).json({
+            "status": true,
+            "status_msg": "success",
+            "currency": currency,
+            "catalog_synced_at": catalogSync ? catalogSync.value : null,
+            "data": { "products": products, "sections": sections, "not_in_catalog": not_in_catalog }
+        });
+    } catch (error) {
+        sendConversionError(res, "/get_catalog_price_report/", error);
+    }
+})
+
+app.post(BASE_URL+"export_deals_with_productrows/", requireRole("data"), resolvePortal, async (req, res) => {
+    try {
+        const { filters, error: filtersError } = parseProductRowsFilters(req.body);
+        const { currency: requestedCurrency, error: currencyError } = parseTargetCurrency(req.body);
+        const format = req.body.format || "csv";
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": `format must be one of: ${EXPORT_FORMATS.join(", ")}`});
+            return;
+        }
+        if (filtersError || currencyError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": filtersError || currencyError});
+            return;
+        }
+
+        let converter;
+        try {
+            converter = await createExportConverter(db, currencyService, req.portal.id, filters, requestedCurrency || getDefaultCurrency());
+        } catch (error) {
+            sendConversionError(res, "/export_deals_with_productrows/", error);
+            return;
+        }
+
+        const fileName = `deals_${req.portal.id}_${new Date().toISOString().substring(0, 10)}.${format}`;
+        res.status(200);
+        res.setHeader("Content-Type", format === "csv"
+            ? "text/csv; charset=utf-8"
+            : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+        res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+        const rows = iterateProductRows(db, req.portal.id, filters, converter);
+        const count = format === "csv" ? await writeCsv(res, rows) : await writeXlsx(res, rows);
+
+        logMessage(LOG_TYPES.A, BASE_URL+"export_deals_with_productrows/", `${count} productrow(s) exported as ${format} in ${converter.target}`);
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/export_deals_with_productrows/", error);
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+        }
+    }
+})
+
+app.post(BASE_URL+"add_deal_handler/", resolvePortal, verifyEvent, async (req, res) => {
+    try {
+        const id = getEventDealId(req);
+        if (!id) {
+            logMessage(LOG_TYPES.E,BASE_URL+"add_deal_handler", "No deal id provided");
+            res.status(400).json({"status": false, "status_msg": "error", "message": "No deal id provided"});
+            return;
+        }
+
+        const syncService = await createSyncService(req.portal.id);
+        const { deal, stored } = await syncService.syncDeal(id);
+        if (!stored) {
+            logMessage(LOG_TYPES.A, BASE_URL+"add_deal_handler/", `Deal ${deal.id} does not match the selection, not stored`);
+            res.status(200).json({"status": true, "status_msg": "success", "message": "Сделка не подходит под правила отбора и не записана в бд", "stored": false, "deal": deal})
+            return;
+        }
+
+        // The deal is stored already, a failed check or write-back must not turn the event into an error
+        let anomalies = null;
+        try {
+            anomalies = await anomalyService.checkDeal(req.portal.id, deal.id);
+        } catch (error) {
+            logMessage(LOG_TYPES.E, "/add_deal_handler/", `Price anomaly check of deal ${deal.id} failed: ${error.message}`);
+        }
+        let writeback = null;
+        try {
+            writeback = await writebackService.writeDeal(req.portal.id, syncService.dealsService, deal.id, anomalies);
+        } catch (error) {
+            logMessage(LOG_TYPES.E, "/add_deal_handler/", `Write-back of deal ${deal.id} failed: ${error.message}`);
+        }
+
+        logMessage(LOG_TYPES.A, BASE_URL+"add_deal_handler/", `Deal ${deal.id} and it's productrows successfully added to db`);
+        res.status(200).json({"status": true, "status_msg": "success", "message": "Сделки успешно записаны в бд", "stored": true, "deal": deal, "anomalies": anomalies, "writeback": writeback})
+    } catch (error) {
+        sendSyncError(res, "/add_deal_handler/", error);
+    }
+})
+
+app.post(BASE_URL+"update_deal_handler/", resolvePortal, verifyEvent, async (req, res) => {
+    try {
+        const id = getEventDealId(req);
+        if (!id) {
+            logMessage(LOG_TYPES.E, BASE_URL+"update_deal_handler/", "No deal id provided");
+            res.status(400).json({"status": false, "status_msg": "error", "message": "No deal id provided"});
+            return;
+        }
+
+        const syncService = await createSyncService(req.portal.id);
+        const { deal, stored, rows } = await syncService.syncDeal(id);
+
+        const message = stored
+            ? `Deal ${deal.id} updated, ${rows.inserted} productrow(s) written, ${rows.deleted} replaced`
+            : `Deal ${deal.id} no longer matches the selection, removed with ${rows.deleted} productrow(s)`;
+        logMessage(LOG_TYPES.A, BASE_URL+"update_deal_handler/", message);
+        res.status(200).json({"status": true, "status_msg": "success", "message": message, "stored": stored, "deal": deal})
+    } catch (error) {
+        sendSyncError(res, "/update_deal_handler/", error);
+    }
+})
+
+app.post(BASE_URL+"delete_deal_handler/", resolvePortal, verifyEvent, async (req, res) => {
+    try {
+        const id = getEventDealId(req);
+        if (!id) {
+            logMessage(LOG_TYPES.E, BASE_URL+"delete_deal_handler/", "No deal id provided");
+            res.status(400).json({"status": false, "status_msg": "error", "message": "No deal id provided"});
+            return;
+        }
+
+        const removed = await db.deleteDealWithProductRows(req.portal.id, id);
+
+        logMessage(LOG_TYPES.A, BASE_URL+"delete_deal_handler/", `Deal ${id} removed with ${removed.rows} productrow(s)`);
+        res.status(200).json({"status": true, "status_msg": "success", "message": "Сделка удалена из бд", "removed": removed})
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/delete_deal_handler/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"get_deals_from_bx_insert_in_db/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const [jobId] = await scheduler.enqueue("api", { kind: SYNC_JOB_KINDS.DEALS, full: Boolean(req.body.full), portalId: req.portal.id });
+
+        logMessage(LOG_TYPES.A, BASE_URL+"get_deals_from_bx_insert_in_db/", `Deals sync job ${jobId} queued`);
+        res.status(202).json({"status": true, "status_msg": "success", "message": "Синхронизация сделок поставлена в очередь", "job_id": jobId});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_deals_from_bx_insert_in_db/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"get_deals_product_rows_from_bx_insert_in_db/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const [jobId] = await scheduler.enqueue("api", { kind: SYNC_JOB_KINDS.PRODUCT_ROWS, full: Boolean(req.body.full), portalId: req.portal.id });
+
+        logMessage(LOG_TYPES.A, BASE_URL+"get_deals_product_rows_from_bx_insert_in_db/", `Productrows sync job ${jobId} queued`);
+        res.status(202).json({"status": true, "status_msg": "success", "message": "Синхронизация товарных позиций поставлена в очередь", "job_id": jobId});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_deals_product_rows_from_bx_insert_in_db/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"sync_catalog/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const [jobId] = await scheduler.enqueue("api", { kind: SYNC_JOB_KINDS.CATALOG, portalId: req.portal.id });
+
+        logMessage(LOG_TYPES.A, BASE_URL+"sync_catalog/", `Catalog sync job ${jobId} queued`);
+        res.status(202).json({"status": true, "status_msg": "success", "message": "Синхронизация каталога товаров поставлена в очередь", "job_id": jobId});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/sync_catalog/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"get_sync_job/", requireRole("data"), resolvePortal, async (req, res) => {
+    try {
+        const jobId = Number(req.body.job_id);
+        if (!Number.isInteger(jobId) || jobId <= 0) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "job_id must be a positive integer"});
+            return;
+        }
+
+        const job = await db.getSyncRun(req.portal.id, jobId);
+        if (!job) {
+            res.status(404).json({"status": false, "status_msg": "error", "message": `Sync job ${jobId} not found`});
+            return;
+        }
+
+        res.status(200).json({"status": true, "status_msg": "success", "data": job});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_sync_job/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"cancel_sync_job/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const jobId = Number(req.body.job_id);
+        if (!Number.isInteger(jobId) || jobId <= 0) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "job_id must be a positive integer"});
+            return;
+        }
+
+        const job = await db.getSyncRun(req.portal.id, jobId);
+        if (!job) {
+            res.status(404).json({"status": false, "status_msg": "error", "message": `Sync job ${jobId} not found`});
+            return;
+        }
+        if (!await scheduler.cancel(jobId)) {
+            res.status(409).json({"status": false, "status_msg": "error", "message": `Sync job ${jobId} has already finished with status ${job.status}`});
+            return;
+        }
+
+        // A running job stops at its next step, until then it is reported as running with cancel_requested set
+        const cancelled = await db.getSyncRun(req.portal.id, jobId);
+        logMessage(LOG_TYPES.A, BASE_URL+"cancel_sync_job/", `Sync job ${jobId} ${cancelled.status === "cancelled" ? "cancelled" : "asked to cancel"}`);
+        res.status(200).json({
+            "status": true,
+            "status_msg": "success",
+            "message": cancelled.status === "cancelled" ? "Синхронизация отменена" : "Синхронизация будет отменена",
+            "data": cancelled
+        });
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/cancel_sync_job/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"get_sync_runs/", requireRole("data"), resolvePortal, async (req, res) => {
+    try {
+        const limit = req.body.limit === undefined ? 50 : Number(req.body.limit);
+        const offset = req.body.offset === undefined ? 0 : Number(req.body.offset);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000 || !Number.isInteger(offset) || offset < 0) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "limit must be between 1 and 1000, offset must be a non-negative integer"});
+            return;
+        }
+        const runs = await db.getSyncRuns(req.portal.id, limit, offset);
+
+        res.status(200).json({"status": true, "status_msg": "success", "data": runs});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_sync_runs/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"run_sync/", requireRole("admin"), async (req, res) => {
+    try {
+        const portalId = req.body.portal;
+        if (portalId && !(isValidPortalId(portalId) && await portalsService.get(portalId))) {
+            res.status(404).json({"status": false, "status_msg": "error", "message": `Portal ${portalId} is not registered`});
+            return;
+        }
+
+        const runIds = await scheduler.trigger("manual", { full: Boolean(req.body.full), portalId: portalId });
+        if (runIds === null) {
+            res.status(409).json({"status": false, "status_msg": "error", "message": "Sync is already running", "schedule": scheduler.getStatus()});
+            return;
+        }
+
+        logMessage(LOG_TYPES.A, BASE_URL+"run_sync/", `Sync runs ${runIds.join(", ")} started`);
+        res.status(202).json({"status": true, "status_msg": "success", "message": "Синхронизация запущена", "run_ids": runIds});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/run_sync/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"get_sync_schedule/", requireRole("data"), async (req, res) => {
+    res.status(200).json({"status": true, "status_msg": "success", "data": scheduler.getStatus()});
+})
+
+app.post(BASE_URL+"set_sync_schedule/", requireRole("admin"), async (req, res) => {
+    try {
+        const cron = req.body.cron;
+        if (!cron || typeof cron !== "string") {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "cron must be provided"});
+            return;
+        }
+        const cronError = validateCron(cron);
+        if (cronError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": cronError});
+            return;
+        }
+
+        await scheduler.setCron(cron);
+
+        logMessage(LOG_TYPES.A, BASE_URL+"set_sync_schedule/", `Sync schedule set to "${cron}"`);
+        res.status(200).json({"status": true, "status_msg": "success", "data": scheduler.getStatus()});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/set_sync_schedule/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"pause_sync_schedule/", requireRole("admin"), async (req, res) => {
+    try {
+        await scheduler.pause();
+        logMessage(LOG_TYPES.A, BASE_URL+"pause_sync_schedule/", "Sync schedule paused");
+        res.status(200).json({"status": true, "status_msg": "success", "data": scheduler.getStatus()});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/pause_sync_schedule/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"resume_sync_schedule/", requireRole("admin"), async (req, res) => {
+    try {
+        await scheduler.resume();
+        logMessage(LOG_TYPES.A, BASE_URL+"resume_sync_schedule/", "Sync schedule resumed");
+        res.status(200).json({"status": true, "status_msg": "success", "data": scheduler.getStatus()});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/resume_sync_schedule/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"get_selection_rules/", requireRole("data"), resolvePortal, async (req, res) => {
+    try {
+        const rules = await db.getByFilter("selection_rules", { portal_id: req.portal.id });
+        const selection = await loadSelection(db, req.portal.id);
+
+        res.status(200).json({
+            "status": true,
+            "status_msg": "success",
+            "data": {
+                "rules": rules.map(rule => ({ ...rule, active: Boolean(rule.active) })),
+                "price_type_field": selection.priceTypeField,
+                "effective_rules": selection.rules
+            }
+        });
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_selection_rules/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"add_selection_rule/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const validationError = validateRule(req.body);
+        if (validationError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": validationError});
+            return;
+        }
+
+        const rule = {
+            portal_id: req.portal.id,
+            category_id: Number(req.body.category_id),
+            price_type: req.body.price_type === undefined || req.body.price_type === null ? null : String(req.body.price_type),
+            active: req.body.active === false ? 0 : 1,
+            created_at: new Date().toISOString()
+        };
+        const { lastID: id } = await db.insertInTable("selection_rules", rule);
+
+        logMessage(LOG_TYPES.A, BASE_URL+"add_selection_rule/", `Selection rule ${id} added`);
+        res.status(200).json({"status": true, "status_msg": "success", "data": { id: id, ...rule, active: Boolean(rule.active) }});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/add_selection_rule/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"update_selection_rule/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const id = req.body.id;
+        const existing = id ? await db.getByFilter("selection_rules", { portal_id: req.portal.id, id: id }) : [];
+        if (existing.length === 0) {
+            res.status(404).json({"status": false, "status_msg": "error", "message": "Selection rule not found"});
+            return;
+        }
+
+        const { portal, ...changes } = req.body;
+        const rule = { ...existing[0], active: Boolean(existing[0].active), ...changes };
+        const validationError = validateRule(rule);
+        if (validationError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": validationError});
+            return;
+        }
+
+        const updateFields = {
+            category_id: Number(rule.category_id),
+            price_type: rule.price_type === undefined || rule.price_type === null ? null : String(rule.price_type),
+            active: rule.active ? 1 : 0
+        };
+        const { changes: updated } = await db.updateTable("selection_rules", updateFields, { portal_id: req.portal.id, id: id });
+
+        logMessage(LOG_TYPES.A, BASE_URL+"update_selection_rule/", `Selection rule ${id} updated`);
+        res.status(200).json({"status": true, "status_msg": "success", "updated": updated, "data": { ...existing[0], ...updateFields, active: Boolean(updateFields.active) }});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/update_selection_rule/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"delete_selection_rule/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const id = req.body.id;
+        const existing = id ? await db.getByFilter("selection_rules", { portal_id: req.portal.id, id: id }) : [];
+        if (existing.length === 0) {
+            res.status(404).json({"status": false, "status_msg": "error", "message": "Selection rule not found"});
+            return;
+        }
+
+        const { changes: deleted } = await db.deleteFromTable("selection_rules", { portal_id: req.portal.id, id: id });
+
+        logMessage(LOG_TYPES.A, BASE_URL+"delete_selection_rule/", `Selection rule ${id} deleted`);
+        res.status(200).json({"status": true, "status_msg": "success", "message": "Правило удалено", "deleted": deleted});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/delete_selection_rule/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"set_price_type_field/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const field = req.body.field;
+        if (!isValidFieldName(field)) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "field must be a Bitrix field name, e.g. UF_CRM_1710140074001"});
+            return;
+        }
+
+        await db.insertInTable("settings", { portal_id: req.portal.id, key: SETTINGS_KEYS.PRICE_TYPE_FIELD, value: field, updated_at: new Date().toISOString() });
+
+        logMessage(LOG_TYPES.A, BASE_URL+"set_price_type_field/", `Price type field set to ${field}`);
+        res.status(200).json({"status": true, "status_msg": "success", "data": { "price_type_field": field }});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/set_price_type_field/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"get_price_anomalies/", requireRole("data"), resolvePortal, async (req, res) => {
+    try {
+        const { status, deal_id: dealId, product_id: productId } = req.body;
+        const limit = req.body.limit === undefined ? 100 : Number(req.body.limit);
+        const offset = req.body.offset === undefined ? 0 : Number(req.body.offset);
+        if (status !== undefined && !ANOMALY_STATUSES.includes(status)) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": `status must be one of: ${ANOMALY_STATUSES.join(", ")}`});
+            return;
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000 || !Number.isInteger(offset) || offset < 0) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "limit must be between 1 and 1000, offset must be a non-negative integer"});
+            return;
+        }
+
+        const { total, anomalies } = await anomalyService.list(req.portal.id, { status, dealId, productId }, limit, offset);
+        res.status(200).json({"status": true, "status_msg": "success", "total": total, "limit": limit, "offset": offset, "data": anomalies});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_price_anomalies/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+/**
+ * Builds the handler moving a price anomaly to the given status.
+ *
+ * @param {string} status - A key of ANOMALY_TRANSITIONS.
+ * @param {string} route - The route, used in log messages.
+ */
+function resolveAnomalyHandler(status, route) {
+    return async (req, res) => {
+        try {
+            const id = req.body.id;
+            const existing = id ? await anomalyService.get(req.portal.id, id) : null;
+            if (!existing) {
+                res.status(404).json({"status": false, "status_msg": "error", "message": "Price anomaly not found"});
+                return;
+            }
+            if (req.body.comment !== undefined && req.body.comment !== null && typeof req.body.comment !== "string") {
+                res.status(400).json({"status": false, "status_msg": "error", "message": "comment must be a string"});
+                return;
+            }
+
+            const { changes } = await anomalyService.resolve(req.portal.id, existing.id, status, req.body.comment || null);
+            if (changes === 0) {
+                res.status(409).json({"status": false, "status_msg": "error", "message": `Price anomaly is ${existing.status}, only ${ANOMALY_TRANSITIONS[status].join(" or ")} anomalies can be ${status}`});
+                return;
+            }
+
+            logMessage(LOG_TYPES.A, BASE_URL+route, `Price anomaly ${existing.id} ${status}`);
+            res.status(200).json({"status": true, "status_msg": "success", "data": await anomalyService.get(req.portal.id, existing.id)});
+        } catch (error) {
+            logMessage(LOG_TYPES.E, `/${route}`, error);
+            res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+        }
+    };
 }
 
-app.post(BASE_URL+"get_deals_with_productrows/", async (req ,res) => {
+app.post(BASE_URL+"acknowledge_price_anomaly/", requireRole("data"), resolvePortal, resolveAnomalyHandler("acknowledged", "acknowledge_price_anomaly/"))
+
+app.post(BASE_URL+"dismiss_price_anomaly/", requireRole("data"), resolvePortal, resolveAnomalyHandler("dismissed", "dismiss_price_anomaly/"))
+
+app.post(BASE_URL+"get_anomaly_settings/", requireRole("data"), resolvePortal, async (req, res) => {
+    try {
+        res.status(200).json({"status": true, "status_msg": "success", "data": await anomalyService.getSettings(req.portal.id)});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_anomaly_settings/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"set_anomaly_settings/", requireRole("admin"), resolvePortal, async (req, res) => {
     try {
-        const deals = await db.getAll("deals");
-        const deals_products = await db.getAll("deals_products");
+        const current = await anomalyService.getSettings(req.portal.id);
+        const settings = {
+            max_deviation: req.body.max_deviation === undefined ? current.max_deviation : req.body.max_deviation,
+            max_z_score: req.body.max_z_score === undefined ? current.max_z_score : req.body.max_z_score,
+            min_samples: req.body.min_samples === undefined ? current.min_samples : req.body.min_samples
+        };
+        const validationError = validateAnomalySettings(settings);
+        if (validationError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": validationError});
+            return;
+        }
 
-        const data = [];
-        deals.forEach(deal => {
-            const dps = deals_products.filter(dp => dp.deal_id === deal.id).map(dp => {
-                return {
-                    product_id: dp.product_id,
-                    product_name: dp.product_name,
-                    price: dp.price,
-                    discount: dp.discount
-                }
-            });
-            data.push({ deal_id: deal.id, date_create: deal.date_create, deal_title: deal.title, productrows: dps })
-        })
+        await anomalyService.saveSettings(req.portal.id, settings);
 
-        res.status(200).json({"status": true, "status_msg": "success", "message": "Сделки успешно записаны в бд", "data": data});
+        logMessage(LOG_TYPES.A, BASE_URL+"set_anomaly_settings/", `Anomaly settings set to ${JSON.stringify(settings)}`);
+        res.status(200).json({"status": true, "status_msg": "success", "data": settings});
     } catch (error) {
-        logMessage(LOG_TYPES.E, "/get_deals_with_productrows/", error);
+        logMessage(LOG_TYPES.E, "/set_anomaly_settings/", error);
         res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
     }
 })
 
-app.post(BASE_URL+"add_deal_handler/", async (req, res) => {
+app.post(BASE_URL+"get_writeback_settings/", requireRole("data"), resolvePortal, async (req, res) => {
     try {
-        let id = req.query["ID"];
-        if (!id) {
-            id = req.body["data[FIELDS][ID]"];
+        res.status(200).json({"status": true, "status_msg": "success", "data": await writebackService.getSettings(req.portal.id)});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_writeback_settings/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"set_writeback_settings/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const current = await writebackService.getSettings(req.portal.id);
+        const settings = {};
+        Object.keys(current).forEach(key => {
+            settings[key] = req.body[key] === undefined ? current[key] : req.body[key];
+        });
+        const validationError = validateWritebackSettings(settings);
+        if (validationError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": validationError});
+            return;
         }
-        if (!id) {
-            logMessage(LOG_TYPES.E,BASE_URL+"update_deal_handler", "No deal id provided");
-            res.status(400).json({"status": false, "status_msg": "error", "message": "No deal id provided"});
+
+        await writebackService.saveSettings(req.portal.id, settings);
+
+        logMessage(LOG_TYPES.A, BASE_URL+"set_writeback_settings/", `Write-back settings set to ${JSON.stringify(settings)}`);
+        res.status(200).json({"status": true, "status_msg": "success", "data": settings});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/set_writeback_settings/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"get_writeback_log/", requireRole("data"), resolvePortal, async (req, res) => {
+    try {
+        const { deal_id: dealId, status } = req.body;
+        const limit = req.body.limit === undefined ? 100 : Number(req.body.limit);
+        const offset = req.body.offset === undefined ? 0 : Number(req.body.offset);
+        if (status !== undefined && !WRITEBACK_STATUSES.includes(status)) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": `status must be one of: ${WRITEBACK_STATUSES.join(", ")}`});
+            return;
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000 || !Number.isInteger(offset) || offset < 0) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "limit must be between 1 and 1000, offset must be a non-negative integer"});
             return;
         }
 
-        const bxLinkDecrypted = await decryptText(process.env.BX_LINK, process.env.CRYPTO_KEY, process.env.CRYPTO_IV);
-        const dealsService = new DealsService(bxLinkDecrypted);
+        const { total, entries } = await writebackService.listLog(req.portal.id, { dealId, status }, limit, offset);
+        res.status(200).json({"status": true, "status_msg": "success", "total": total, "limit": limit, "offset": offset, "data": entries});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_writeback_log/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
 
-        const deal = await dealsService.getDealById(id);
-        if (Number(deal.category_id) !== 68 && Number(deal.price_type) !== 616) {
-            throw new Error(`Deal ${id} is not in categroy 68 or price type is not 616`)
+app.post(BASE_URL+"get_exchange_rates/", requireRole("data"), async (req, res) => {
+    try {
+        const { currency, date_from: dateFrom, date_to: dateTo } = req.body;
+        if (currency !== undefined && !isValidCurrency(currency)) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "currency must be a 3-letter currency code, e.g. USD"});
+            return;
+        }
+        if ((dateFrom && !isValidDate(dateFrom)) || (dateTo && !isValidDate(dateTo))) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "date_from and date_to must be valid dates"});
+            return;
         }
-        db.insertInTable("deals", deal);
-        const records = [];
-        const productrows = await dealsService.getDealProductRows(deal.id);
-        productrows.forEach(productrow => {
-            records.push({deal_id: deal.id, product_id: productrow["PRODUCT_ID"], product_name: productrow["PRODUCT_NAME"], price: productrow["PRICE_BRUTTO"], discount: productrow["DISCOUNT_SUM"]});
-        })
-        db.insertMultipleInTable("deal_products", records);
 
-        logMessage(LOG_TYPES.A, BASE_URL+"add_deal_handler/", `Deal ${deal.id} and it's productrows successfully added to db`);
-        res.status(200).json({"status": true, "status_msg": "success", "message": "Сделки успешно записаны в бд", "deal": deal})
+        const rates = await currencyService.list({ currency, dateFrom, dateTo });
+        res.status(200).json({"status": true, "status_msg": "success", "total": rates.length, "default_currency": getDefaultCurrency(), "data": rates});
     } catch (error) {
-        logMessage(LOG_TYPES.E, "/add_deal_handler/", error);
+        logMessage(LOG_TYPES.E, "/get_exchange_rates/", error);
         res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
     }
 })
 
-app.post(BASE_URL+"get_deals_from_bx_insert_in_db/", async (req, res) => {
+app.post(BASE_URL+"add_exchange_rate/", requireRole("admin"), async (req, res) => {
     try {
-        const bxLinkDecrypted = await decryptText(process.env.BX_LINK, process.env.CRYPTO_KEY, process.env.CRYPTO_IV);
-        const dealsService = new DealsService(bxLinkDecrypted);
+        const validationError = validateRate(req.body);
+        if (validationError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": validationError});
+            return;
+        }
 
-        const deals = (await dealsService.getDealsByFilter({ "UF_CRM_1710140074001": 616, "CATEGORY_ID": 68 })).map(deal => {
-            return {
-                "id": deal["ID"],
-                "title": deal["TITLE"],
-                "category_id": deal["CATEGORY_ID"],
-                "price_type": deal["UF_CRM_1710140074001"],
-                "date_create": deal["DATE_CREATE"]
-            }
-        });
-        if (!deals && deals.length <= 0) {
-            logMessage(LOG_TYPES.E, "/get_deals_from_bx_insert_in_db/", "Error getting deals from bx");
-            throw new Error("Error getting deals from bx");
+        const rate = await currencyService.save(req.body);
+
+        logMessage(LOG_TYPES.A, BASE_URL+"add_exchange_rate/", `Exchange rate ${rate.from_currency}/${rate.to_currency} on ${rate.rate_date} set to ${rate.rate}`);
+        res.status(200).json({"status": true, "status_msg": "success", "data": rate});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/add_exchange_rate/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"update_exchange_rate/", requireRole("admin"), async (req, res) => {
+    try {
+        const id = req.body.id;
+        const existing = id ? await currencyService.get(id) : null;
+        if (!existing) {
+            res.status(404).json({"status": false, "status_msg": "error", "message": "Exchange rate not found"});
+            return;
+        }
+
+        const rate = { ...existing, ...req.body, id: existing.id };
+        const validationError = validateRate(rate);
+        if (validationError) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": validationError});
+            return;
+        }
+        const conflicts = await currencyService.list({ currency: rate.from_currency, dateFrom: rate.rate_date, dateTo: rate.rate_date });
+        if (conflicts.some(other => other.id !== existing.id && other.from_currency === rate.from_currency && other.to_currency === rate.to_currency)) {
+            res.status(409).json({"status": false, "status_msg": "error", "message": `A ${rate.from_currency}/${rate.to_currency} rate on ${rate.rate_date} already exists`});
+            return;
         }
-        await db.insertMultipleInTable("deals", deals);
 
-        logMessage(LOG_TYPES.A, BASE_URL+"get_deals_from_bx_insert_in_db/", `Deals successfully added to db`);
-        res.status(200).json({"status": true, "status_msg": "success", "message": "Сделки успешно записаны в бд", "deals": deals});
+        const { changes: updated } = await currencyService.update(existing.id, rate);
+
+        logMessage(LOG_TYPES.A, BASE_URL+"update_exchange_rate/", `Exchange rate ${existing.id} updated`);
+        res.status(200).json({"status": true, "status_msg": "success", "updated": updated, "data": await currencyService.get(existing.id)});
     } catch (error) {
-        logMessage(LOG_TYPES.E, "/get_deals_from_bx_insert_in_db/", error);
+        logMessage(LOG_TYPES.E, "/update_exchange_rate/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"delete_exchange_rate/", requireRole("admin"), async (req, res) => {
+    try {
+        const id = req.body.id;
+        const existing = id ? await currencyService.get(id) : null;
+        if (!existing) {
+            res.status(404).json({"status": false, "status_msg": "error", "message": "Exchange rate not found"});
+            return;
+        }
+
+        const { changes: deleted } = await currencyService.remove(existing.id);
+
+        logMessage(LOG_TYPES.A, BASE_URL+"delete_exchange_rate/", `Exchange rate ${existing.id} deleted`);
+        res.status(200).json({"status": true, "status_msg": "success", "deleted": deleted});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/delete_exchange_rate/", error);
         res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
     }
-}, haltOnTimedOut)
+})
 
-app.post(BASE_URL+"get_deals_product_rows_from_bx_insert_in_db/", async (req, res) => {
+app.post(BASE_URL+"import_exchange_rates/", requireRole("admin"), async (req, res) => {
     try {
-        const bxLinkDecrypted = await decryptText(process.env.BX_LINK, process.env.CRYPTO_KEY, process.env.CRYPTO_IV);
-        const dealsService = new DealsService(bxLinkDecrypted);
+        if (typeof req.body.csv !== "string" || req.body.csv.trim() === "") {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "csv must contain the rates as CSV text"});
+            return;
+        }
 
-        const deals = await db.getAll("deals")
-        let records = [];
-        for (const deal of deals) {
-            const productrows = await dealsService.getDealProductRows(deal.id);
-            productrows.forEach(productrow => {
-                records.push({deal_id: deal.id, product_id: productrow["PRODUCT_ID"], product_name: productrow["PRODUCT_NAME"], price: productrow["PRICE_BRUTTO"], discount: productrow["DISCOUNT_SUM"]});
-            })
+        const { rates, errors } = parseRatesCsv(req.body.csv);
+        if (errors.length > 0) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "The CSV has invalid lines, nothing was imported", "errors": errors});
+            return;
+        }
+        if (rates.length === 0) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "The CSV contains no rates"});
+            return;
         }
-        db.insertMultipleInTable("deals_products", records);
 
-        logMessage(LOG_TYPES.A, BASE_URL+"get_deals_product_rows_from_bx_insert_in_db/", `Deals' productsrows successfully added to db`);
-        res.status(200).json({"status": true, "status_msg": "success", "total": deals.length, "deals": deals})
+        const { changes: imported } = await currencyService.import(rates);
+
+        logMessage(LOG_TYPES.A, BASE_URL+"import_exchange_rates/", `${imported} exchange rate(s) imported`);
+        res.status(200).json({"status": true, "status_msg": "success", "imported": imported});
     } catch (error) {
-        logMessage(LOG_TYPES.E, "/get_deals_from_bx_insert_in_db/", error);
+        logMessage(LOG_TYPES.E, "/import_exchange_rates/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"get_logs/", requireRole("admin"), async (req, res) => {
+    try {
+        const { level, type, source, correlation_id, date_from, date_to } = req.body;
+        const limit = req.body.limit === undefined ? 100 : Number(req.body.limit);
+        if (level !== undefined && !LOG_LEVELS.includes(level)) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": `level must be one of: ${LOG_LEVELS.join(", ")}`});
+            return;
+        }
+        if (type !== undefined && !Object.values(LOG_TYPES).includes(type)) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": `type must be one of: ${Object.values(LOG_TYPES).join(", ")}`});
+            return;
+        }
+        if ((source !== undefined && typeof source !== "string") || (correlation_id !== undefined && typeof correlation_id !== "string")) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "source and correlation_id must be strings"});
+            return;
+        }
+        if ([date_from, date_to].some(date => date !== undefined && (typeof date !== "string" || isNaN(Date.parse(date))))) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "date_from and date_to must be ISO dates or date-times"});
+            return;
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "limit must be an integer between 1 and 1000"});
+            return;
+        }
+
+        const entries = await queryLogs({ level, type, source, correlationId: correlation_id, from: date_from, to: date_to }, limit);
+        res.status(200).json({"status": true, "status_msg": "success", "total": entries.length, "data": entries});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_logs/", error);
         res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
     }
-}, haltOnTimedOut)
+})
+
+/**
+ * Reads the id of a backlog from the request body.
+ *
+ * @returns {number|null} The id, or null if it is not a positive integer.
+ */
+function parseBacklogId(body) {
+    const id = Number(body.id);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
 
-app.post(BASE_URL+"write_backlog/", async (req, res) => {
+app.post(BASE_URL+"write_backlog/", requireRole("admin"), resolvePortal, async (req, res) => {
     try {
         const data = req.body.data;
-        await writeDataToJsonFile(data);
+        if (!Array.isArray(data) || data.length === 0) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "data must be a non-empty array of deals"});
+            return;
+        }
+
+        const backlog = await backlogService.create(req.portal.id, data, req.apiKey.name);
+
+        logMessage(LOG_TYPES.A, BASE_URL+"write_backlog/", `Backlog ${backlog.id} of portal ${req.portal.id} stored by ${req.apiKey.name}`);
+        res.status(201).json({"status": true, "status_msg": "success", "message": "Бэклог сохранён", "data": backlog});
     } catch (error) {
         logMessage(LOG_TYPES.E, "/write_backlog/", error);
         res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
     }
 })
 
-app.post(BASE_URL + "init/", async (req, res) => {
+app.post(BASE_URL+"get_backlogs/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const limit = req.body.limit === undefined ? 50 : Number(req.body.limit);
+        const offset = req.body.offset === undefined ? 0 : Number(req.body.offset);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000 || !Number.isInteger(offset) || offset < 0) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "limit must be between 1 and 1000, offset must be a non-negative integer"});
+            return;
+        }
+
+        const { total, backlogs } = await backlogService.list(req.portal.id, limit, offset);
+        res.status(200).json({"status": true, "status_msg": "success", "total": total, "data": backlogs});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_backlogs/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"get_backlog/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const id = parseBacklogId(req.body);
+        if (id === null) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "id must be a positive integer"});
+            return;
+        }
+
+        const backlog = await backlogService.get(req.portal.id, id);
+        if (!backlog) {
+            res.status(404).json({"status": false, "status_msg": "error", "message": `Backlog ${id} not found`});
+            return;
+        }
+        res.status(200).json({"status": true, "status_msg": "success", "data": backlog});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_backlog/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL+"replay_backlog/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const id = parseBacklogId(req.body);
+        if (id === null) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "id must be a positive integer"});
+            return;
+        }
+        if (req.body.dry_run !== undefined && typeof req.body.dry_run !== "boolean") {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "dry_run must be a boolean"});
+            return;
+        }
+
+        const report = await backlogService.replay(req.portal.id, id, { dryRun: req.body.dry_run === true });
+        if (!report) {
+            res.status(404).json({"status": false, "status_msg": "error", "message": `Backlog ${id} not found`});
+            return;
+        }
+
+        logMessage(LOG_TYPES.A, BASE_URL+"replay_backlog/", `Backlog ${id} of portal ${req.portal.id} ${report.dry_run ? "checked" : "replayed"} by ${req.apiKey.name}`);
+        res.status(200).json({"status": true, "status_msg": "success", "data": report});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/replay_backlog/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+})
+
+app.post(BASE_URL + "init/", requireRole("admin"), async (req, res) => {
     try {
         const bxLink = req.body.bx_link;
+        const portalId = req.body.portal || DEFAULT_PORTAL_ID;
         if (!bxLink) {
             res.status(400).json({
                 "status": false,
@@ -167,21 +1296,32 @@ app.post(BASE_URL + "init/", async (req, res) => {
             });
             return;
         }
+        if (!isValidPortalId(portalId)) {
+            res.status(400).json({
+                "status": false,
+                "status_msg": "error",
+                "message": "Идентификатор портала может содержать только латинские буквы, цифры, \"-\" и \"_\""
+            });
+            return;
+        }
 
-        const keyIv = generateCryptoKeyAndIV();
-        const bxLinkEncrypted = await encryptText(bxLink, keyIv.CRYPTO_KEY, keyIv.CRYPTO_IV);
-
-        const bxLinkEncryptedBase64 = Buffer.from(bxLinkEncrypted, 'hex').toString('base64');
-
-        const envPath = path.resolve(process.cwd(), '.env');
-        const envContent = `CRYPTO_KEY=${keyIv.CRYPTO_KEY}\nCRYPTO_IV=${keyIv.CRYPTO_IV}\nBX_LINK=${bxLinkEncryptedBase64}\n`;
+        if (req.body.application_token !== undefined && typeof req.body.application_token !== "string") {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "application_token must be a string"});
+            return;
+        }
 
-        fs.writeFileSync(envPath, envContent, 'utf8');
+        await portalsService.register(portalId, bxLink, req.body.name);
+        if (req.body.application_token !== undefined) {
+            await authService.setApplicationToken(portalId, req.body.application_token);
+        }
+        const portal = await portalsService.get(portalId);
 
+        logMessage(LOG_TYPES.A, BASE_URL + "init/", `Portal ${portalId} initialized`);
         res.status(200).json({
             "status": true,
             "status_msg": "success",
             "message": "Система готова работать с вашим битриксом!",
+            "portal": portal
         });
     } catch (error) {
         logMessage(LOG_TYPES.E, BASE_URL + "/init", error);
@@ -193,7 +1333,174 @@ app.post(BASE_URL + "init/", async (req, res) => {
     }
 });
 
+app.post(BASE_URL + "set_application_token/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const token = req.body.application_token;
+        if (token !== null && (typeof token !== "string" || token.trim() === "")) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "application_token must be the token of the Bitrix outbound webhook or null"});
+            return;
+        }
+
+        await authService.setApplicationToken(req.portal.id, token);
+
+        logMessage(LOG_TYPES.A, BASE_URL + "set_application_token/", `Application token of portal ${req.portal.id} ${token ? "set" : "removed"}`);
+        res.status(200).json({"status": true, "status_msg": "success", "portal": await portalsService.get(req.portal.id)});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/set_application_token/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+app.post(BASE_URL + "capture_application_token/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        const minutes = req.body.minutes === undefined ? DEFAULT_CAPTURE_MINUTES : req.body.minutes;
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > 24 * 60) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "minutes must be an integer between 1 and 1440"});
+            return;
+        }
+        const portal = await portalsService.get(req.portal.id);
+        if (portal.application_token_set) {
+            res.status(409).json({"status": false, "status_msg": "error", "message": "Токен приложения уже задан, удалите его через set_application_token/, чтобы получить новый"});
+            return;
+        }
+
+        const until = await authService.startApplicationTokenCapture(req.portal.id, minutes);
+        res.status(200).json({
+            "status": true,
+            "status_msg": "success",
+            "message": "Измените любую сделку в Битрикс24: токен из первого события будет сохранен",
+            "capture_until": until
+        });
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/capture_application_token/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+app.post(BASE_URL + "rotate_crypto_key/", requireRole("admin"), async (req, res) => {
+    try {
+        if (req.body.drop_previous !== undefined && typeof req.body.drop_previous !== "boolean") {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "drop_previous must be a boolean"});
+            return;
+        }
+
+        const rotation = await portalsService.rotateKey({ dropPrevious: req.body.drop_previous === true });
+
+        logMessage(LOG_TYPES.A, BASE_URL + "rotate_crypto_key/", `Crypto key rotated to ${rotation.key_id} by ${req.apiKey.name}`);
+        res.status(200).json({"status": true, "status_msg": "success", "data": rotation});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/rotate_crypto_key/", error);
+        res.status(500).json({"status": false, "status_msg": "error", "message": `Key rotation failed, the stored webhooks stay readable with the configured keys: ${error.message}`});
+    }
+});
+
+app.post(BASE_URL + "get_api_keys/", requireRole("admin"), async (req, res) => {
+    try {
+        res.status(200).json({"status": true, "status_msg": "success", "data": await authService.list()});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_api_keys/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+app.post(BASE_URL + "create_api_key/", requireRole("admin"), async (req, res) => {
+    try {
+        const { name, role } = req.body;
+        if (typeof name !== "string" || name.trim() === "" || name.length > 100) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "name must be a non-empty string of up to 100 characters"});
+            return;
+        }
+        if (!API_KEY_ROLES.includes(role)) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": `role must be one of: ${API_KEY_ROLES.join(", ")}`});
+            return;
+        }
+
+        const key = await authService.create(name.trim(), role);
+
+        logMessage(LOG_TYPES.A, BASE_URL + "create_api_key/", `API key ${key.id} (${key.name}, ${key.role}) created by ${req.apiKey.name}`);
+        res.status(200).json({"status": true, "status_msg": "success", "message": "Store the key now, it is not shown again", "data": key});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/create_api_key/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+app.post(BASE_URL + "revoke_api_key/", requireRole("admin"), async (req, res) => {
+    try {
+        const id = req.body.id;
+        const { changes } = id ? await authService.revoke(id) : { changes: 0 };
+        if (changes === 0) {
+            res.status(404).json({"status": false, "status_msg": "error", "message": "API key not found or revoked already"});
+            return;
+        }
+
+        logMessage(LOG_TYPES.A, BASE_URL + "revoke_api_key/", `API key ${id} revoked by ${req.apiKey.name}`);
+        res.status(200).json({"status": true, "status_msg": "success", "revoked": changes});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/revoke_api_key/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+app.post(BASE_URL + "get_portals/", requireRole("admin"), async (req, res) => {
+    try {
+        const portals = await portalsService.list();
+        res.status(200).json({"status": true, "status_msg": "success", "data": portals});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/get_portals/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+app.post(BASE_URL + "delete_portal/", requireRole("admin"), resolvePortal, async (req, res) => {
+    try {
+        if (!req.body.portal) {
+            res.status(400).json({"status": false, "status_msg": "error", "message": "portal must be provided"});
+            return;
+        }
+
+        const removed = await portalsService.remove(req.portal.id);
+
+        logMessage(LOG_TYPES.A, BASE_URL + "delete_portal/", `Portal ${req.portal.id} deleted`);
+        res.status(200).json({"status": true, "status_msg": "success", "message": "Портал и его данные удалены", "removed": removed.changes});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/delete_portal/", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+app.get("/health", (req, res) => {
+    res.status(200).json({"status": true, "status_msg": "success", "uptime": Math.round(process.uptime())});
+});
+
+// /ready and /metrics name the portals and the errors of failed checks, so unlike /health they need an API key
+app.get("/ready", requireRole("data"), async (req, res) => {
+    try {
+        const { ready, checks } = await healthService.checkReadiness();
+        if (!ready) {
+            logMessage(LOG_TYPES.W, "/ready", `Not ready: ${Object.keys(checks).filter(name => !checks[name].ok).map(name => `${name} (${checks[name].error})`).join(", ")}`);
+            res.status(503).json({"status": false, "status_msg": "error", "message": "Service is not ready", "checks": checks});
+            return;
+        }
+        res.status(200).json({"status": true, "status_msg": "success", "checks": checks});
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/ready", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+app.get("/metrics", requireRole("data"), async (req, res) => {
+    try {
+        await collectMetrics(db);
+        res.status(200).type("text/plain; version=0.0.4; charset=utf-8").send(metrics.render());
+    } catch (error) {
+        logMessage(LOG_TYPES.E, "/metrics", error);
+        res.status(500).json(RESPONSES.INTERNAL_SERVER_ERROR);
+    }
+});
 
 app.listen(PORT, async () => {
     console.log(`App running on port ${PORT}`)
+    await dbReady;
+    await scheduler.start();
 })
\ No newline at end of file
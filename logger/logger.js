@@ -1,105 +1,357 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import readline from 'readline';
 
 /**
- * Logs a message to a file based on the log type.
+ * Levels in increasing severity. Entries below LOG_LEVEL from .env (info by default) are dropped.
+ */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Every log type has its own directory and files in logger/logs. Access entries are logged at the info level.
+ */
+const LEVEL_BY_TYPE = {
+    'debug': 'debug',
+    'info': 'info',
+    'access': 'info',
+    'warn': 'warn',
+    'error': 'error'
+};
+
+const DEFAULT_LOG_SETTINGS = {
+    level: 'info',
+    maxFileSize: 10 * 1024 * 1024,
+    retentionDays: 14
+};
+
+/**
+ * Old files are looked for at most once an hour, when a log file is opened.
+ */
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+const correlationStorage = new AsyncLocalStorage();
+
+/**
+ * The open file of every log type: { date, base, index, file, size, stream }.
+ */
+const openFiles = new Map();
+let lastCleanup = 0;
+
+/**
+ * Reads the log settings from the environment: LOG_LEVEL, LOG_MAX_FILE_SIZE (MB), LOG_RETENTION_DAYS
+ * and LOG_CONSOLE ("true" copies the entries to stderr, e.g. for docker logs).
  *
- * @param {string} type - The type of log (error, access, or info).
- * @param {string} source - The source of the log (e.g., the function or module name).
- * @param {string|Error} messageOrError - The message to log, or an error object if the log type is 'error'.
+ * @returns {{level: string, maxFileSize: number, retentionDays: number, console: boolean}}
  */
-function logMessage(type, source, messageOrError) {
-    try {
-        const currentTime = new Date().toLocaleString();
-        const isError = type === 'error';
-        const isInfo = type === 'info'; // Added check for 'info' type
-        const formattedMessage = isError
-            ? `${currentTime} - Source: ${source}\nError: ${messageOrError?.stack || messageOrError}\n\n`
-            : (isInfo
-                ? `${currentTime} - Source: ${source}\nInfo: ${messageOrError}\n\n`
-                : `${currentTime} - Source: ${source}\nMessage: ${messageOrError}\n\n`);
-
-        // Get the current working directory of the project using process.cwd()
-        const logsDir = path.join(process.cwd(), 'logger', 'logs', isError ? 'error' : isInfo ? 'info' : 'access');
-
-        // Ensure the directory exists
+function getLogSettings() {
+    const maxFileSize = Number(process.env.LOG_MAX_FILE_SIZE) * 1024 * 1024;
+    const retentionDays = Number(process.env.LOG_RETENTION_DAYS);
+    return {
+        level: LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : DEFAULT_LOG_SETTINGS.level,
+        maxFileSize: maxFileSize > 0 ? maxFileSize : DEFAULT_LOG_SETTINGS.maxFileSize,
+        retentionDays: retentionDays > 0 ? retentionDays : DEFAULT_LOG_SETTINGS.retentionDays,
+        console: process.env.LOG_CONSOLE === 'true'
+    };
+}
+
+function getLogsDir() {
+    return path.join(process.cwd(), 'logger', 'logs');
+}
+
+/**
+ * @returns {string} A new correlation id.
+ */
+function createCorrelationId() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Runs `work` with a correlation id, which every entry logged while it runs carries, including the entries
+ * of asynchronous operations it starts.
+ *
+ * @param {string} correlationId - The id, e.g. of the HTTP request.
+ * @param {function(): *} work - The work to run.
+ * @returns {*} The result of `work`.
+ */
+function runWithCorrelationId(correlationId, work) {
+    return correlationStorage.run({ correlationId: correlationId }, work);
+}
+
+/**
+ * @returns {string|null} The correlation id of the running request or job, or null outside of one.
+ */
+function getCorrelationId() {
+    return correlationStorage.getStore()?.correlationId || null;
+}
+
+/**
+ * Opens a buffered append stream, so logging never blocks the event loop on a disk write.
+ *
+ * @param {string} file - The path of the log file.
+ * @returns {fs.WriteStream}
+ */
+function openLogStream(file) {
+    const stream = fs.createWriteStream(file, { flags: 'a', encoding: 'utf8' });
+    stream.on('error', error => console.error('Unexpected logging error:', error));
+    return stream;
+}
+
+/**
+ * Picks the stream to append to: one file per type and day, with .1, .2 and so on
+ * appended to the name when a file grows over LOG_MAX_FILE_SIZE. The stream of the previous file
+ * is ended once it has written its buffered entries.
+ *
+ * @param {string} type - The log type.
+ * @param {number} length - The size of the entry to append, in bytes.
+ * @param {{maxFileSize: number, retentionDays: number}} settings - The log settings.
+ * @returns {fs.WriteStream} The stream of the file.
+ */
+function getLogStream(type, length, settings) {
+    const date = formatDate(new Date());
+    let current = openFiles.get(type);
+
+    if (!current || current.date !== date) {
+        current?.stream.end();
+        const logsDir = path.join(getLogsDir(), type);
         if (!fs.existsSync(logsDir)) {
             fs.mkdirSync(logsDir, { recursive: true });
         }
+        const base = `${type}_${date}`;
+        const index = fs.readdirSync(logsDir)
+            .map(file => file.match(new RegExp(`^${base}(?:\\.(\\d+))?\\.log$`)))
+            .filter(Boolean)
+            .reduce((max, match) => Math.max(max, Number(match[1] || 0)), 0);
+        const file = path.join(logsDir, index > 0 ? `${base}.${index}.log` : `${base}.log`);
+        current = {
+            date: date,
+            base: base,
+            index: index,
+            file: file,
+            size: fs.existsSync(file) ? fs.statSync(file).size : 0,
+            stream: openLogStream(file)
+        };
+        openFiles.set(type, current);
 
-        // Generate the log file name based on the log type and current date
-        const logFileName = `${type}_${formatDate(new Date())}.log`;
-        const logFilePath = path.join(logsDir, logFileName);
+        if (Date.now() - lastCleanup > CLEANUP_INTERVAL) {
+            lastCleanup = Date.now();
+            cleanupLogs(settings.retentionDays);
+        }
+    }
 
-        // Write the log to the file
-        fs.appendFile(logFilePath, formattedMessage, (err) => {
-            if (err) {
-                console.error('Error writing to log file:', err);
-            } else {
-                console.log(`${currentTime} Log written to ${type} file`);
-            }
-        });
-    } catch (error) {
-        console.error('Unexpected logging error:', error);
+    if (current.size > 0 && current.size + length > settings.maxFileSize) {
+        current.stream.end();
+        current.index++;
+        current.file = path.join(path.dirname(current.file), `${current.base}.${current.index}.log`);
+        current.size = 0;
+        current.stream = openLogStream(current.file);
     }
+    current.size += length;
+    return current.stream;
 }
 
 /**
- * Helper function to format dates in the format YYYY-MM-DD.
+ * Writes the buffered entries and closes the log files, e.g. before a command line run exits.
  *
- * @param {Date} date - The date to format.
- * @returns {string} The formatted date string.
+ * @returns {Promise<void>} Resolves when every entry is written.
  */
-function formatDate(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0'); // Months are 0-based
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+function closeLogs() {
+    const streams = [...openFiles.values()].map(current => current.stream);
+    openFiles.clear();
+    return Promise.all(streams.map(stream => new Promise(resolve => stream.end(resolve)))).then(() => {});
 }
 
 /**
- * Writes data to a JSON file with the current date and time in the filename.
+ * Deletes the log files last written more than `retentionDays` days ago.
  *
- * @param {Array} data - The data to write to the JSON file.
+ * @param {number} [retentionDays] - Defaults to LOG_RETENTION_DAYS.
+ * @returns {number} The number of deleted files.
  */
-function writeDataToJsonFile(data) {
+function cleanupLogs(retentionDays = getLogSettings().retentionDays) {
+    const logsDir = getLogsDir();
+    if (!fs.existsSync(logsDir)) {
+        return 0;
+    }
+
+    const threshold = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let deleted = 0;
+    for (const type of fs.readdirSync(logsDir)) {
+        const typeDir = path.join(logsDir, type);
+        if (!fs.statSync(typeDir).isDirectory()) {
+            continue;
+        }
+        for (const file of fs.readdirSync(typeDir)) {
+            const filePath = path.join(typeDir, file);
+            if (fs.statSync(filePath).mtimeMs < threshold) {
+                fs.rmSync(filePath, { force: true });
+                deleted++;
+            }
+        }
+    }
+    return deleted;
+}
+
+/**
+ * Logs an entry as a line of JSON to the file of its type:
+ * { time, level, type, source, message, correlation_id } and the stack of an error.
+ *
+ * @param {string} type - The type of log, one of LOG_TYPES.
+ * @param {string} source - The source of the log (e.g., the function or module name).
+ * @param {string|Error} messageOrError - The message to log, or an error object.
+ */
+function logMessage(type, source, messageOrError) {
     try {
-        // Get the current date and time
-        const now = new Date();
-        const day = String(now.getDate()).padStart(2, '0');
-        const month = String(now.getMonth() + 1).padStart(2, '0'); // Months are 0-based
-        const year = now.getFullYear();
-        const hours = String(now.getHours()).padStart(2, '0');
-        const minutes = String(now.getMinutes()).padStart(2, '0');
-
-        // Generate the filename in dd_mm_yyyy_hh_mm format
-        const fileName = `${day}_${month}_${year}_${hours}_${minutes}.json`;
-
-        // Define the path to the backlogs directory
-        const backlogsDir = path.join(process.cwd(), 'logger', 'backlogs');
-
-        // Ensure the directory exists
-        if (!fs.existsSync(backlogsDir)) {
-            fs.mkdirSync(backlogsDir, { recursive: true });
+        const level = LEVEL_BY_TYPE[type] || 'info';
+        const settings = getLogSettings();
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) {
+            return;
         }
 
-        // Define the full path to the JSON file
-        const filePath = path.join(backlogsDir, fileName);
+        const entry = {
+            time: new Date().toISOString(),
+            level: level,
+            type: type,
+            source: source,
+            message: messageOrError instanceof Error ? messageOrError.message : String(messageOrError),
+            correlation_id: getCorrelationId()
+        };
+        if (messageOrError instanceof Error) {
+            entry.stack = messageOrError.stack;
+        }
+        const line = JSON.stringify(entry) + '\n';
 
-        // Write the data to the JSON file
-        fs.writeFile(filePath, JSON.stringify(data, null, 2), (err) => {
-            if (err) {
-                console.error('Error writing to JSON file:', err);
-            } else {
-                console.log(`Data successfully written to ${filePath}`);
-            }
-        });
+        // The size is counted when the entry is queued, so rotation does not wait for the stream
+        getLogStream(type, Buffer.byteLength(line), settings).write(line);
+        if (settings.console) {
+            process.stderr.write(line);  // stdout is left to the output of the commands in bin
+        }
     } catch (error) {
-        console.error('Unexpected error writing JSON file:', error);
+        console.error('Unexpected logging error:', error);
+    }
+}
+
+/**
+ * Lists the log files of the given type, or of every type, newest first.
+ *
+ * @param {string} [type] - Only files of this log type.
+ * @returns {Promise<Array<{file: string, mtime: number, index: number}>>}
+ */
+async function listLogFiles(type) {
+    const logsDir = getLogsDir();
+    const dirs = await fs.promises.readdir(logsDir, { withFileTypes: true }).catch(error => {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    });
+
+    const files = [];
+    for (const dir of dirs.filter(dir => dir.isDirectory() && (!type || dir.name === type))) {
+        for (const name of await fs.promises.readdir(path.join(logsDir, dir.name))) {
+            const file = path.join(logsDir, dir.name, name);
+            const { mtimeMs } = await fs.promises.stat(file);
+            files.push({ file: file, mtime: mtimeMs, index: Number(name.match(/\.(\d+)\.log$/)?.[1] || 0) });
+        }
+    }
+    return files.sort((a, b) => b.mtime - a.mtime || b.index - a.index);
+}
+
+/**
+ * Streams a log file line by line and keeps its newest `limit` matching entries.
+ *
+ * @param {string} file - The path of the log file.
+ * @param {function(Object): boolean} matches - Tells whether an entry matches the filters.
+ * @param {number} limit - Maximum number of entries to keep.
+ * @returns {Promise<Array<Object>>} The entries, newest first.
+ */
+async function readLogFile(file, matches, limit) {
+    const entries = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(file, { encoding: 'utf8' }), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.startsWith('{')) {
+            continue;
+        }
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            continue;  // A line cut off by a crash
+        }
+        if (matches(entry)) {
+            entries.push(entry);
+            if (entries.length > limit) {
+                entries.shift();
+            }
+        }
     }
+    // Newest lines first, so entries logged within the same millisecond keep their order after the sort
+    return entries.reverse();
 }
 
+/**
+ * Reads recent log entries, newest first. Lines that are not JSON, e.g. of the old text format, are skipped.
+ * Files are streamed newest first and reading stops once `limit` entries are found that are newer than
+ * every entry of the remaining files.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.level] - The minimum level, e.g. warn returns warn and error entries.
+ * @param {string} [filters.type] - Only entries of this log type.
+ * @param {string} [filters.source] - Only entries whose source contains this text.
+ * @param {string} [filters.correlationId] - Only entries of this request or job.
+ * @param {string} [filters.from] - Lower bound of the entry time (inclusive), an ISO date or date-time.
+ * @param {string} [filters.to] - Upper bound of the entry time (inclusive), an ISO date or date-time.
+ * @param {number} [limit=100] - Maximum number of entries to return.
+ * @returns {Promise<Array<Object>>} The matching entries.
+ */
+async function queryLogs({ level, type, source, correlationId, from, to } = {}, limit = 100) {
+    const minLevel = level ? LOG_LEVELS.indexOf(level) : 0;
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to.length === 10 ? `${to}T23:59:59.999Z` : to) : null;
+    const matches = entry => LOG_LEVELS.indexOf(entry.level) >= minLevel
+        && (!type || entry.type === type)
+        && (!source || String(entry.source).includes(source))
+        && (!correlationId || entry.correlation_id === correlationId)
+        && (fromTime === null || Date.parse(entry.time) >= fromTime)
+        && (toTime === null || Date.parse(entry.time) <= toTime);
 
+    // Files last written before the start of the range cannot hold matching entries
+    const files = (await listLogFiles(type)).filter(({ mtime }) => fromTime === null || mtime >= fromTime);
+
+    let entries = [];
+    for (let i = 0; i < files.length; i++) {
+        entries.push(...await readLogFile(files[i].file, matches, limit));
+        entries = entries.sort((a, b) => b.time.localeCompare(a.time)).slice(0, limit);
+
+        // The remaining files were last written before the oldest entry kept so far
+        const next = files[i + 1];
+        if (entries.length === limit && next && next.mtime < Date.parse(entries[limit - 1].time)) {
+            break;
+        }
+    }
+    return entries;
+}
 
+/**
+ * Helper function to format dates in the format YYYY-MM-DD.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted date string.
+ */
+function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0'); // Months are 0-based
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
 
-export { logMessage, writeDataToJsonFile };
+export {
+    logMessage,
+    queryLogs,
+    cleanupLogs,
+    closeLogs,
+    createCorrelationId,
+    runWithCorrelationId,
+    getCorrelationId,
+    LOG_LEVELS
+};
@@ -0,0 +1,325 @@
+import { logMessage } from "../logger/logger.js";
+import { getDefaultCurrency } from "./currency.js";
+import { mean, round } from "./stats.js";
+
+const ANOMALY_SETTINGS_KEYS = {
+    MAX_DEVIATION: "anomaly_max_deviation",
+    MAX_Z_SCORE: "anomaly_max_z_score",
+    MIN_SAMPLES: "anomaly_min_samples"
+};
+
+/**
+ * A row is flagged when its value differs from the product's mean by more than max_deviation (0.5 = 50%)
+ * or by more than max_z_score standard deviations. null turns a check off. Products with fewer than
+ * min_samples historical rows are not checked.
+ */
+const DEFAULT_ANOMALY_SETTINGS = {
+    max_deviation: 0.5,
+    max_z_score: 3,
+    min_samples: 5
+};
+
+/**
+ * The checked fields of a product row. Prices are flagged in both directions, discounts only when they are deeper than usual.
+ */
+const ANOMALY_FIELDS = [
+    { field: "price", lowerIsAnomaly: true },
+    { field: "discount", lowerIsAnomaly: false }
+];
+
+const ANOMALY_STATUSES = ["open", "acknowledged", "dismissed"];
+
+/**
+ * The statuses an anomaly may be moved to, with the statuses it may be moved from.
+ */
+const ANOMALY_TRANSITIONS = {
+    acknowledged: ["open"],
+    dismissed: ["open", "acknowledged"]
+};
+
+/**
+ * Validates anomaly settings coming from the API.
+ *
+ * @param {Object} settings - The settings with max_deviation, max_z_score and min_samples fields.
+ * @returns {string|null} An error message or null if the settings are valid.
+ */
+function validateAnomalySettings(settings) {
+    const { max_deviation: maxDeviation, max_z_score: maxZScore, min_samples: minSamples } = settings;
+    if (maxDeviation !== null && !(typeof maxDeviation === "number" && maxDeviation > 0)) {
+        return "max_deviation must be a positive number or null";
+    }
+    if (maxZScore !== null && !(typeof maxZScore === "number" && maxZScore > 0)) {
+        return "max_z_score must be a positive number or null";
+    }
+    if (maxDeviation === null && maxZScore === null) {
+        return "max_deviation and max_z_score cannot both be null";
+    }
+    if (!Number.isInteger(minSamples) || minSamples < 2) {
+        return "min_samples must be an integer of at least 2";
+    }
+    return null;
+}
+
+/**
+ * Compares a value with the historical values of the same field.
+ *
+ * @param {number} value - The checked value.
+ * @param {Array<number>} history - The historical values.
+ * @param {Object} settings - The anomaly settings.
+ * @param {boolean} lowerIsAnomaly - Whether values below the mean may be flagged.
+ * @returns {{expected: number, deviation: number|null, z_score: number|null}|null} The comparison if the value is an anomaly, otherwise null.
+ */
+function checkValue(value, history, settings, lowerIsAnomaly) {
+    const expected = mean(history);
+    if (value === expected || (!lowerIsAnomaly && value < expected)) {
+        return null;
+    }
+    const std = Math.sqrt(mean(history.map(item => (item - expected) ** 2)));
+    const deviation = expected !== 0 ? (value - expected) / Math.abs(expected) : null;
+    const zScore = std > 0 ? (value - expected) / std : null;
+
+    const exceedsDeviation = settings.max_deviation !== null && deviation !== null && Math.abs(deviation) > settings.max_deviation;
+    const exceedsZScore = settings.max_z_score !== null && zScore !== null && Math.abs(zScore) > settings.max_z_score;
+    if (!exceedsDeviation && !exceedsZScore) {
+        return null;
+    }
+    return { expected: round(expected), deviation: round(deviation), z_score: round(zScore) };
+}
+
+/**
+ * Checks the price and discount of product rows against the historical rows of the same products.
+ *
+ * @param {Array<Object>} rows - The checked rows with row_id, deal_id, product_id, product_name, price and discount fields.
+ * @param {Array<Object>} history - Historical rows with product_id, price and discount fields.
+ * @param {Object} [settings] - The anomaly settings. Defaults to DEFAULT_ANOMALY_SETTINGS.
+ * @returns {Array<Object>} One entry per flagged field of a row: { deal_id, row_id, product_id, product_name, field,
+ *                          value, expected, deviation, z_score, sample_size }.
+ */
+function detectAnomalies(rows, history, settings = DEFAULT_ANOMALY_SETTINGS) {
+    const byProduct = new Map();
+    history.forEach(row => {
+        if (!byProduct.has(row.product_id)) {
+            byProduct.set(row.product_id, []);
+        }
+        byProduct.get(row.product_id).push(row);
+    });
+
+    const anomalies = [];
+    rows.forEach(row => {
+        const productHistory = byProduct.get(row.product_id) || [];
+        ANOMALY_FIELDS.forEach(({ field, lowerIsAnomaly }) => {
+            if (row[field] === null || row[field] === undefined) {
+                return;
+            }
+            const values = productHistory
+                .filter(item => item[field] !== null && item[field] !== undefined)
+                .map(item => Number(item[field]));
+            if (values.length < settings.min_samples) {
+                return;
+            }
+
+            const result = checkValue(Number(row[field]), values, settings, lowerIsAnomaly);
+            if (result) {
+                anomalies.push({
+                    deal_id: row.deal_id,
+                    row_id: row.row_id,
+                    product_id: row.product_id,
+                    product_name: row.product_name,
+                    field: field,
+                    value: Number(row[field]),
+                    ...result,
+                    sample_size: values.length
+                });
+            }
+        });
+    });
+    return anomalies;
+}
+
+/**
+ * The `AnomalyService` class flags product rows of new deals whose price or discount deviates
+ * from the product's history and keeps the flags in the price_anomalies table.
+ */
+class AnomalyService {
+
+    /**
+     * @param {Db} db - The database service.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * @param {string} portalId - The id of the portal.
+     * @returns {Promise<Object>} The stored settings of the portal, the defaults where nothing is stored.
+     */
+    async getSettings(portalId) {
+        const rows = await this.db.query(
+            "AnomalyService.getSettings",
+            `SELECT key, value FROM settings WHERE portal_id = ? AND key IN (${Object.values(ANOMALY_SETTINGS_KEYS).map(() => "?").join(", ")})`,
+            [portalId, ...Object.values(ANOMALY_SETTINGS_KEYS)]
+        );
+        const stored = new Map(rows.map(row => [row.key, row.value]));
+        const read = (key, defaultValue) => {
+            if (!stored.has(key)) {
+                return defaultValue;
+            }
+            return stored.get(key) === null || stored.get(key) === "" ? null : Number(stored.get(key));
+        };
+
+        return {
+            max_deviation: read(ANOMALY_SETTINGS_KEYS.MAX_DEVIATION, DEFAULT_ANOMALY_SETTINGS.max_deviation),
+            max_z_score: read(ANOMALY_SETTINGS_KEYS.MAX_Z_SCORE, DEFAULT_ANOMALY_SETTINGS.max_z_score),
+            min_samples: read(ANOMALY_SETTINGS_KEYS.MIN_SAMPLES, DEFAULT_ANOMALY_SETTINGS.min_samples)
+        };
+    }
+
+    /**
+     * @param {string} portalId - The id of the portal.
+     * @param {Object} settings - Settings that passed validateAnomalySettings.
+     * @returns {Promise<{changes: number}>}
+     */
+    saveSettings(portalId, settings) {
+        const updatedAt = new Date().toISOString();
+        return this.db.insertMultipleInTable("settings", [
+            { portal_id: portalId, key: ANOMALY_SETTINGS_KEYS.MAX_DEVIATION, value: settings.max_deviation, updated_at: updatedAt },
+            { portal_id: portalId, key: ANOMALY_SETTINGS_KEYS.MAX_Z_SCORE, value: settings.max_z_score, updated_at: updatedAt },
+            { portal_id: portalId, key: ANOMALY_SETTINGS_KEYS.MIN_SAMPLES, value: settings.min_samples, updated_at: updatedAt }
+        ]);
+    }
+
+    /**
+     * Checks the stored product rows of a deal against the rows of the same products in the other deals
+     * of the same currency, and stores the anomalies. Anomalies already acknowledged or dismissed are kept as they are,
+     * open anomalies of the deal are replaced.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {number} dealId - The id of the deal.
+     * @returns {Promise<Array<Object>>} The new anomalies of the deal.
+     */
+    async checkDeal(portalId, dealId) {
+        const rows = await this.db.query(
+            "AnomalyService.checkDeal",
+            `SELECT dp.deal_id, dp.row_id, dp.product_id, dp.product_name, dp.price, dp.discount, d.currency_id
+            FROM deals_products dp
+            JOIN deals d ON d.portal_id = dp.portal_id AND d.id = dp.deal_id
+            WHERE dp.portal_id = ? AND dp.deal_id = ?`,
+            [portalId, dealId]
+        );
+        if (rows.length === 0) {
+            return [];
+        }
+
+        const currency = rows[0].currency_id || getDefaultCurrency();
+        const productIds = [...new Set(rows.map(row => row.product_id))];
+        const history = await this.db.query(
+            "AnomalyService.checkDeal",
+            `SELECT dp.product_id, dp.price, dp.discount
+            FROM deals_products dp
+            JOIN deals d ON d.portal_id = dp.portal_id AND d.id = dp.deal_id
+            WHERE dp.portal_id = ? AND dp.deal_id != ? AND dp.product_id IN (${productIds.map(() => "?").join(", ")})
+                AND COALESCE(d.currency_id, ?) = ?`,
+            [portalId, dealId, ...productIds, getDefaultCurrency(), currency]
+        );
+
+        const settings = await this.getSettings(portalId);
+        const detectedAt = new Date().toISOString();
+        const anomalies = detectAnomalies(rows, history, settings)
+            .map(anomaly => ({ portal_id: portalId, ...anomaly, currency_id: currency, status: "open", detected_at: detectedAt }));
+
+        const stored = await this.db.transaction("AnomalyService.checkDeal", async tx => {
+            await tx.run("DELETE FROM price_anomalies WHERE portal_id = ? AND deal_id = ? AND status = 'open'", [portalId, dealId]);
+            const inserted = [];
+            for (const anomaly of anomalies) {
+                const fields = Object.keys(anomaly);
+                const { changes, lastID } = await tx.run(
+                    `INSERT OR IGNORE INTO price_anomalies (${fields.join(", ")}) VALUES (${fields.map(() => "?").join(", ")})`,
+                    fields.map(field => anomaly[field])
+                );
+                if (changes > 0) {
+                    inserted.push({ id: lastID, ...anomaly });
+                }
+            }
+            return inserted;
+        });
+
+        if (stored.length > 0) {
+            logMessage(LOG_TYPES.I, "AnomalyService.checkDeal", `${stored.length} price anomaly(ies) found in deal ${dealId} of portal ${portalId}`);
+        }
+        return stored;
+    }
+
+    /**
+     * @param {string} portalId - The id of the portal.
+     * @param {Object} [filters]
+     * @param {string} [filters.status] - One of ANOMALY_STATUSES.
+     * @param {number} [filters.dealId] - Anomalies of this deal.
+     * @param {number} [filters.productId] - Anomalies of this product.
+     * @param {number} [limit=100] - Maximum number of anomalies to return.
+     * @param {number} [offset=0] - Number of anomalies to skip.
+     * @returns {Promise<{total: number, anomalies: Array<Object>}>} The matching anomalies, most recent first.
+     */
+    async list(portalId, { status, dealId, productId } = {}, limit = 100, offset = 0) {
+        const conditions = ["portal_id = ?"];
+        const values = [portalId];
+        if (status) {
+            conditions.push("status = ?");
+            values.push(status);
+        }
+        if (dealId) {
+            conditions.push("deal_id = ?");
+            values.push(dealId);
+        }
+        if (productId) {
+            conditions.push("product_id = ?");
+            values.push(productId);
+        }
+
+        const where = conditions.join(" AND ");
+        const [{ total }] = await this.db.query("AnomalyService.list", `SELECT COUNT(*) AS total FROM price_anomalies WHERE ${where}`, values);
+        const anomalies = await this.db.query(
+            "AnomalyService.list",
+            `SELECT * FROM price_anomalies WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [...values, limit, offset]
+        );
+        return { total: total, anomalies: anomalies };
+    }
+
+    /**
+     * @param {string} portalId - The id of the portal.
+     * @param {number} id - The id of the anomaly.
+     * @returns {Promise<Object|null>} The anomaly or null if it does not exist.
+     */
+    async get(portalId, id) {
+        const anomalies = await this.db.getByFilter("price_anomalies", { portal_id: portalId, id: id });
+        return anomalies.length > 0 ? anomalies[0] : null;
+    }
+
+    /**
+     * Moves an anomaly to acknowledged or dismissed.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {number} id - The id of the anomaly.
+     * @param {string} status - A key of ANOMALY_TRANSITIONS.
+     * @param {string|null} [comment] - An optional note on the decision.
+     * @returns {Promise<{changes: number}>} changes is 0 if the anomaly was not in a status the transition starts from.
+     */
+    resolve(portalId, id, status, comment = null) {
+        const from = ANOMALY_TRANSITIONS[status];
+        return this.db.run(
+            "AnomalyService.resolve",
+            `UPDATE price_anomalies SET status = ?, resolved_at = ?, comment = ?
+            WHERE portal_id = ? AND id = ? AND status IN (${from.map(() => "?").join(", ")})`,
+            [status, new Date().toISOString(), comment, portalId, id, ...from]
+        );
+    }
+}
+
+export {
+    AnomalyService,
+    detectAnomalies,
+    validateAnomalySettings,
+    DEFAULT_ANOMALY_SETTINGS,
+    ANOMALY_STATUSES,
+    ANOMALY_TRANSITIONS
+};
@@ -0,0 +1,263 @@
+import crypto from "crypto";
+
+import { logMessage } from "../logger/logger.js";
+
+/**
+ * admin - every route, including portal registration, sync, settings and key management.
+ * data - the routes reading the synced data and statistics, and the review of price anomalies.
+ */
+const API_KEY_ROLES = ["admin", "data"];
+
+const API_KEY_PREFIX = "pc_";
+
+/**
+ * last_used_at is refreshed at most once a minute per key, so reads do not turn into writes.
+ */
+const LAST_USED_INTERVAL = 60 * 1000;
+
+/**
+ * The settings key holding the time until which the next event of a portal without an application token
+ * stores its token, see AuthService.startApplicationTokenCapture.
+ */
+const APPLICATION_TOKEN_CAPTURE_KEY = "application_token_capture_until";
+
+const DEFAULT_CAPTURE_MINUTES = 15;
+
+/**
+ * @param {string} secret - An API key or an application token.
+ * @returns {string} The SHA-256 hash of the secret in hex.
+ */
+function hashSecret(secret) {
+    return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+/**
+ * Compares two secrets in constant time.
+ *
+ * @returns {boolean} true if both are set and equal.
+ */
+function secretsEqual(a, b) {
+    if (!a || !b) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(hashSecret(a), "hex"), Buffer.from(hashSecret(b), "hex"));
+}
+
+/**
+ * @param {string} role - The role of the key.
+ * @param {string} required - The role the route requires.
+ * @returns {boolean} true if a key of the role may call the route. Admin keys may call every route.
+ */
+function hasRole(role, required) {
+    return role === "admin" || role === required;
+}
+
+/**
+ * Reads the API key of a request from the "Authorization: Bearer <key>" or the "X-API-Key" header.
+ *
+ * @param {Request} req - The Express request.
+ * @returns {string|null} The key or null if none was sent.
+ */
+function getRequestApiKey(req) {
+    const authorization = req.get("authorization");
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, "").trim();
+    }
+    return req.get("x-api-key") || null;
+}
+
+/**
+ * Reads the application token of a Bitrix event call, sent as auth[application_token] in a form body.
+ *
+ * @param {Request} req - The Express request.
+ * @returns {string|null} The token or null if none was sent.
+ */
+function getEventApplicationToken(req) {
+    return req.body["auth[application_token]"] || req.body.auth?.application_token || null;
+}
+
+/**
+ * The `AuthService` class manages the API keys in the api_keys table and checks the API keys
+ * and Bitrix application tokens of incoming requests.
+ * ADMIN_API_KEY in .env is accepted as an admin key, so the first keys can be created through the API.
+ */
+class AuthService {
+
+    /**
+     * @param {Db} db - The database service.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Creates a key. The plain key is returned only here, the database keeps its hash.
+     *
+     * @param {string} name - A name telling who uses the key.
+     * @param {string} role - One of API_KEY_ROLES.
+     * @returns {Promise<Object>} The stored key with the plain key in the `key` field.
+     */
+    async create(name, role) {
+        const key = API_KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+        const record = {
+            name: name,
+            role: role,
+            key_prefix: key.substring(0, API_KEY_PREFIX.length + 6),
+            key_hash: hashSecret(key),
+            created_at: new Date().toISOString()
+        };
+        const { lastID } = await this.db.insertInTable("api_keys", record);
+
+        logMessage(LOG_TYPES.I, "AuthService.create", `API key ${lastID} (${name}, ${role}) created`);
+        const { key_hash, ...result } = record;
+        return { id: lastID, ...result, key: key };
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} All keys without their hashes.
+     */
+    async list() {
+        const keys = await this.db.query("AuthService.list", "SELECT * FROM api_keys ORDER BY id");
+        return keys.map(({ key_hash, ...key }) => key);
+    }
+
+    /**
+     * @param {number} id - The id of the key.
+     * @returns {Promise<{changes: number}>} changes is 0 if the key does not exist or is revoked already.
+     */
+    revoke(id) {
+        return this.db.run(
+            "AuthService.revoke",
+            "UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL",
+            [new Date().toISOString(), id]
+        );
+    }
+
+    /**
+     * Looks up a key.
+     *
+     * @param {string} key - The plain key sent by the caller.
+     * @returns {Promise<{id: number|null, name: string, role: string}|null>} The key or null if it is unknown or revoked.
+     */
+    async verifyKey(key) {
+        if (!key) {
+            return null;
+        }
+        if (secretsEqual(key, process.env.ADMIN_API_KEY)) {
+            return { id: null, name: "ADMIN_API_KEY", role: "admin" };
+        }
+
+        const keys = await this.db.query(
+            "AuthService.verifyKey",
+            "SELECT id, name, role, last_used_at FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL",
+            [hashSecret(key)]
+        );
+        if (keys.length === 0) {
+            return null;
+        }
+
+        const found = keys[0];
+        if (!found.last_used_at || Date.now() - Date.parse(found.last_used_at) > LAST_USED_INTERVAL) {
+            this.db.run("AuthService.verifyKey", "UPDATE api_keys SET last_used_at = ? WHERE id = ?", [new Date().toISOString(), found.id])
+                .catch(() => {});
+        }
+        return { id: found.id, name: found.name, role: found.role };
+    }
+
+    /**
+     * Stores the application token Bitrix sends with the event calls of a portal.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {string|null} token - The token, or null to remove it.
+     * @returns {Promise<{changes: number}>}
+     */
+    setApplicationToken(portalId, token) {
+        return this.db.updateTable("portals", { application_token_hash: token ? hashSecret(token) : null }, { id: portalId });
+    }
+
+    /**
+     * Lets the next event call of a portal without an application token store the token it carries,
+     * for portals registered before event calls were verified, whose token is not at hand.
+     * An admin arms the capture and then triggers an event in Bitrix, e.g. by editing a deal.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {number} [minutes] - How long the capture stays armed.
+     * @returns {Promise<string>} The time until which the capture is armed as ISO string.
+     */
+    async startApplicationTokenCapture(portalId, minutes = DEFAULT_CAPTURE_MINUTES) {
+        const until = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+        await this.db.insertInTable("settings", {
+            portal_id: portalId,
+            key: APPLICATION_TOKEN_CAPTURE_KEY,
+            value: until,
+            updated_at: new Date().toISOString()
+        });
+        logMessage(LOG_TYPES.A, "AuthService.startApplicationTokenCapture", `Application token capture of portal ${portalId} armed until ${until}`);
+        return until;
+    }
+
+    /**
+     * Stores the token of an event call if a capture of the portal is armed, see startApplicationTokenCapture.
+     *
+     * @returns {Promise<boolean>} true if the token was stored.
+     */
+    async captureApplicationToken(portalId, token) {
+        const [capture] = await this.db.getByFilter("settings", { portal_id: portalId, key: APPLICATION_TOKEN_CAPTURE_KEY });
+        if (!capture || !token || Date.parse(capture.value) < Date.now()) {
+            return false;
+        }
+        await this.setApplicationToken(portalId, token);
+        await this.db.deleteFromTable("settings", { portal_id: portalId, key: APPLICATION_TOKEN_CAPTURE_KEY });
+        logMessage(LOG_TYPES.A, "AuthService.captureApplicationToken", `Application token of portal ${portalId} captured from an event call`);
+        return true;
+    }
+
+    /**
+     * @returns {Promise<Array<string>>} The ids of the portals without an application token, whose event calls are rejected.
+     */
+    async getPortalsWithoutApplicationToken() {
+        const portals = await this.db.query(
+            "AuthService.getPortalsWithoutApplicationToken",
+            "SELECT id FROM portals WHERE application_token_hash IS NULL ORDER BY id"
+        );
+        return portals.map(portal => portal.id);
+    }
+
+    /**
+     * Checks the application token of an event call against the one stored for the portal.
+     * Without a stored token the call is only accepted while a capture is armed, and its token is stored.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {string|null} token - The token sent by Bitrix.
+     * @returns {Promise<string|null>} The reason of the rejection, or null if the token is valid.
+     */
+    async verifyApplicationToken(portalId, token) {
+        const portals = await this.db.getByFilter("portals", { id: portalId });
+        const expected = portals.length > 0 ? portals[0].application_token_hash : null;
+        if (!expected) {
+            if (await this.captureApplicationToken(portalId, token)) {
+                return null;
+            }
+            return `no application_token is configured for portal ${portalId}, ` +
+                "set it with set_application_token/ or capture it from the next event with capture_application_token/";
+        }
+        if (!token) {
+            return "auth[application_token] is missing";
+        }
+        const actual = hashSecret(token);
+        if (!crypto.timingSafeEqual(Buffer.from(actual, "hex"), Buffer.from(expected, "hex"))) {
+            return "auth[application_token] does not match";
+        }
+        return null;
+    }
+}
+
+export {
+    AuthService,
+    DEFAULT_CAPTURE_MINUTES,
+    getRequestApiKey,
+    getEventApplicationToken,
+    hasRole,
+    hashSecret,
+    API_KEY_ROLES
+};
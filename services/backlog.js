@@ -0,0 +1,317 @@
+import { logMessage } from "../logger/logger.js";
+import { isValidCurrency } from "./currency.js";
+
+/**
+ * At most this many rejected records are stored with a backlog and listed in a replay report.
+ */
+const MAX_REPORTED_ERRORS = 100;
+
+const OPTIONAL_ROW_NUMBERS = ["price_netto", "price_final", "discount", "discount_rate", "tax_rate"];
+
+/**
+ * @param {*} value - A number or a numeric string, as Bitrix sends them.
+ * @returns {number} The number, NaN if the value is not numeric.
+ */
+function toNumber(value) {
+    if (typeof value === "number") {
+        return value;
+    }
+    return typeof value === "string" && value.trim() !== "" ? Number(value) : NaN;
+}
+
+function isMissing(value) {
+    return value === undefined || value === null;
+}
+
+/**
+ * Checks a product row of a backlog deal and maps it to a deals_products record.
+ * Rows have the fields of the product rows returned by get_deals_with_productrows/, line_total is ignored.
+ *
+ * @param {Object} row - The product row.
+ * @returns {{record: Object|null, errors: Array<string>}} The record, or null with the schema errors.
+ */
+function normalizeProductRow(row) {
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+        return { record: null, errors: ["a product row must be an object"] };
+    }
+
+    const errors = [];
+    const rowId = toNumber(row.row_id);
+    const productId = toNumber(row.product_id);
+    const price = toNumber(row.price);
+    const quantity = toNumber(row.quantity);
+    if (!Number.isInteger(rowId) || rowId <= 0) {
+        errors.push("row_id must be a positive integer");
+    }
+    if (!Number.isInteger(productId) || productId < 0) {
+        errors.push(`product_id of row ${row.row_id} must be an integer`);
+    }
+    if (!Number.isFinite(price) || price < 0) {
+        errors.push(`price of row ${row.row_id} must be a non-negative number`);
+    }
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+        errors.push(`quantity of row ${row.row_id} must be a positive number`);
+    }
+    for (const field of OPTIONAL_ROW_NUMBERS) {
+        if (!isMissing(row[field]) && !Number.isFinite(toNumber(row[field]))) {
+            errors.push(`${field} of row ${row.row_id} must be a number`);
+        }
+    }
+    if (!isMissing(row.discount_type_id) && !Number.isInteger(toNumber(row.discount_type_id))) {
+        errors.push(`discount_type_id of row ${row.row_id} must be an integer`);
+    }
+    if (!isMissing(row.tax_included) && ![true, false, 0, 1, "Y", "N"].includes(row.tax_included)) {
+        errors.push(`tax_included of row ${row.row_id} must be a boolean`);
+    }
+    for (const field of ["product_name", "measure_name"]) {
+        if (!isMissing(row[field]) && typeof row[field] !== "string") {
+            errors.push(`${field} of row ${row.row_id} must be a string`);
+        }
+    }
+    if (errors.length > 0) {
+        return { record: null, errors: errors };
+    }
+
+    const optionalNumber = field => isMissing(row[field]) ? null : toNumber(row[field]);
+    return {
+        record: {
+            row_id: rowId,
+            product_id: productId,
+            product_name: row.product_name ?? null,
+            price: price,
+            price_netto: optionalNumber("price_netto"),
+            price_final: optionalNumber("price_final"),
+            quantity: quantity,
+            discount: optionalNumber("discount"),
+            discount_rate: optionalNumber("discount_rate"),
+            discount_type_id: optionalNumber("discount_type_id"),
+            tax_rate: optionalNumber("tax_rate"),
+            tax_included: isMissing(row.tax_included) ? null : ([true, 1, "Y"].includes(row.tax_included) ? 1 : 0),
+            measure_name: row.measure_name ?? null
+        },
+        errors: []
+    };
+}
+
+/**
+ * Checks a deal of a backlog and maps it to a deals record and its deals_products records.
+ * Deals have the fields of the deals returned by get_deals_with_productrows/ (deal_id, deal_title, date_create,
+ * currency_id, productrows) or of the deals table (id, title, category_id, price_type, date_create, currency_id).
+ * A deal without productrows keeps its stored rows on replay, like a deal without some fields keeps their stored values.
+ *
+ * @param {Object} deal - The deal.
+ * @returns {{deal: Object|null, productrows: Array<Object>|null, errors: Array<string>}} The records, or null with the schema errors.
+ */
+function normalizeDeal(deal) {
+    if (!deal || typeof deal !== "object" || Array.isArray(deal)) {
+        return { deal: null, productrows: null, errors: ["a deal must be an object"] };
+    }
+
+    const errors = [];
+    const id = toNumber(deal.deal_id ?? deal.id);
+    const title = deal.deal_title ?? deal.title;
+    if (!Number.isInteger(id) || id <= 0) {
+        errors.push("deal_id must be a positive integer");
+    }
+    if (!isMissing(title) && typeof title !== "string") {
+        errors.push("deal_title must be a string");
+    }
+    for (const field of ["category_id", "price_type"]) {
+        if (!isMissing(deal[field]) && !Number.isInteger(toNumber(deal[field]))) {
+            errors.push(`${field} must be an integer`);
+        }
+    }
+    if (typeof deal.date_create !== "string" || isNaN(Date.parse(deal.date_create))) {
+        errors.push("date_create must be an ISO date");
+    }
+    if (!isMissing(deal.currency_id) && !isValidCurrency(deal.currency_id)) {
+        errors.push("currency_id must be a 3-letter currency code");
+    }
+    if (!isMissing(deal.productrows) && !Array.isArray(deal.productrows)) {
+        errors.push("productrows must be an array");
+    }
+
+    const productrows = Array.isArray(deal.productrows) ? deal.productrows.map(normalizeProductRow) : null;
+    productrows?.forEach(row => errors.push(...row.errors));
+    if (errors.length > 0) {
+        return { deal: null, productrows: null, errors: errors };
+    }
+
+    // Fields the deal does not have are left out, so they keep their stored values on replay
+    const record = { id: id, date_create: deal.date_create };
+    if (title !== undefined) {
+        record.title = title;
+    }
+    for (const field of ["category_id", "price_type"]) {
+        if (deal[field] !== undefined) {
+            record[field] = isMissing(deal[field]) ? null : toNumber(deal[field]);
+        }
+    }
+    if (deal.currency_id !== undefined) {
+        record.currency_id = deal.currency_id;
+    }
+    return {
+        deal: record,
+        productrows: productrows ? productrows.map(row => row.record) : null,
+        errors: []
+    };
+}
+
+/**
+ * Checks the deals of a backlog against the schema. A deal is rejected as a whole when it or any of its
+ * product rows is invalid, or when its id or one of its row ids appeared earlier in the backlog.
+ *
+ * @param {Array<Object>} data - The deals of the backlog.
+ * @returns {{deals: Array<{index: number, deal: Object, productrows: Array<Object>|null}>, productrows: number,
+ *          rejected: Array<{index: number, deal_id: *, errors: Array<string>}>}} The valid deals, the number of their
+ *          product rows and the rejected deals, both with their position in the backlog.
+ */
+function validateBacklog(data) {
+    const deals = [];
+    const rejected = [];
+    const dealIds = new Set();
+    const rowIds = new Set();
+    let productrows = 0;
+
+    data.forEach((item, index) => {
+        const normalized = normalizeDeal(item);
+        const errors = [...normalized.errors];
+        if (normalized.deal && dealIds.has(normalized.deal.id)) {
+            errors.push(`deal ${normalized.deal.id} appears more than once`);
+        }
+        normalized.productrows?.filter(row => rowIds.has(row.row_id))
+            .forEach(row => errors.push(`row ${row.row_id} appears more than once`));
+
+        if (errors.length > 0) {
+            rejected.push({ index: index, deal_id: item?.deal_id ?? item?.id ?? null, errors: errors });
+            return;
+        }
+        dealIds.add(normalized.deal.id);
+        normalized.productrows?.forEach(row => rowIds.add(row.row_id));
+        productrows += normalized.productrows ? normalized.productrows.length : 0;
+        deals.push({ index: index, deal: normalized.deal, productrows: normalized.productrows });
+    });
+    return { deals: deals, productrows: productrows, rejected: rejected };
+}
+
+/**
+ * @param {Object} row - A backlogs row.
+ * @returns {Object} The backlog with its errors and replay report parsed, without the payload.
+ */
+function toBacklogSummary({ payload, errors, replay_report, ...backlog }) {
+    return { ...backlog, errors: JSON.parse(errors), replay_report: replay_report ? JSON.parse(replay_report) : null };
+}
+
+/**
+ * The `BacklogService` class stores the deals posted to write_backlog/ in the backlogs table, checked against
+ * the backlog schema, and replays them into the deals and deals_products tables.
+ */
+class BacklogService {
+
+    /**
+     * @param {Db} db - The database service.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Stores a backlog as posted. Invalid deals are stored too, with their errors, and skipped on replay.
+     *
+     * @param {string} portalId - The id of the portal the deals belong to.
+     * @param {Array<Object>} data - The deals.
+     * @param {string|null} createdBy - The name of the API key that posted the backlog.
+     * @returns {Promise<Object>} The stored backlog without its payload.
+     */
+    async create(portalId, data, createdBy) {
+        const { deals, productrows, rejected } = validateBacklog(data);
+        const backlog = {
+            portal_id: portalId,
+            deals: deals.length,
+            productrows: productrows,
+            rejected: rejected.length,
+            errors: JSON.stringify(rejected.slice(0, MAX_REPORTED_ERRORS)),
+            payload: JSON.stringify(data),
+            created_by: createdBy,
+            created_at: new Date().toISOString()
+        };
+        const { lastID } = await this.db.insertInTable("backlogs", backlog);
+
+        logMessage(LOG_TYPES.I, "BacklogService.create", `Backlog ${lastID} of portal ${portalId} stored: ${deals.length} deal(s), ${rejected.length} rejected`);
+        return toBacklogSummary({ id: lastID, ...backlog, replayed_at: null, replay_report: null });
+    }
+
+    /**
+     * @param {string} portalId - The id of the portal.
+     * @param {number} [limit=50] - Maximum number of backlogs to return.
+     * @param {number} [offset=0] - Number of backlogs to skip.
+     * @returns {Promise<{total: number, backlogs: Array<Object>}>} The backlogs without their payloads, most recent first.
+     */
+    async list(portalId, limit = 50, offset = 0) {
+        const [{ total }] = await this.db.query("BacklogService.list", "SELECT COUNT(*) AS total FROM backlogs WHERE portal_id = ?", [portalId]);
+        const backlogs = await this.db.query(
+            "BacklogService.list",
+            "SELECT * FROM backlogs WHERE portal_id = ? ORDER BY id DESC LIMIT ? OFFSET ?",
+            [portalId, limit, offset]
+        );
+        return { total: total, backlogs: backlogs.map(toBacklogSummary) };
+    }
+
+    /**
+     * @param {string} portalId - The id of the portal.
+     * @param {number} id - The id of the backlog.
+     * @returns {Promise<Object|null>} The backlog with its payload in `data`, or null if it does not exist.
+     */
+    async get(portalId, id) {
+        const [backlog] = await this.db.getByFilter("backlogs", { portal_id: portalId, id: id });
+        return backlog ? { ...toBacklogSummary(backlog), data: JSON.parse(backlog.payload) } : null;
+    }
+
+    /**
+     * Writes the valid deals of a backlog and their product rows to the database.
+     * The deals are checked again, so a backlog stored before a schema change is replayed by the current schema.
+     * Deals with row ids stored under another deal are rejected too.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {number} id - The id of the backlog.
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Only report what a replay would change.
+     * @returns {Promise<Object|null>} The report: { dry_run, deals: { inserted, updated, rejected },
+     *          productrows: { inserted, updated, deleted, rejected }, rejected: [{ index, deal_id, errors }] },
+     *          or null if the backlog does not exist.
+     */
+    async replay(portalId, id, { dryRun = false } = {}) {
+        const [backlog] = await this.db.getByFilter("backlogs", { portal_id: portalId, id: id });
+        if (!backlog) {
+            return null;
+        }
+
+        const data = JSON.parse(backlog.payload);
+        const { deals, rejected: invalid } = validateBacklog(data);
+        const { rejected: conflicting, ...counts } = await this.db.importDeals(portalId, deals, { dryRun: dryRun });
+        const indexes = new Map(deals.map(({ index, deal }) => [deal.id, index]));
+        const rejected = [...invalid, ...conflicting.map(({ deal_id, errors }) => ({ index: indexes.get(deal_id), deal_id: deal_id, errors: errors }))]
+            .sort((a, b) => a.index - b.index);
+        const rejectedRows = rejected.reduce((sum, { index }) => sum + (Array.isArray(data[index]?.productrows) ? data[index].productrows.length : 0), 0);
+        const report = {
+            dry_run: dryRun,
+            deals: { ...counts.deals, rejected: rejected.length },
+            productrows: { ...counts.productrows, rejected: rejectedRows },
+            rejected: rejected.slice(0, MAX_REPORTED_ERRORS)
+        };
+
+        if (!dryRun) {
+            await this.db.updateTable("backlogs", { replayed_at: new Date().toISOString(), replay_report: JSON.stringify(report) }, { id: id });
+        }
+        logMessage(LOG_TYPES.I, "BacklogService.replay", `Backlog ${id} of portal ${portalId} ${dryRun ? "checked" : "replayed"}: `
+            + `${report.deals.inserted} deal(s) inserted, ${report.deals.updated} updated, ${report.deals.rejected} rejected`);
+        return report;
+    }
+}
+
+export {
+    BacklogService,
+    validateBacklog,
+    normalizeDeal,
+    normalizeProductRow
+};
@@ -0,0 +1,435 @@
+import { logMessage } from "../logger/logger.js";
+import { metrics } from "./metrics.js";
+
+/**
+ * Bitrix accepts at most 50 commands in one batch request.
+ */
+const MAX_BATCH_COMMANDS = 50;
+
+/**
+ * Bitrix returns list results in pages of 50 records.
+ */
+const LIST_PAGE_SIZE = 50;
+
+/**
+ * Inbound webhooks may run 2 requests per second on average, short bursts above that are tolerated by the portal.
+ * Read on every call, since .env is loaded after the modules are imported.
+ *
+ * @returns {{rate: number, burst: number}} BX_RATE_LIMIT and BX_RATE_BURST in .env or the defaults.
+ */
+function getDefaultRateLimit() {
+    return {
+        rate: Number(process.env.BX_RATE_LIMIT) || 2,
+        burst: Number(process.env.BX_RATE_BURST) || 10
+    };
+}
+
+const DEFAULT_RETRY = {
+    retries: 5,
+    minDelay: 500,
+    maxDelay: 30000
+};
+
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Errors of single batch commands that are worth sending the command again for.
+ */
+const RETRYABLE_COMMAND_ERRORS = ["QUERY_LIMIT_EXCEEDED"];
+
+/**
+ * Base class of every error raised by the Bitrix client.
+ */
+class BitrixError extends Error {
+
+    /**
+     * @param {string} message - The error message.
+     * @param {Object} [details]
+     * @param {string} [details.code] - The Bitrix error code, e.g. QUERY_LIMIT_EXCEEDED.
+     * @param {number} [details.status] - The HTTP status of the response.
+     * @param {string} [details.method] - The REST method that failed.
+     */
+    constructor(message, { code = null, status = null, method = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.status = status;
+        this.method = method;
+    }
+}
+
+/**
+ * The portal rejected the request with QUERY_LIMIT_EXCEEDED. Retried with backoff.
+ */
+class BitrixRateLimitError extends BitrixError {}
+
+/**
+ * The portal answered with a 5xx status. Retried with backoff, except for writes the portal may have processed anyway.
+ */
+class BitrixServerError extends BitrixError {}
+
+/**
+ * The portal could not be reached or did not answer in time. Retried with backoff, except for writes
+ * the portal may have processed before the answer got lost.
+ */
+class BitrixNetworkError extends BitrixError {}
+
+/**
+ * Some commands of a batch request failed. The results of the succeeded commands are kept in `result`.
+ */
+class BitrixBatchError extends BitrixError {
+
+    /**
+     * @param {Object<string, {error: string, error_description: string}>} errors - Errors by command name.
+     * @param {Object<string, *>} result - Results of the succeeded commands by command name.
+     */
+    constructor(errors, result) {
+        const names = Object.keys(errors);
+        super(`${names.length} batch command(s) failed: ${names.map(name => `${name}: ${errors[name].error_description || errors[name].error}`).join("; ")}`, { code: "BATCH_COMMAND_FAILED" });
+        this.errors = errors;
+        this.result = result;
+    }
+}
+
+/**
+ * @param {Error} error - An error raised by the client.
+ * @param {boolean} [idempotent=true] - Whether sending the request twice does no harm. A request rejected over
+ *        the rate limit was not processed, so it is sent again either way.
+ * @returns {boolean} true if the request may succeed when sent again.
+ */
+function isRetryable(error, idempotent = true) {
+    if (error instanceof BitrixRateLimitError) {
+        return true;
+    }
+    return idempotent && (error instanceof BitrixServerError || error instanceof BitrixNetworkError);
+}
+
+/**
+ * Serializes params the way PHP parses a query string, e.g. filter[>DATE_MODIFY]=... or select[0]=ID.
+ *
+ * @param {Object} params - The method params.
+ * @param {string} [prefix] - The key of the enclosing object.
+ * @returns {string} The query string without the leading "?".
+ */
+function toQueryString(params, prefix = null) {
+    const parts = [];
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined) {
+            continue;
+        }
+        const name = prefix === null ? key : `${prefix}[${key}]`;
+        if (value !== null && typeof value === "object") {
+            parts.push(toQueryString(value, name));
+        } else {
+            parts.push(`${encodeURIComponent(name)}=${encodeURIComponent(value === null ? "" : value)}`);
+        }
+    }
+    return parts.filter(part => part !== "").join("&");
+}
+
+/**
+ * The `RateLimiter` class is a token bucket: up to `burst` requests go out at once,
+ * after that the bucket refills with `rate` requests per second.
+ */
+class RateLimiter {
+
+    /**
+     * @param {number} rate - Requests per second.
+     * @param {number} burst - The bucket size.
+     */
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+        this.queue = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Resolves when a request may be sent. Waiting callers are served in order.
+     *
+     * @returns {Promise<void>}
+     */
+    acquire() {
+        const turn = this.queue.then(async () => {
+            this.refill();
+            if (this.tokens < 1) {
+                await sleep((1 - this.tokens) / this.rate * 1000);
+                this.refill();
+            }
+            this.tokens -= 1;
+        });
+        this.queue = turn;
+        return turn;
+    }
+
+    /**
+     * Empties the bucket, so the next requests are spread at the base rate. Called after the portal rejected a request.
+     */
+    drain() {
+        this.tokens = 0;
+        this.updatedAt = Date.now();
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * The rate limiters by portal host. The portal limits all requests to it, so every client of a portal,
+ * e.g. of a webhook event and of a running sync, takes its turn from the same bucket.
+ */
+const limiters = new Map();
+
+/**
+ * @param {string} link - The inbound webhook URL.
+ * @param {{rate: number, burst: number}} rateLimit - Requests per second and the burst size.
+ * @returns {RateLimiter} The limiter of the portal, created on first use. Later settings replace the earlier ones.
+ */
+function getLimiter(link, { rate, burst }) {
+    const host = new URL(link).host;
+    if (!limiters.has(host)) {
+        limiters.set(host, new RateLimiter(rate, burst));
+    }
+    const limiter = limiters.get(host);
+    limiter.rate = rate;
+    limiter.burst = burst;
+    return limiter;
+}
+
+/**
+ * The `BitrixClient` class sends REST requests to a portal through its inbound webhook.
+ * Requests are rate limited per portal, failed requests are retried with exponential backoff
+ * when the failure is temporary, and every failure is raised as a BitrixError.
+ */
+class BitrixClient {
+
+    /**
+     * @param {string} link - The inbound webhook URL, e.g. https://portal.bitrix24.ru/rest/1/token/.
+     * @param {Object} [options]
+     * @param {{rate: number, burst: number}} [options.rateLimit] - Requests per second and the burst size.
+     * @param {{retries: number, minDelay: number, maxDelay: number}} [options.retry] - Retry count and backoff bounds in ms.
+     * @param {number} [options.timeout] - Request timeout in ms.
+     */
+    constructor(link, { rateLimit = getDefaultRateLimit(), retry = DEFAULT_RETRY, timeout = DEFAULT_TIMEOUT } = {}) {
+        this.link = link.endsWith("/") ? link : link + "/";
+        this.limiter = getLimiter(this.link, rateLimit);
+        this.retry = retry;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Sends a single request without retries, once the rate limiter lets it through, and records it in the metrics.
+     *
+     * @param {string} method - The REST method, e.g. crm.deal.list.
+     * @param {Object} params - The method params.
+     * @returns {Promise<Object>} The response payload with result, total and next fields.
+     * @throws {BitrixError}
+     */
+    async send(method, params) {
+        await this.limiter.acquire();
+
+        const startedAt = Date.now();
+        try {
+            const payload = await this.request(method, params);
+            metrics.increment("bitrix_requests_total", { method: method, outcome: "ok" });
+            return payload;
+        } catch (error) {
+            metrics.increment("bitrix_requests_total", { method: method, outcome: error.name });
+            throw error;
+        } finally {
+            metrics.observe("bitrix_request_duration_seconds", { method: method }, (Date.now() - startedAt) / 1000);
+        }
+    }
+
+    /**
+     * Makes the HTTP request of a REST method and turns a failed response into a typed error.
+     *
+     * @param {string} method - The REST method, e.g. crm.deal.list.
+     * @param {Object} params - The method params.
+     * @returns {Promise<Object>} The response payload with result, total and next fields.
+     * @throws {BitrixError}
+     */
+    async request(method, params) {
+        let response;
+        let payload = null;
+        const startedAt = Date.now();
+        try {
+            response = await fetch(`${this.link}${method}.json`, {
+                method: "POST",
+                headers: { "Content-Type": "application/x-www-form-urlencoded" },
+                body: toQueryString(params),
+                signal: AbortSignal.timeout(this.timeout)
+            });
+            payload = await response.json().catch(() => null);
+        } catch (error) {
+            throw new BitrixNetworkError(`${method}: ${error.message}`, { method: method });
+        }
+        logMessage(LOG_TYPES.D, "BitrixClient.send", `${method} answered HTTP ${response.status} in ${Date.now() - startedAt} ms`);
+
+        const code = payload?.error || null;
+        const message = `${method}: ${payload?.error_description || code || `HTTP ${response.status}`}`;
+        if (code === "QUERY_LIMIT_EXCEEDED" || response.status === 429) {
+            this.limiter.drain();
+            throw new BitrixRateLimitError(message, { code: code, status: response.status, method: method });
+        }
+        if (response.status >= 500) {
+            throw new BitrixServerError(message, { code: code, status: response.status, method: method });
+        }
+        if (!response.ok || code || !payload) {
+            throw new BitrixError(message, { code: code, status: response.status, method: method });
+        }
+        return payload;
+    }
+
+    /**
+     * Sends a request, retrying temporary failures with exponential backoff.
+     *
+     * @param {string} method - The REST method, e.g. crm.deal.get.
+     * @param {Object} [params] - The method params.
+     * @param {Object} [options]
+     * @param {boolean} [options.idempotent=true] - Pass false for writes that must not happen twice, e.g. adding
+     *        a comment: a timeout or a server error is then raised instead of retried, since the portal may have
+     *        processed the request.
+     * @returns {Promise<Object>} The response payload with result, total and next fields.
+     * @throws {BitrixError} When the request fails for good.
+     */
+    async call(method, params = {}, { idempotent = true } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(method, params);
+            } catch (error) {
+                if (!isRetryable(error, idempotent) || attempt >= this.retry.retries) {
+                    throw error;
+                }
+                const delay = this.getRetryDelay(attempt);
+                logMessage(LOG_TYPES.W, "BitrixClient.call", `${error.message}, retry ${attempt + 1} of ${this.retry.retries} in ${Math.round(delay)} ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * @param {number} attempt - The number of the failed attempt, starting at 0.
+     * @returns {number} The delay before the next attempt in ms: exponential backoff with jitter.
+     */
+    getRetryDelay(attempt) {
+        return Math.min(this.retry.maxDelay, this.retry.minDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+    }
+
+    /**
+     * Runs any number of commands in batch requests of up to 50 commands each.
+     * Commands that failed over the rate limit are sent again, other failed commands are reported at the end.
+     *
+     * @param {Object<string, {method: string, params: Object}>} commands - The commands by name.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops before the next batch request once aborted, throwing its reason.
+     * @param {function(number, number, Object)} [options.onProgress] - Called after every batch request with the number
+     *        of commands done, the number of commands and the results received so far by command name.
+     * @returns {Promise<{result: Object<string, *>, total: Object<string, number>}>} Results and list totals by command name.
+     * @throws {BitrixBatchError} If any command failed, after all batches were sent.
+     * @throws {BitrixError} If a batch request itself failed.
+     */
+    async batch(commands, { signal, onProgress } = {}) {
+        const names = Object.keys(commands);
+        const result = {};
+        const total = {};
+        const errors = {};
+
+        for (let i = 0; i < names.length; i += MAX_BATCH_COMMANDS) {
+            signal?.throwIfAborted();
+            let pending = names.slice(i, i + MAX_BATCH_COMMANDS);
+
+            // Commands rejected over the rate limit are sent again with the backoff of call()
+            for (let attempt = 0; pending.length > 0; attempt++) {
+                const cmd = {};
+                pending.forEach(name => {
+                    const { method, params } = commands[name];
+                    cmd[name] = params ? `${method}?${toQueryString(params)}` : method;
+                });
+
+                const payload = await this.call("batch", { halt: 0, cmd: cmd });
+                Object.assign(result, payload.result.result);
+                Object.assign(total, payload.result.result_total);
+                const failed = payload.result.result_error && !Array.isArray(payload.result.result_error) ? payload.result.result_error : {};
+
+                const retryable = pending.filter(name => failed[name] && RETRYABLE_COMMAND_ERRORS.includes(failed[name].error));
+                pending.filter(name => failed[name] && !retryable.includes(name)).forEach(name => {
+                    errors[name] = failed[name];
+                });
+                if (retryable.length > 0 && attempt >= this.retry.retries) {
+                    retryable.forEach(name => {
+                        errors[name] = failed[name];
+                    });
+                    break;
+                }
+                if (retryable.length > 0) {
+                    this.limiter.drain();
+                    const delay = this.getRetryDelay(attempt);
+                    logMessage(LOG_TYPES.W, "BitrixClient.batch", `${retryable.length} batch command(s) over the rate limit, retry ${attempt + 1} of ${this.retry.retries} in ${Math.round(delay)} ms`);
+                    await sleep(delay);
+                }
+                pending = retryable;
+            }
+            onProgress?.(Math.min(i + MAX_BATCH_COMMANDS, names.length), names.length, result);
+        }
+
+        if (Object.keys(errors).length > 0) {
+            throw new BitrixBatchError(errors, result);
+        }
+        return { result: result, total: total };
+    }
+
+    /**
+     * Reads every page of a list method. The first page tells the total, the remaining pages are read in batches.
+     *
+     * @param {string} method - The list method, e.g. crm.deal.list.
+     * @param {Object} [params] - The method params. Pass an order to keep the pages stable.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops before the next request once aborted, throwing its reason.
+     * @param {function(number, number)} [options.onProgress] - Called after every request with the number
+     *        of records read so far and the total.
+     * @returns {Promise<Array<Object>>} The records of all pages.
+     * @throws {BitrixError}
+     */
+    async list(method, params = {}, { signal, onProgress } = {}) {
+        signal?.throwIfAborted();
+        const first = await this.call(method, { ...params, start: 0 });
+        const records = [...first.result];
+        onProgress?.(records.length, first.total ?? records.length);
+        if (first.next === undefined) {
+            return records;
+        }
+
+        const commands = {};
+        for (let start = first.next; start < first.total; start += LIST_PAGE_SIZE) {
+            commands[`page_${start}`] = { method: method, params: { ...params, start: start } };
+        }
+        const { result } = await this.batch(commands, {
+            signal: signal,
+            onProgress: onProgress && (done => onProgress(Math.min(first.next + done * LIST_PAGE_SIZE, first.total), first.total))
+        });
+        Object.keys(commands).forEach(name => records.push(...result[name]));
+        return records;
+    }
+}
+
+export {
+    BitrixClient,
+    BitrixError,
+    BitrixRateLimitError,
+    BitrixServerError,
+    BitrixNetworkError,
+    BitrixBatchError,
+    RateLimiter,
+    isRetryable,
+    toQueryString,
+    MAX_BATCH_COMMANDS
+};
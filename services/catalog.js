@@ -0,0 +1,154 @@
+import { getLineTotal, getQuantity, round } from "./stats.js";
+
+/**
+ * Converts the sold prices of rows with the currency and date of their deal and the catalog price
+ * with the catalog currency on the same date, so both are comparable in the converter's currency.
+ * Rows of products missing from the catalog only have their sold prices converted.
+ *
+ * @param {Array<Object>} rows - Rows returned by Db.getProductRowsWithCatalogPrice.
+ * @param {CurrencyConverter} converter - A converter to the currency of the comparison.
+ * @returns {Array<Object>} Copies of the rows with converted prices and currency_id set to the target.
+ * @throws {MissingRateError} If a rate is missing.
+ */
+function convertCatalogRows(rows, converter) {
+    const sold = converter.convertRows(rows);
+    const catalog = converter.convertRows(
+        sold.filter(row => row.in_catalog).map(row => ({ ...row, currency_id: row.catalog_currency_id })),
+        ["catalog_price"]
+    );
+    let index = 0;
+    return sold.map(row => row.in_catalog ? { ...row, catalog_price: catalog[index++].catalog_price } : row);
+}
+
+/**
+ * Accumulates what the rows of a product or section sold for compared to the catalog price.
+ */
+class CatalogDeviation {
+    constructor() {
+        this.rows = 0;
+        this.quantity = 0;
+        this.soldTotal = 0;
+        this.catalogTotal = 0;
+        this.below = 0;
+        this.above = 0;
+        this.at = 0;
+    }
+
+    add(row) {
+        const quantity = getQuantity(row);
+        const soldTotal = getLineTotal(row);
+        const catalogPrice = Number(row.catalog_price) || 0;
+        this.rows++;
+        this.quantity += quantity;
+        this.soldTotal += soldTotal;
+        this.catalogTotal += catalogPrice * quantity;
+
+        // Unit prices are compared in cents, so conversion noise does not count as a deviation
+        const unitPrice = round(quantity !== 0 ? soldTotal / quantity : Number(row.price_final) || 0);
+        if (unitPrice < round(catalogPrice)) {
+            this.below++;
+        } else if (unitPrice > round(catalogPrice)) {
+            this.above++;
+        } else {
+            this.at++;
+        }
+    }
+
+    /**
+     * @returns {Object} { rows, quantity, sold_total, catalog_total, difference, difference_percent,
+     *          rows_below, rows_at, rows_above }. difference is sold minus catalog, negative when sold below catalog.
+     */
+    toJSON() {
+        const difference = this.soldTotal - this.catalogTotal;
+        return {
+            rows: this.rows,
+            quantity: round(this.quantity),
+            sold_total: round(this.soldTotal),
+            catalog_total: round(this.catalogTotal),
+            difference: round(difference),
+            difference_percent: this.catalogTotal !== 0 ? round(difference / this.catalogTotal * 100) : null,
+            rows_below: this.below,
+            rows_at: this.at,
+            rows_above: this.above
+        };
+    }
+}
+
+/**
+ * Compares what products and catalog sections sold for with their catalog prices.
+ * Every row counts with its quantity: the catalog total of a row is its catalog price times its quantity.
+ * Rows of products missing from the synced catalog or without a catalog price are only summed up in not_in_catalog.
+ *
+ * @param {Array<Object>} rows - Rows returned by Db.getProductRowsWithCatalogPrice, converted by convertCatalogRows.
+ * @returns {{products: Array<Object>, sections: Array<Object>, not_in_catalog: Object}} One entry per product
+ *          { product_id, product_name, section_id, catalog_price, avg_sold_price, ...CatalogDeviation }
+ *          and per section { section_id, section_name, parent_id, products, ...CatalogDeviation },
+ *          both sorted by difference, the largest shortfall first.
+ */
+function calculateCatalogPriceComparison(rows) {
+    const products = new Map();
+    const sections = new Map();
+    const notInCatalog = { rows: 0, quantity: 0, sold_total: 0, product_ids: new Set() };
+
+    rows.forEach(row => {
+        if (!row.in_catalog || row.catalog_price === null || row.catalog_price === undefined) {
+            notInCatalog.rows++;
+            notInCatalog.quantity += getQuantity(row);
+            notInCatalog.sold_total += getLineTotal(row);
+            notInCatalog.product_ids.add(row.product_id);
+            return;
+        }
+
+        if (!products.has(row.product_id)) {
+            products.set(row.product_id, {
+                product_name: row.catalog_name || row.product_name,
+                section_id: row.section_id,
+                deviation: new CatalogDeviation()
+            });
+        }
+        products.get(row.product_id).deviation.add(row);
+
+        const sectionId = row.section_id ?? null;
+        if (!sections.has(sectionId)) {
+            sections.set(sectionId, {
+                section_name: row.section_name ?? null,
+                parent_id: row.section_parent_id ?? null,
+                product_ids: new Set(),
+                deviation: new CatalogDeviation()
+            });
+        }
+        const section = sections.get(sectionId);
+        section.product_ids.add(row.product_id);
+        section.deviation.add(row);
+    });
+
+    const byDifference = (a, b) => a.difference - b.difference;
+    return {
+        products: [...products.entries()].map(([productId, product]) => {
+            const deviation = product.deviation.toJSON();
+            return {
+                product_id: productId,
+                product_name: product.product_name,
+                section_id: product.section_id ?? null,
+                catalog_price: deviation.quantity !== 0 ? round(product.deviation.catalogTotal / product.deviation.quantity) : null,
+                avg_sold_price: deviation.quantity !== 0 ? round(product.deviation.soldTotal / product.deviation.quantity) : null,
+                ...deviation
+            };
+        }).sort(byDifference),
+        sections: [...sections.entries()].map(([sectionId, section]) => ({
+            section_id: sectionId,
+            section_name: section.section_name,
+            parent_id: section.parent_id,
+            products: section.product_ids.size,
+            ...section.deviation.toJSON()
+        })).sort(byDifference),
+        not_in_catalog: {
+            rows: notInCatalog.rows,
+            quantity: round(notInCatalog.quantity),
+            sold_total: round(notInCatalog.sold_total),
+            product_ids: [...notInCatalog.product_ids]
+        }
+    };
+}
+
+export { calculateCatalogPriceComparison, convertCatalogRows };
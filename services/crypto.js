@@ -1,81 +1,201 @@
 import crypto from 'crypto';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
 import {logMessage} from "../logger/logger.js";
 
-// AES-256-CBC algorithm and key/iv values (should be from your .env or configuration)
-const algorithm = 'aes-256-cbc';
+// AES-256-GCM for new ciphertexts, AES-256-CBC with the static CRYPTO_IV is only read for values encrypted before
+const algorithm = 'aes-256-gcm';
+const legacyAlgorithm = 'aes-256-cbc';
 
 /**
- * Encrypts a given plaintext string using AES-256-CBC encryption.
+ * Ciphertexts are written as "v2:<key id>:<base64 of IV, auth tag and encrypted data>".
+ * Values without the prefix are base64 AES-256-CBC ciphertexts of the old format.
+ */
+const CIPHERTEXT_VERSION = 'v2';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+/**
+ * Converts a hex key to a buffer.
+ *
+ * @param {string} key - The key in hexadecimal format.
+ * @returns {Buffer} The 32-byte key.
+ * @throws {Error} If the key is not 32 bytes long.
+ */
+function toKeyBuffer(key) {
+    const keyBuffer = Buffer.from(String(key), 'hex');
+    if (keyBuffer.length !== 32) {
+        throw new Error('Invalid key length. AES-256 requires a 32-byte key.');
+    }
+    return keyBuffer;
+}
+
+/**
+ * Identifies a key inside ciphertexts without revealing it.
+ *
+ * @param {string} key - The key in hexadecimal format.
+ * @returns {string} The first 8 hex digits of the SHA-256 hash of the key.
+ */
+function getKeyId(key) {
+    return crypto.createHash('sha256').update(toKeyBuffer(key)).digest('hex').substring(0, 8);
+}
+
+/**
+ * Encrypts a given plaintext string using AES-256-GCM encryption with a random IV.
  *
  * @param {string} text - The plaintext string to be encrypted.
- * @param {string} key - The encryption key (32 bytes).
- * @param {string} iv - The initialization vector (16 bytes).
- * @returns {Promise<string>} The encrypted text in hexadecimal format.
+ * @param {string} key - The encryption key (32 bytes, hex).
+ * @returns {Promise<string>} The versioned ciphertext, e.g. v2:1a2b3c4d:....
  */
-async function encryptText(text, key, iv) {
+async function encryptText(text, key) {
     try {
-        // Ensure key and iv are buffers and properly sized
-        const keyBuffer = Buffer.from(key, 'hex');  // Convert hex key to buffer
-        const ivBuffer = Buffer.from(iv, 'hex');   // Convert hex IV to buffer
+        const keyBuffer = toKeyBuffer(key);
+        const iv = crypto.randomBytes(IV_LENGTH);  // A new IV for every encryption
 
-        if (keyBuffer.length !== 32 || ivBuffer.length !== 16) {
-            throw new Error('Invalid key or IV length. AES-256-CBC requires a 32-byte key and a 16-byte IV.');
-        }
-
-        const cipher = crypto.createCipheriv(algorithm, keyBuffer, ivBuffer);
-        let encrypted = cipher.update(text, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        return encrypted;
+        const cipher = crypto.createCipheriv(algorithm, keyBuffer, iv, { authTagLength: AUTH_TAG_LENGTH });
+        const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+        const payload = Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+        return `${CIPHERTEXT_VERSION}:${getKeyId(key)}:${payload.toString('base64')}`;
     } catch (error) {
         logMessage(LOG_TYPES.E, 'crypto encryptText', error)
     }
 }
 
 /**
- * Decrypts a given encrypted Base64 string using AES-256-CBC decryption.
+ * @param {string} encryptedData - A stored ciphertext.
+ * @returns {boolean} true if the ciphertext has the old AES-256-CBC format.
+ */
+function isLegacyCiphertext(encryptedData) {
+    return !String(encryptedData).startsWith(`${CIPHERTEXT_VERSION}:`);
+}
+
+/**
+ * Decrypts a ciphertext written by encryptText, or a Base64 AES-256-CBC ciphertext of the old format.
  *
- * @param {string} encryptedData - The encrypted data in Base64 format.
- * @param {string} key - The decryption key (32 bytes).
- * @param {string} iv - The initialization vector (16 bytes).
+ * @param {string} encryptedData - The ciphertext.
+ * @param {string|Array<string>} keys - The decryption key, or the current key followed by previous ones (32 bytes, hex).
+ *                                     A versioned ciphertext is decrypted with the key it names.
+ * @param {string} [iv] - The initialization vector of the old format (16 bytes, hex).
  * @returns {Promise<string>} The decrypted plaintext string.
+ * @throws {Error} If no key fits or the ciphertext was modified.
  */
-async function decryptText(encryptedData, key, iv) {
+async function decryptText(encryptedData, keys, iv) {
     try {
-        // Ensure key and iv are buffers and properly sized
-        const keyBuffer = Buffer.from(key, 'hex');  // Convert hex key to buffer
-        const ivBuffer = Buffer.from(iv, 'hex');   // Convert hex IV to buffer
+        const candidates = (Array.isArray(keys) ? keys : [keys]).filter(Boolean);
 
-        if (keyBuffer.length !== 32 || ivBuffer.length !== 16) {
-            throw new Error('Invalid key or IV length. AES-256-CBC requires a 32-byte key and a 16-byte IV.');
-        }
+        if (!isLegacyCiphertext(encryptedData)) {
+            const [, keyId, data] = String(encryptedData).split(':');
+            const key = candidates.find(candidate => getKeyId(candidate) === keyId);
+            if (!key) {
+                throw new Error(`No key with id ${keyId} is configured`);
+            }
 
-        // If the encrypted data is Base64-encoded (as it is from the .env file), decode it first
-        const encryptedDataBuffer = Buffer.from(encryptedData, 'base64');  // Decode Base64 to Buffer
+            const payload = Buffer.from(data, 'base64');
+            const decipher = crypto.createDecipheriv(algorithm, toKeyBuffer(key), payload.subarray(0, IV_LENGTH), { authTagLength: AUTH_TAG_LENGTH });
+            decipher.setAuthTag(payload.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH));  // final() throws if the data was modified
+            return Buffer.concat([decipher.update(payload.subarray(IV_LENGTH + AUTH_TAG_LENGTH)), decipher.final()]).toString('utf8');
+        }
 
-        const decipher = crypto.createDecipheriv(algorithm, keyBuffer, ivBuffer);
-        let decrypted = decipher.update(encryptedDataBuffer, null, 'utf8');  // Decrypt the Buffer data
-        decrypted += decipher.final('utf8');  // Finalize the decryption
-        return decrypted;  // Return the decrypted plaintext string
+        const ivBuffer = Buffer.from(String(iv), 'hex');
+        if (ivBuffer.length !== 16) {
+            throw new Error('Invalid IV length. AES-256-CBC requires a 16-byte IV.');
+        }
+        // The old format has no key id, so every configured key is tried
+        let lastError = new Error('No key is configured');
+        for (const key of candidates) {
+            try {
+                const decipher = crypto.createDecipheriv(legacyAlgorithm, toKeyBuffer(key), ivBuffer);
+                return decipher.update(Buffer.from(encryptedData, 'base64'), null, 'utf8') + decipher.final('utf8');
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
     } catch (error) {
         logMessage(LOG_TYPES.E, 'crypto decryptText', error);
         throw error; // Re-throw the error after logging it
     }
 }
 
+/**
+ * Generates a secure AES-256 key.
+ *
+ * @returns {string} The key in hexadecimal format.
+ */
+function generateCryptoKey() {
+    return crypto.randomBytes(32).toString('hex');  // 32 bytes for AES-256
+}
+
+/**
+ * Loads the encryption keys. With CRYPTO_KEY_FILE set, the keys are read from that file, one per line,
+ * the current key first and previous keys after it. Otherwise CRYPTO_KEY is the current key and
+ * CRYPTO_PREVIOUS_KEYS a comma separated list of previous keys, both from the environment or .env.
+ * Previous keys are only used to read values encrypted before a rotation.
+ *
+ * @returns {{keys: Array<string>, iv: string|undefined, file: string|null}} The keys, current first, the IV of the
+ *          old format and the key file, if any.
+ * @throws {Error} If a key is not a 32-byte hex string.
+ */
+function loadCryptoKeys() {
+    const file = process.env.CRYPTO_KEY_FILE || null;
+    const keys = file
+        ? (fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split(/\r?\n/) : [])
+        : [process.env.CRYPTO_KEY, ...(process.env.CRYPTO_PREVIOUS_KEYS || '').split(',')];
+
+    const result = keys.map(key => (key || '').trim()).filter(key => key !== '' && !key.startsWith('#'));
+    result.forEach(toKeyBuffer);
+    return { keys: result, iv: process.env.CRYPTO_IV, file: file };
+}
+
+/**
+ * Sets values in the .env file, keeping its other lines. A null value removes the variable.
+ *
+ * @param {Object<string, string|null>} values - The values by variable name.
+ * @param {string} [envPath] - Path to the .env file. Defaults to .env in the working directory.
+ */
+function updateEnvFile(values, envPath = path.resolve(process.cwd(), '.env')) {
+    const names = Object.keys(values);
+    const lines = (fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '')
+        .split('\n')
+        .filter(line => line.trim() !== '' && !names.some(name => line.startsWith(`${name}=`)));
+    names.filter(name => values[name] !== null).forEach(name => lines.push(`${name}=${values[name]}`));
+    fs.writeFileSync(envPath, lines.join('\n') + '\n', 'utf8');
+}
 
 /**
- * Generates a secure AES-256-CBC key and IV.
+ * Stores the encryption keys where loadCryptoKeys reads them: in CRYPTO_KEY_FILE if set, otherwise in the .env file.
  *
- * @returns {Object} An object containing the `key` and `iv` in hexadecimal format.
+ * @param {Array<string>} keys - The keys, current first.
+ * @param {string} [envPath] - Path to the .env file. Defaults to .env in the working directory.
+ * @throws {Error} If the keys come from environment variables set outside of .env, which a write to .env would not change.
  */
-function generateCryptoKeyAndIV() {
-    const key = crypto.randomBytes(32);  // 32 bytes for AES-256
-    const iv = crypto.randomBytes(16);   // 16 bytes for IV
-
-    return {
-        CRYPTO_KEY: key.toString('hex'),
-        CRYPTO_IV: iv.toString('hex')
-    };
+function saveCryptoKeys(keys, envPath = path.resolve(process.cwd(), '.env')) {
+    if (process.env.CRYPTO_KEY_FILE) {
+        fs.writeFileSync(process.env.CRYPTO_KEY_FILE, keys.join('\n') + '\n', { encoding: 'utf8', mode: 0o600 });
+        fs.chmodSync(process.env.CRYPTO_KEY_FILE, 0o600);  // mode only applies to a new file
+        return;
+    }
+
+    const envContent = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '';
+    const stored = dotenv.parse(envContent);
+    if (process.env.CRYPTO_KEY && stored.CRYPTO_KEY !== process.env.CRYPTO_KEY) {
+        throw new Error('CRYPTO_KEY is set outside of .env, set CRYPTO_KEY_FILE to let the keys be stored');
+    }
+
+    updateEnvFile({ CRYPTO_KEY: keys[0], CRYPTO_PREVIOUS_KEYS: keys.length > 1 ? keys.slice(1).join(',') : null }, envPath);
+
+    process.env.CRYPTO_KEY = keys[0];
+    process.env.CRYPTO_PREVIOUS_KEYS = keys.slice(1).join(',');
 }
 
-export { encryptText, decryptText, generateCryptoKeyAndIV };
+export {
+    encryptText,
+    decryptText,
+    isLegacyCiphertext,
+    getKeyId,
+    generateCryptoKey,
+    loadCryptoKeys,
+    saveCryptoKeys,
+    updateEnvFile
+};
@@ -0,0 +1,371 @@
+import { logMessage } from "../logger/logger.js";
+
+/**
+ * @returns {string} The currency of deals synced before the currency was stored, DEFAULT_CURRENCY in .env or RUB.
+ */
+function getDefaultCurrency() {
+    return process.env.DEFAULT_CURRENCY || "RUB";
+}
+
+/**
+ * Money fields of a product row that are converted to the target currency.
+ */
+const PRICE_FIELDS = ["price", "price_netto", "price_final", "discount"];
+
+const CSV_COLUMNS = ["from_currency", "to_currency", "rate", "rate_date"];
+
+/**
+ * Raised when a row cannot be converted because no rate of its currency was in effect on the deal date.
+ */
+class MissingRateError extends Error {
+
+    /**
+     * @param {string} target - The target currency.
+     * @param {Array<{currency_id: string, date: string}>} missing - The currencies and dates without a rate.
+     */
+    constructor(target, missing) {
+        super(`No exchange rate to ${target} for: ${missing.map(item => `${item.currency_id} on ${item.date}`).join(", ")}`);
+        this.name = "MissingRateError";
+        this.target = target;
+        this.missing = missing;
+    }
+}
+
+/**
+ * Checks an ISO 4217 currency code, e.g. RUB.
+ *
+ * @param {string} code - The currency code.
+ * @returns {boolean} true if the code is valid.
+ */
+function isValidCurrency(code) {
+    return typeof code === "string" && /^[A-Z]{3}$/.test(code);
+}
+
+/**
+ * Validates an exchange rate coming from the API or a CSV file.
+ *
+ * @param {Object} rate - The rate with from_currency, to_currency, rate and rate_date fields.
+ * @returns {string|null} An error message or null if the rate is valid.
+ */
+function validateRate(rate) {
+    if (!isValidCurrency(rate.from_currency) || !isValidCurrency(rate.to_currency)) {
+        return "from_currency and to_currency must be 3-letter currency codes, e.g. USD";
+    }
+    if (rate.from_currency === rate.to_currency) {
+        return "from_currency and to_currency must differ";
+    }
+    if (!(Number(rate.rate) > 0)) {
+        return "rate must be a positive number";
+    }
+    if (typeof rate.rate_date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(rate.rate_date) || isNaN(Date.parse(rate.rate_date))) {
+        return "rate_date must be in YYYY-MM-DD format";
+    }
+    return null;
+}
+
+/**
+ * Parses exchange rates from CSV with the columns from_currency, to_currency, rate and rate_date.
+ * The header line is optional and may list the columns in any order. Both "," and ";" separate values,
+ * with ";" the rate may use a decimal comma.
+ *
+ * @param {string} text - The CSV content.
+ * @returns {{rates: Array<Object>, errors: Array<{line: number, message: string}>}} The valid rates and the errors by line number.
+ */
+function parseRatesCsv(text) {
+    const lines = String(text).replace(/^\uFEFF/, "").split(/\r?\n/);
+    const delimiter = lines[0] && lines[0].includes(";") ? ";" : ",";
+    let columns = CSV_COLUMNS;
+    const rates = [];
+    const errors = [];
+
+    lines.forEach((line, index) => {
+        if (line.trim() === "") {
+            return;
+        }
+        const cells = line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, "$1"));
+        if (index === 0 && cells.includes("from_currency")) {
+            columns = cells;
+            return;
+        }
+
+        const rate = {};
+        columns.forEach((column, i) => rate[column] = cells[i]);
+        rate.from_currency = (rate.from_currency || "").toUpperCase();
+        rate.to_currency = (rate.to_currency || "").toUpperCase();
+        rate.rate = Number(delimiter === ";" ? String(rate.rate).replace(",", ".") : rate.rate);
+
+        const error = validateRate(rate);
+        if (error) {
+            errors.push({ line: index + 1, message: error });
+        } else {
+            rates.push({ from_currency: rate.from_currency, to_currency: rate.to_currency, rate: rate.rate, rate_date: rate.rate_date });
+        }
+    });
+
+    return { rates, errors };
+}
+
+/**
+ * The `CurrencyConverter` class converts amounts to one target currency with the rates
+ * that were in effect on a given date. Rates towards the target are used as is, rates from
+ * the target are inverted.
+ */
+class CurrencyConverter {
+
+    /**
+     * @param {string} target - The target currency.
+     * @param {Array<Object>} rates - exchange_rates rows from or to the target currency.
+     */
+    constructor(target, rates) {
+        this.target = target;
+        this.factors = new Map();
+
+        const byCurrency = new Map();
+        rates.forEach(rate => {
+            const direct = rate.to_currency === target;
+            const currency = direct ? rate.from_currency : rate.to_currency;
+            if (!byCurrency.has(currency)) {
+                byCurrency.set(currency, new Map());
+            }
+            const dates = byCurrency.get(currency);
+            // A direct rate wins over an inverted one of the same date
+            if (direct || !dates.has(rate.rate_date)) {
+                dates.set(rate.rate_date, direct ? rate.rate : 1 / rate.rate);
+            }
+        });
+        byCurrency.forEach((dates, currency) => {
+            this.factors.set(currency, [...dates.entries()].sort(([a], [b]) => a.localeCompare(b)));
+        });
+    }
+
+    /**
+     * @param {string} currency - The source currency.
+     * @param {string} date - The date as YYYY-MM-DD.
+     * @returns {number|null} The factor converting the currency to the target on that date, or null if no rate was in effect.
+     */
+    getFactor(currency, date) {
+        if (currency === this.target) {
+            return 1;
+        }
+        const factors = this.factors.get(currency) || [];
+        let low = 0;
+        let high = factors.length - 1;
+        let found = null;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (factors[middle][0] <= date) {
+                found = factors[middle][1];
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Converts the money fields of rows with a deal currency_id and date_create.
+     *
+     * @param {Array<Object>} rows - The rows to convert.
+     * @param {Array<string>} [fields] - The money fields. Defaults to PRICE_FIELDS.
+     * @returns {Array<Object>} Copies of the rows with converted fields, currency_id set to the target
+     *          and the deal currency kept in original_currency_id.
+     * @throws {MissingRateError} If any row has no rate in effect on its deal date.
+     */
+    convertRows(rows, fields = PRICE_FIELDS) {
+        const missing = new Map();
+        const converted = rows.map(row => {
+            const currency = row.currency_id || getDefaultCurrency();
+            const date = String(row.date_create).substring(0, 10);
+            const factor = this.getFactor(currency, date);
+            if (factor === null) {
+                missing.set(`${currency} ${date}`, { currency_id: currency, date: date });
+                return row;
+            }
+
+            const result = { ...row, currency_id: this.target, original_currency_id: currency };
+            fields.forEach(field => {
+                if (row[field] !== null && row[field] !== undefined) {
+                    result[field] = Number(row[field]) * factor;
+                }
+            });
+            return result;
+        });
+
+        if (missing.size > 0) {
+            throw new MissingRateError(this.target, [...missing.values()]);
+        }
+        return converted;
+    }
+
+    /**
+     * Converts the product rows of deals with the currency and date_create of their deal.
+     *
+     * @param {Array<Object>} deals - Deals with currency_id, date_create and productrows fields.
+     * @returns {Array<Object>} Copies of the deals with converted productrows, currency_id set to the target
+     *          and the deal currency kept in original_currency_id.
+     * @throws {MissingRateError} If any deal has no rate in effect on its date.
+     */
+    convertDeals(deals) {
+        const rows = deals.flatMap(deal => deal.productrows.map(row => ({ ...row, currency_id: deal.currency_id, date_create: deal.date_create })));
+        const converted = this.convertRows(rows);
+        let index = 0;
+        return deals.map(deal => ({
+            ...deal,
+            currency_id: this.target,
+            original_currency_id: deal.currency_id || getDefaultCurrency(),
+            productrows: deal.productrows.map(() => converted[index++])
+        }));
+    }
+}
+
+/**
+ * The `CurrencyService` class manages the locally stored exchange rates.
+ */
+class CurrencyService {
+
+    /**
+     * @param {Db} db - The database service.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * @param {Object} [filters]
+     * @param {string} [filters.currency] - Rates from or to this currency.
+     * @param {string} [filters.dateFrom] - Lower bound of rate_date (inclusive).
+     * @param {string} [filters.dateTo] - Upper bound of rate_date (inclusive).
+     * @returns {Promise<Array<Object>>} The rates ordered by pair and date.
+     */
+    async list({ currency, dateFrom, dateTo } = {}) {
+        const conditions = ["1 = 1"];
+        const values = [];
+        if (currency) {
+            conditions.push("(from_currency = ? OR to_currency = ?)");
+            values.push(currency, currency);
+        }
+        if (dateFrom) {
+            conditions.push("rate_date >= ?");
+            values.push(dateFrom);
+        }
+        if (dateTo) {
+            conditions.push("rate_date <= ?");
+            values.push(dateTo);
+        }
+        return this.db.query(
+            "CurrencyService.list",
+            `SELECT * FROM exchange_rates WHERE ${conditions.join(" AND ")} ORDER BY from_currency, to_currency, rate_date`,
+            values
+        );
+    }
+
+    /**
+     * @param {number} id - The id of the rate.
+     * @returns {Promise<Object|null>} The rate or null if it does not exist.
+     */
+    async get(id) {
+        const rates = await this.db.getByFilter("exchange_rates", { id: id });
+        return rates.length > 0 ? rates[0] : null;
+    }
+
+    /**
+     * Saves a rate, replacing the rate of the same pair and date.
+     *
+     * @param {Object} rate - A rate that passed validateRate.
+     * @returns {Promise<Object>} The saved rate.
+     */
+    async save(rate) {
+        const record = {
+            from_currency: rate.from_currency,
+            to_currency: rate.to_currency,
+            rate: Number(rate.rate),
+            rate_date: rate.rate_date,
+            updated_at: new Date().toISOString()
+        };
+        const { lastID } = await this.db.insertInTable("exchange_rates", record);
+        return { id: lastID, ...record };
+    }
+
+    /**
+     * @param {number} id - The id of the rate.
+     * @param {Object} rate - A rate that passed validateRate.
+     * @returns {Promise<{changes: number}>} The number of updated rates.
+     */
+    update(id, rate) {
+        return this.db.updateTable("exchange_rates", {
+            from_currency: rate.from_currency,
+            to_currency: rate.to_currency,
+            rate: Number(rate.rate),
+            rate_date: rate.rate_date,
+            updated_at: new Date().toISOString()
+        }, { id: id });
+    }
+
+    /**
+     * @param {number} id - The id of the rate.
+     * @returns {Promise<{changes: number}>} The number of deleted rates.
+     */
+    remove(id) {
+        return this.db.deleteFromTable("exchange_rates", { id: id });
+    }
+
+    /**
+     * Saves many rates in a single transaction, replacing rates of the same pair and date.
+     *
+     * @param {Array<Object>} rates - Rates that passed validateRate, e.g. from parseRatesCsv.
+     * @returns {Promise<{changes: number}>} The number of written rates.
+     */
+    async import(rates) {
+        const updatedAt = new Date().toISOString();
+        const result = await this.db.insertMultipleInTable("exchange_rates", rates.map(rate => ({
+            from_currency: rate.from_currency,
+            to_currency: rate.to_currency,
+            rate: Number(rate.rate),
+            rate_date: rate.rate_date,
+            updated_at: updatedAt
+        })));
+        logMessage(LOG_TYPES.I, "CurrencyService.import", `${result.changes} exchange rate(s) imported`);
+        return result;
+    }
+
+    /**
+     * Loads the rates from and to the target currency.
+     *
+     * @param {string} target - The target currency.
+     * @returns {Promise<CurrencyConverter>} A converter to the target currency.
+     */
+    async createConverter(target) {
+        const rates = await this.db.query(
+            "CurrencyService.createConverter",
+            "SELECT from_currency, to_currency, rate, rate_date FROM exchange_rates WHERE from_currency = ? OR to_currency = ?",
+            [target, target]
+        );
+        return new CurrencyConverter(target, rates);
+    }
+
+    /**
+     * Converts rows with a deal currency_id and date_create to the target currency,
+     * so statistics never mix amounts of different currencies.
+     *
+     * @param {Array<Object>} rows - The rows to convert.
+     * @param {string|null} [target] - The target currency. Defaults to getDefaultCurrency().
+     * @returns {Promise<Array<Object>>} The converted rows.
+     * @throws {MissingRateError} If a rate is missing.
+     */
+    async convertRows(rows, target = null) {
+        const converter = await this.createConverter(target || getDefaultCurrency());
+        return converter.convertRows(rows);
+    }
+}
+
+export {
+    CurrencyService,
+    CurrencyConverter,
+    MissingRateError,
+    isValidCurrency,
+    validateRate,
+    parseRatesCsv,
+    getDefaultCurrency,
+    PRICE_FIELDS
+};
@@ -6,226 +6,342 @@ import { logMessage } from "../logger/logger.js";
 
 const { verbose } = pkg;
 
+const DEFAULT_PORTAL_ID = "default";
+
+/**
+ * Tables whose rows belong to a portal through their portal_id column.
+ * The schema itself is managed by the migrations in db/migrations.
+ */
+const PORTAL_TABLES = ["deals_products", "deals", "sync_runs", "selection_rules", "settings", "sync_state", "price_anomalies", "writeback_log", "backlogs", "products", "product_sections"];
+
+const DEALS_SORT_FIELDS = ["id", "date_create", "title"];
+
+/**
+ * Builds the WHERE conditions on a deal (aliased d).
+ *
+ * @param {Object} filters
+ * @param {string} [filters.dateFrom] - Lower bound of the deal's date_create (YYYY-MM-DD, inclusive).
+ * @param {string} [filters.dateTo] - Upper bound of the deal's date_create (YYYY-MM-DD, inclusive).
+ * @param {Array<number>} [filters.dealIds] - Restricts the result to these deal ids.
+ * @returns {{conditions: Array<string>, values: Array}} The conditions to join with AND and their bound values.
+ */
+function buildDealConditions({ dateFrom, dateTo, dealIds } = {}) {
+    const conditions = [];
+    const values = [];
+    if (dateFrom) {
+        conditions.push("substr(d.date_create, 1, 10) >= ?");
+        values.push(dateFrom);
+    }
+    if (dateTo) {
+        conditions.push("substr(d.date_create, 1, 10) <= ?");
+        values.push(dateTo);
+    }
+    if (Array.isArray(dealIds) && dealIds.length > 0) {
+        conditions.push(`d.id IN (${dealIds.map(() => "?").join(", ")})`);
+        values.push(...dealIds);
+    }
+    return { conditions, values };
+}
+
+/**
+ * Builds the WHERE conditions on a product row (aliased dp).
+ * The product name match is a case-insensitive substring match for latin letters (SQLite LIKE).
+ *
+ * @param {Object} filters
+ * @param {Array<number>} [filters.productIds] - Restricts the result to these product ids.
+ * @param {string} [filters.productName] - Substring of the product name.
+ * @returns {{conditions: Array<string>, values: Array}} The conditions to join with AND and their bound values.
+ */
+function buildRowConditions({ productIds, productName } = {}) {
+    const conditions = [];
+    const values = [];
+    if (Array.isArray(productIds) && productIds.length > 0) {
+        conditions.push(`dp.product_id IN (${productIds.map(() => "?").join(", ")})`);
+        values.push(...productIds);
+    }
+    if (productName) {
+        conditions.push("dp.product_name LIKE ? ESCAPE '\\'");
+        values.push(`%${productName.replace(/[\\%_]/g, char => "\\" + char)}%`);
+    }
+    return { conditions, values };
+}
+
+/**
+ * Builds the WHERE conditions shared by the queries over deals_products joined with deals (aliased dp and d).
+ *
+ * @param {string} portalId - The id of the portal.
+ * @param {Object} filters - Deal and product row filters, see buildDealConditions and buildRowConditions.
+ * @returns {{conditions: Array<string>, values: Array}} The conditions to join with AND and their bound values.
+ */
+function buildProductRowsConditions(portalId, filters = {}) {
+    const deal = buildDealConditions(filters);
+    const row = buildRowConditions(filters);
+    return {
+        conditions: ["dp.portal_id = ?", ...deal.conditions, ...row.conditions],
+        values: [portalId, ...deal.values, ...row.values]
+    };
+}
+
+/**
+ * Builds an INSERT OR REPLACE statement for the given fields.
+ *
+ * @param {string} tableName - The name of the table.
+ * @param {Array<string>} fields - The column names.
+ * @returns {string} The SQL statement with one placeholder per field.
+ */
+function buildInsertQuery(tableName, fields) {
+    return `INSERT OR REPLACE INTO ${tableName} (${fields.join(", ")}) VALUES (${fields.map(() => "?").join(", ")})`;
+}
+
+/**
+ * Builds the WHERE clause of an equality filter, e.g. { id: 1, name: "Tommy" } -> "id = ? AND name = ?".
+ *
+ * @param {Object} filter - Field-value pairs.
+ * @returns {{condition: string, values: Array}} The condition and its bound values.
+ */
+function buildFilterCondition(filter) {
+    return {
+        condition: Object.keys(filter).map(field => `${field} = ?`).join(" AND "),
+        values: Object.values(filter)
+    };
+}
+
+/**
+ * @param {Object} run - A row of the sync_runs table.
+ * @returns {Object} The run with its progress parsed and its flags as booleans.
+ */
+function toSyncRun(run) {
+    return {
+        ...run,
+        full: Boolean(run.full),
+        cancel_requested: Boolean(run.cancel_requested),
+        progress: run.progress ? JSON.parse(run.progress) : null
+    };
+}
+
+/**
+ * Wraps the callback API of a sqlite3 connection into promises.
+ *
+ * @param {Object} connection - The sqlite3 Database.
+ * @returns {{run: function(string, Array=): Promise<{changes: number, lastID: number}>, all: function(string, Array=): Promise<Array>}}
+ */
+function createExecutor(connection) {
+    return {
+        run: (sql, values = []) => new Promise((resolve, reject) => {
+            connection.run(sql, values, function (err) {
+                err ? reject(err) : resolve({ changes: this.changes, lastID: this.lastID });
+            });
+        }),
+        all: (sql, values = []) => new Promise((resolve, reject) => {
+            connection.all(sql, values, (err, rows) => err ? reject(err) : resolve(rows));
+        })
+    };
+}
+
+/**
+ * Inserts or replaces records one by one with a prepared statement. Missing fields are written as NULL,
+ * falsy values such as 0 or "" are kept.
+ *
+ * @param {Object} executor - The executor returned by createExecutor.
+ * @param {string} tableName - The name of the table.
+ * @param {Array<Object>} records - The records, all with the fields of the first one.
+ * @returns {Promise<number>} The number of written rows.
+ */
+async function insertRecords(executor, tableName, records) {
+    const fields = Object.keys(records[0]);
+    const query = buildInsertQuery(tableName, fields);
+    let changes = 0;
+    for (const record of records) {
+        changes += (await executor.run(query, fields.map(field => record[field] ?? null))).changes;
+    }
+    return changes;
+}
+
 /**
  * The `Db` class encapsulates SQLite database operations.
- * It provides utility methods to manage database schemas and perform CRUD operations.
+ * It keeps a single connection to db/database.db in WAL mode and provides promise based CRUD helpers.
+ *
+ * Operations are serialized: a transaction runs alone on the connection, and statements issued while it
+ * runs wait until it is committed or rolled back. Inside a transaction use the `tx` passed to the work
+ * function, calling Db methods there would wait for the transaction itself.
  */
 class Db {
 
     /**
      * Constructor for the `Db` class.
-     * Initializes the database file path and sets up SQLite in verbose mode.
-     * If database.db file is not exist, it will be created automatically
+     * Opens the connection to the database file, creating the file and its directory if they do not exist,
+     * and switches the database to WAL mode.
+     *
+     * @param {string} [dbPath] - Path to the database file. Defaults to db/database.db in the working directory.
      */
-    constructor() {
-        this.dbPath = path.join(process.cwd(), 'db', 'database.db');
+    constructor(dbPath = path.join(process.cwd(), 'db', 'database.db')) {
+        this.dbPath = dbPath;
         this.sqlite3 = verbose();
 
-        try {
-            const dbDir = path.dirname(this.dbPath);
+        const dbDir = path.dirname(this.dbPath);
+        if (!fs.existsSync(dbDir)) {
+            fs.mkdirSync(dbDir, { recursive: true });
+        }
 
-            if (!fs.existsSync(dbDir)) {
-                fs.mkdirSync(dbDir, { recursive: true });
+        this.connection = new this.sqlite3.Database(this.dbPath, (err) => {
+            if (err) {
+                logMessage(LOG_TYPES.E, "Db service constructor", `Failed to open database: ${err.message}`);
             }
-
-            if (!fs.existsSync(this.dbPath)) {
-                const db = new this.sqlite3.Database(this.dbPath, (err) => {
-                    if (err) {
-                        logMessage(LOG_TYPES.E, "Db service constructor", `Failed to create database file: ${err.message}`);
-                    } else {
-                        logMessage(LOG_TYPES.I, "Db service constructor", "Database file created successfully.");
-                    }
-                });
-                db.close();
-            }
-        } catch (error) {
-            logMessage("error", "Db service constructor", error.message);
-        }
+        });
+        this.executor = createExecutor(this.connection);
+        this.queue = this.executor.run("PRAGMA journal_mode = WAL")
+            .then(() => this.executor.run("PRAGMA busy_timeout = 5000"))
+            .catch(error => logMessage(LOG_TYPES.E, "Db service constructor", `Failed to open database: ${error.message}`));
     }
 
     /**
-     * Creates the necessary tables in the database if they do not already exist.
-     * This method defines the schema required for the application to function.
-     * It runs SQL `CREATE TABLE` statements to ensure the database has the required tables.
+     * Runs `operation` after every previously scheduled operation has finished.
      *
-     * By default, creates:
-     * * deals (id, title, assigned_id, date_create, category_id)
-     * * products (id, offer_id, name, section_id, price)
-     * * contacts (id, name, last_name, second_name)
+     * @param {function(): Promise<*>} operation - The operation to run.
+     * @returns {Promise<*>} A promise that resolves with the result of the operation.
+     */
+    schedule(operation) {
+        const result = this.queue.then(() => operation());
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Runs a single statement and logs its failure.
      *
-     * How it works:
-     * - Opens a connection to the database.
-     * - Executes SQL queries using the `serialize()` method for sequential execution.
-     * - Ensures tables are only created if they don't already exist (using `IF NOT EXISTS`).
-     * - Closes the database connection after the operation.
+     * @param {string} source - The method name used in log messages.
+     * @param {string} query - The SQL statement.
+     * @param {Array} [values] - Values bound to the placeholders.
+     * @returns {Promise<{changes: number, lastID: number}>} A promise that resolves with the affected row count and the last inserted row id.
+     */
+    run(source, query, values = []) {
+        return this.schedule(() => this.executor.run(query, values)).catch(error => {
+            logMessage(LOG_TYPES.E, `Db service ${source}`, `Error running statement: ${error.message}`);
+            throw error;
+        });
+    }
+
+    /**
+     * Runs a SELECT query and returns all resulting rows.
      *
-     * Example:
-     * If a table for users is required, you can include the following SQL:
-     *   CREATE TABLE IF NOT EXISTS users (
-     *       id INTEGER PRIMARY KEY AUTOINCREMENT,
-     *       name TEXT NOT NULL,
-     *       age INTEGER,
-     *       email TEXT UNIQUE
-     *   );
+     * @param {string} source - The method name used in log messages.
+     * @param {string} query - The SQL query.
+     * @param {Array} [values] - Values bound to the query placeholders.
+     * @returns {Promise<Array>} A promise that resolves with the retrieved rows.
      */
-    createTables() {
-        let db;
-        try {
-            db = new this.sqlite3.Database(this.dbPath, (err) => {
-                if (err) {
-                    logMessage(LOG_TYPES.E, 'Db service createTables', `Error opening database: ${err}`);
-                }
-            });
+    query(source, query, values = []) {
+        return this.schedule(() => this.executor.all(query, values)).catch(error => {
+            logMessage(LOG_TYPES.E, `Db service ${source}`, `Error running query: ${error.message}`);
+            throw error;
+        });
+    }
 
-            db.serialize(() => {
-               db.run(
-                   `CREATE TABLE IF NOT EXISTS deals (
-                        id INTEGER NOT NULL PRIMARY KEY,
-                        title TEXT,
-                        category_id INTEGER,
-                        price_type INTEGER,
-                        date_create DATE
-                   );`
-               );
-                db.run(
-                    `
-                        CREATE TABLE IF NOT EXISTS deals_products (
-                            id INTEGER PRIMARY KEY AUTOINCREMENT,
-                            deal_id INTEGER,
-                            product_id INTEGER,
-                            product_name TEXT,
-                            price FLOAT,
-                            discount FLOAT,
-                            FOREIGN KEY (deal_id) REFERENCES deals(id),
-                            UNIQUE (deal_id, product_id)
-                        );
-                    `
-                )
-            });
+    /**
+     * Runs `work` in a single transaction. The transaction is committed when the promise returned by `work`
+     * resolves and rolled back when it rejects.
+     *
+     * The transaction passed to `work` provides:
+     * * run(sql, values) - resolves with { changes, lastID }
+     * * all(sql, values) - resolves with the selected rows
+     *
+     * @param {string} source - The method name used in log messages.
+     * @param {function(Object): Promise<*>} work - Runs the statements of the transaction.
+     * @returns {Promise<*>} A promise that resolves with the result of `work` after commit.
+     */
+    transaction(source, work) {
+        return this.schedule(async () => {
+            const tx = this.executor;
+            try {
+                await tx.run("BEGIN IMMEDIATE TRANSACTION");
+                const result = await work(tx);
+                await tx.run("COMMIT");
+                return result;
+            } catch (error) {
+                logMessage(LOG_TYPES.E, `Db service ${source}`, error);
+                await tx.run("ROLLBACK").catch(() => {});
+                throw error;
+            }
+        });
+    }
 
-            logMessage(LOG_TYPES.I, 'Db service createTables', 'Tables created successfully');
+    /**
+     * Runs `work` on a separate read-only connection to the database file, opened for this call only.
+     * It does not wait for the operations scheduled on this connection: in WAL mode it reads the last
+     * committed state while a transaction is open.
+     *
+     * @param {string} source - The method name used in log messages.
+     * @param {function(Object): Promise<*>} work - Runs the queries through all(sql, values) of the executor passed to it.
+     * @returns {Promise<*>} A promise that resolves with the result of `work`.
+     */
+    async read(source, work) {
+        const connection = await new Promise((resolve, reject) => {
+            const opened = new this.sqlite3.Database(this.dbPath, this.sqlite3.OPEN_READONLY, err => err ? reject(err) : resolve(opened));
+        });
+        try {
+            return await work(createExecutor(connection));
         } catch (error) {
-            logMessage(LOG_TYPES.E, 'Db service createTables', error);
+            logMessage(LOG_TYPES.E, `Db service ${source}`, `Error reading: ${error.message}`);
+            throw error;
         } finally {
-            db.close();
+            connection.close();
         }
     }
 
     /**
-     * Inserts an array of objects into a table.
+     * Waits for the scheduled operations and closes the connection.
+     *
+     * @returns {Promise<void>}
+     */
+    close() {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.connection.close(err => err ? reject(err) : resolve());
+        }));
+    }
+
+    /**
+     * Inserts an array of objects into a table in a single transaction.
+     * Existing rows with the same key are replaced.
      *
      * @param {string} tableName - The name of the table to insert data into.
      * @param {Array<Object>} records - An array of objects containing field-value pairs to insert.
      *                                   Example: [{ "user_name": "Tommy" }, { "user_name": "Anna" }]
      * @throws {Error} If the table name or records are invalid.
-     * @returns {void}
+     * @returns {Promise<{changes: number}>} A promise that resolves with the number of written rows.
      */
-    insertMultipleInTable(tableName, records) {
-        let db;
-        try {
-            // Validate inputs
-            if (!tableName || typeof tableName !== "string") {
-                throw new Error("Invalid table name provided.");
-            }
-            if (!Array.isArray(records) || records.length === 0 || typeof records[0] !== "object") {
-                throw new Error("Invalid records provided. Expected an array of objects with field-value pairs.");
-            }
-
-            // Open database connection
-            db = new this.sqlite3.Database(this.dbPath);
-
-            // Generate dynamic SQL query and placeholders for the first record
-            const fields = Object.keys(records[0]);
-            const placeholders = fields.map(() => "?").join(", ");
-            const query = `INSERT OR REPLACE INTO ${tableName} (${fields.join(", ")}) VALUES (${placeholders})`;
-
-            // Begin a transaction
-            db.serialize(() => {
-                db.run("BEGIN TRANSACTION");
-
-                // Prepare the statement once
-                const stmt = db.prepare(query);
-
-                // Iterate over each record and bind values
-                for (const record of records) {
-                    const values = fields.map((field) => record[field] || null); // Handle missing fields gracefully
-                    stmt.run(values, function (err) {
-                        if (err) {
-                            logMessage(LOG_TYPES.E, "Db service insertMultipleInTable", `Error inserting row: ${err.message}`);
-                        }
-                    });
-                }
-
-                // Finalize the statement and commit the transaction
-                stmt.finalize();
-                db.run("COMMIT");
-            });
-        } catch (error) {
-            logMessage(LOG_TYPES.E, "Db service insertMultipleInTable", error);
-        } finally {
-            if (db) {
-                db.close((err) => {
-                    if (err) {
-                        logMessage(LOG_TYPES.E, "Db service insertMultipleInTable", `Error closing database: ${err.message}`);
-                    }
-                });
-            }
+    async insertMultipleInTable(tableName, records) {
+        if (!tableName || typeof tableName !== "string") {
+            throw new Error("Invalid table name provided.");
+        }
+        if (!Array.isArray(records) || records.length === 0 || typeof records[0] !== "object") {
+            throw new Error("Invalid records provided. Expected an array of objects with field-value pairs.");
         }
-    }
 
+        const changes = await this.transaction("insertMultipleInTable", tx => insertRecords(tx, tableName, records));
+        logMessage(LOG_TYPES.D, "Db service insertMultipleInTable", `Inserted ${changes} row(s) into ${tableName}.`);
+        return { changes: changes };
+    }
 
     /**
-     * Inserts data into a table.
+     * Inserts data into a table. An existing row with the same key is replaced.
      *
      * @param {string} tableName - The name of the table to insert data into.
      * @param {Object} insertFields - An object containing field-value pairs to insert. Example: "user_name": "Tommy"
      * @throws {Error} If the table name or insert fields are invalid.
-     * @returns {void}
+     * @returns {Promise<{changes: number, lastID: number}>} A promise that resolves with the number of written rows
+     *          and the id of the inserted row.
      */
-    insertInTable(tableName, insertFields) {
-        let db;
-        try {
-            // Validate inputs
-            if (!tableName || typeof tableName !== "string") {
-                throw new Error("Invalid table name provided.");
-            }
-            if (!insertFields || typeof insertFields !== "object" || Array.isArray(insertFields)) {
-                throw new Error("Invalid insertFields provided. Expected an object with field-value pairs.");
-            }
-
-            // Open database connection
-            db = new this.sqlite3.Database(this.dbPath);
-
-            // Generate dynamic SQL query and placeholders
-            const fields = Object.keys(insertFields);
-            const placeholders = fields.map(() => "?").join(", ");
-            const values = Object.values(insertFields);
-
-            const query = `INSERT OR REPLACE INTO ${tableName} (${fields.join(", ")}) VALUES (${placeholders})`;
-
-            // Execute query
-            db.run(query, values, function (err) {
-                if (err) {
-                    logMessage(LOG_TYPES.E, "Db service insertInTable", `Error inserting into ${tableName}: ${err.message}`);
-                } else {
-                    logMessage(
-                        LOG_TYPES.I,
-                        "Db service insertInTable",
-                        `Successfully inserted data into ${tableName}. Row ID: ${this.lastID}`
-                    );
-                }
-            });
-        } catch (error) {
-            logMessage(LOG_TYPES.E, "Db service insertInTable", error);
-        } finally {
-            if (db) {
-                db.close((err) => {
-                    if (err) {
-                        logMessage(LOG_TYPES.E, "Db service insertInTable", `Error closing database: ${err.message}`);
-                    }
-                });
-            }
+    async insertInTable(tableName, insertFields) {
+        if (!tableName || typeof tableName !== "string") {
+            throw new Error("Invalid table name provided.");
+        }
+        if (!insertFields || typeof insertFields !== "object" || Array.isArray(insertFields)) {
+            throw new Error("Invalid insertFields provided. Expected an object with field-value pairs.");
         }
+
+        const fields = Object.keys(insertFields);
+        const result = await this.run("insertInTable", buildInsertQuery(tableName, fields), fields.map(field => insertFields[field] ?? null));
+        logMessage(LOG_TYPES.D, "Db service insertInTable", `Successfully inserted data into ${tableName}. Row ID: ${result.lastID}`);
+        return result;
     }
 
     /**
@@ -235,34 +351,22 @@ class Db {
      * @param {Object} updateFields - An object containing field-value pairs to update. Example: "user_name": "new name"
      * @param {Object} filter - An object containing filter conditions.
      * @throws {Error} If parameters are invalid.
-     * @returns {void}
+     * @returns {Promise<{changes: number}>} A promise that resolves with the number of updated rows.
      */
-    updateTable(tableName, updateFields, filter) {
-        let db;
-        try {
-            if (!tableName || typeof tableName !== "string" || !updateFields || typeof updateFields !== "object" || !filter) {
-                throw new Error("Invalid parameters for update.");
-            }
-
-            db = new this.sqlite3.Database(this.dbPath);
-
-            const updates = Object.keys(updateFields).map(field => `${field} = ?`).join(", ");
-            const values = [...Object.values(updateFields), ...Object.values(filter)];
-            const filterCondition = Object.keys(filter).map(field => `${field} = ?`).join(" AND ");
-            const query = `UPDATE ${tableName} SET ${updates} WHERE ${filterCondition}`;
-
-            db.run(query, values, function (err) {
-                if (err) {
-                    logMessage(LOG_TYPES.E, "Db service updateTable", `Error updating ${tableName}: ${err.message}`);
-                } else {
-                    logMessage(LOG_TYPES.I, "Db service updateTable", `Updated ${this.changes} row(s) in ${tableName}.`);
-                }
-            });
-        } catch (error) {
-            logMessage(LOG_TYPES.E, "Db service updateTable", error.message);
-        } finally {
-            if (db) db.close();
+    async updateTable(tableName, updateFields, filter) {
+        if (!tableName || typeof tableName !== "string" || !updateFields || typeof updateFields !== "object" || !filter) {
+            throw new Error("Invalid parameters for update.");
         }
+
+        const updates = Object.keys(updateFields).map(field => `${field} = ?`).join(", ");
+        const { condition, values } = buildFilterCondition(filter);
+        const { changes } = await this.run(
+            "updateTable",
+            `UPDATE ${tableName} SET ${updates} WHERE ${condition}`,
+            [...Object.values(updateFields).map(value => value ?? null), ...values]
+        );
+        logMessage(LOG_TYPES.D, "Db service updateTable", `Updated ${changes} row(s) in ${tableName}.`);
+        return { changes: changes };
     }
 
     /**
@@ -271,33 +375,17 @@ class Db {
      * @param {string} tableName - The name of the table to delete records from.
      * @param {Object} filter - An object containing filter conditions.
      * @throws {Error} If parameters are invalid.
-     * @returns {void}
+     * @returns {Promise<{changes: number}>} A promise that resolves with the number of deleted rows.
      */
-    deleteFromTable(tableName, filter) {
-        let db;
-        try {
-            if (!tableName || typeof tableName !== "string" || !filter) {
-                throw new Error("Invalid parameters for delete.");
-            }
-
-            db = new this.sqlite3.Database(this.dbPath);
-
-            const filterCondition = Object.keys(filter).map(field => `${field} = ?`).join(" AND ");
-            const values = Object.values(filter);
-            const query = `DELETE FROM ${tableName} WHERE ${filterCondition}`;
-
-            db.run(query, values, function (err) {
-                if (err) {
-                    logMessage(LOG_TYPES.E, "Db service deleteFromTable", `Error deleting from ${tableName}: ${err.message}`);
-                } else {
-                    logMessage(LOG_TYPES.I, "Db service deleteFromTable", `Deleted ${this.changes} row(s) from ${tableName}.`);
-                }
-            });
-        } catch (error) {
-            logMessage(LOG_TYPES.E, "Db service deleteFromTable", error.message);
-        } finally {
-            if (db) db.close();
+    async deleteFromTable(tableName, filter) {
+        if (!tableName || typeof tableName !== "string" || !filter) {
+            throw new Error("Invalid parameters for delete.");
         }
+
+        const { condition, values } = buildFilterCondition(filter);
+        const { changes } = await this.run("deleteFromTable", `DELETE FROM ${tableName} WHERE ${condition}`, values);
+        logMessage(LOG_TYPES.D, "Db service deleteFromTable", `Deleted ${changes} row(s) from ${tableName}.`);
+        return { changes: changes };
     }
 
     /**
@@ -312,21 +400,7 @@ class Db {
             throw new Error("Invalid parameters for getAll.");
         }
 
-        return new Promise((resolve, reject) => {
-            const db = new this.sqlite3.Database(this.dbPath);
-            const query = `SELECT * FROM ${tableName}`;
-
-            db.all(query, [], (err, rows) => {
-                if (err) {
-                    logMessage(LOG_TYPES.E, "Db service getAll", `Error fetching from ${tableName}: ${err.message}`);
-                    reject(err);
-                } else {
-                    resolve(rows);
-                }
-            });
-
-            db.close();
-        });
+        return this.query("getAll", `SELECT * FROM ${tableName}`);
     }
 
     /**
@@ -342,29 +416,377 @@ class Db {
             throw new Error("Invalid parameters for getByFilter.");
         }
 
-        return new Promise((resolve, reject) => {
-            const db = new this.sqlite3.Database(this.dbPath);
-
-            const filterCondition = Object.keys(filter)
-                .map(field => `${field} = ?`)
-                .join(" AND ");
-            const values = Object.values(filter);
-            const query = `SELECT * FROM ${tableName} WHERE ${filterCondition}`;
-
-            db.all(query, values, (err, rows) => {
-                if (err) {
-                    logMessage(LOG_TYPES.E, "Db service getByFilter", `Error fetching from ${tableName}: ${err.message}`);
-                    reject(err);
-                } else {
-                    resolve(rows);
+        const { condition, values } = buildFilterCondition(filter);
+        return this.query("getByFilter", `SELECT * FROM ${tableName} WHERE ${condition}`, values);
+    }
+
+    /**
+     * Replaces all product rows of several deals in a single transaction.
+     * Rows of these deals that are not in the new set are removed.
+     *
+     * @param {string} portalId - The id of the portal the deals belong to.
+     * @param {Array<number>} dealIds - The ids of the deals.
+     * @param {Array<Object>} records - The new product rows of all these deals.
+     * @returns {Promise<{deleted: number, inserted: number}>} A promise that resolves with the affected row counts.
+     */
+    async replaceProductRowsOfDeals(portalId, dealIds, records) {
+        return this.transaction("replaceProductRowsOfDeals", async tx => {
+            let deleted = 0;
+            for (const dealId of dealIds) {
+                deleted += (await tx.run("DELETE FROM deals_products WHERE portal_id = ? AND deal_id = ?", [portalId, dealId])).changes;
+            }
+            const inserted = records.length > 0 ? await insertRecords(tx, "deals_products", records) : 0;
+            return { deleted: deleted, inserted: inserted };
+        });
+    }
+
+    /**
+     * Upserts deals and replaces all their product rows in a single transaction,
+     * so a deal is never stored with the rows of an earlier version.
+     *
+     * @param {string} portalId - The id of the portal the deals belong to.
+     * @param {Array<Object>} deals - The deals records, with portal_id.
+     * @param {Array<Object>} records - The new product rows of all these deals.
+     * @returns {Promise<{deleted: number, inserted: number}>} A promise that resolves with the affected product row counts.
+     */
+    async storeDealsWithProductRows(portalId, deals, records) {
+        return this.transaction("storeDealsWithProductRows", async tx => {
+            if (deals.length > 0) {
+                await insertRecords(tx, "deals", deals);
+            }
+            let deleted = 0;
+            for (const deal of deals) {
+                deleted += (await tx.run("DELETE FROM deals_products WHERE portal_id = ? AND deal_id = ?", [portalId, deal.id])).changes;
+            }
+            const inserted = records.length > 0 ? await insertRecords(tx, "deals_products", records) : 0;
+            return { deleted: deleted, inserted: inserted };
+        });
+    }
+
+    /**
+     * Replaces the product catalog of a portal in a single transaction: products and sections missing
+     * from the new catalog are removed.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {Array<Object>} sections - The product_sections records.
+     * @param {Array<Object>} products - The products records.
+     * @returns {Promise<{sections: number, products: number, deleted: number}>} A promise that resolves with the affected row counts.
+     */
+    async replaceCatalog(portalId, sections, products) {
+        return this.transaction("replaceCatalog", async tx => {
+            let deleted = (await tx.run("DELETE FROM products WHERE portal_id = ?", [portalId])).changes;
+            deleted += (await tx.run("DELETE FROM product_sections WHERE portal_id = ?", [portalId])).changes;
+            return {
+                sections: sections.length > 0 ? await insertRecords(tx, "product_sections", sections) : 0,
+                products: products.length > 0 ? await insertRecords(tx, "products", products) : 0,
+                deleted: deleted
+            };
+        });
+    }
+
+    /**
+     * Upserts deals in a single transaction. Fields missing from a deal record keep their stored values.
+     * The product rows of a deal that comes with rows replace its stored rows, the rows of a deal without them are kept.
+     *
+     * @param {string} portalId - The id of the portal the deals belong to.
+     * @param {Array<{deal: Object, productrows: Array<Object>|null}>} deals - The deals records with their product rows records,
+     *                                                                       without portal_id.
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Only count the changes, without writing them.
+     * @returns {Promise<{deals: {inserted: number, updated: number}, productrows: {inserted: number, updated: number, deleted: number},
+     *          rejected: Array<{deal_id: number, errors: Array<string>}>}>} A promise that resolves with the counts and the
+     *          deals that were not written because some of their row ids are stored under another deal.
+     *          A row is updated if a row with its row_id is stored already.
+     */
+    async importDeals(portalId, deals, { dryRun = false } = {}) {
+        return this.transaction("importDeals", async tx => {
+            const report = { deals: { inserted: 0, updated: 0 }, productrows: { inserted: 0, updated: 0, deleted: 0 }, rejected: [] };
+            for (const { deal, productrows } of deals) {
+                // row_id is unique per portal, writing a row stored under another deal would take it from that deal
+                const taken = productrows && productrows.length > 0 ? await tx.all(
+                    `SELECT row_id, deal_id FROM deals_products
+                     WHERE portal_id = ? AND deal_id != ? AND row_id IN (${productrows.map(() => "?").join(", ")})`,
+                    [portalId, deal.id, ...productrows.map(row => row.row_id)]
+                ) : [];
+                if (taken.length > 0) {
+                    report.rejected.push({ deal_id: deal.id, errors: taken.map(row => `row ${row.row_id} belongs to deal ${row.deal_id}`) });
+                    continue;
                 }
-            });
 
-            db.close();
+                const [existing] = await tx.all("SELECT id FROM deals WHERE portal_id = ? AND id = ?", [portalId, deal.id]);
+                report.deals[existing ? "updated" : "inserted"]++;
+                if (!dryRun) {
+                    const fields = Object.keys(deal);
+                    await tx.run(
+                        `INSERT INTO deals (portal_id, ${fields.join(", ")}) VALUES (?, ${fields.map(() => "?").join(", ")})
+                         ON CONFLICT (portal_id, id) DO UPDATE SET ${fields.map(field => `${field} = excluded.${field}`).join(", ")}`,
+                        [portalId, ...fields.map(field => deal[field])]
+                    );
+                }
+                if (!productrows) {
+                    continue;
+                }
+
+                const stored = await tx.all("SELECT row_id FROM deals_products WHERE portal_id = ? AND deal_id = ?", [portalId, deal.id]);
+                const rowIds = new Set(productrows.map(row => row.row_id));
+                report.productrows.deleted += stored.filter(row => !rowIds.has(row.row_id)).length;
+                for (const row of productrows) {
+                    const [existingRow] = await tx.all("SELECT id FROM deals_products WHERE portal_id = ? AND row_id = ?", [portalId, row.row_id]);
+                    report.productrows[existingRow ? "updated" : "inserted"]++;
+                }
+                if (!dryRun) {
+                    await tx.run("DELETE FROM deals_products WHERE portal_id = ? AND deal_id = ?", [portalId, deal.id]);
+                    if (productrows.length > 0) {
+                        await insertRecords(tx, "deals_products", productrows.map(row => ({ portal_id: portalId, deal_id: deal.id, ...row })));
+                    }
+                }
+            }
+            return report;
+        });
+    }
+
+    /**
+     * Deletes a deal together with its product rows in a single transaction.
+     *
+     * @param {string} portalId - The id of the portal the deal belongs to.
+     * @param {number} dealId - The id of the deal.
+     * @returns {Promise<{deals: number, rows: number}>} A promise that resolves with the number of removed deals and rows.
+     */
+    async deleteDealWithProductRows(portalId, dealId) {
+        return this.deleteDealsWithProductRows(portalId, [dealId]);
+    }
+
+    /**
+     * Deletes deals and their product rows in a single transaction.
+     *
+     * @param {string} portalId - The id of the portal the deals belong to.
+     * @param {Array<number>} dealIds - The ids of the deals.
+     * @returns {Promise<{deals: number, rows: number}>} A promise that resolves with the number of removed deals and rows.
+     */
+    async deleteDealsWithProductRows(portalId, dealIds) {
+        return this.transaction("deleteDealsWithProductRows", async tx => {
+            const removed = { deals: 0, rows: 0 };
+            for (const dealId of dealIds) {
+                removed.rows += (await tx.run("DELETE FROM deals_products WHERE portal_id = ? AND deal_id = ?", [portalId, dealId])).changes;
+                removed.deals += (await tx.run("DELETE FROM deals WHERE portal_id = ? AND id = ?", [portalId, dealId])).changes;
+            }
+            return removed;
         });
     }
 
+    /**
+     * Deletes a portal and every row scoped to it in a single transaction.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @returns {Promise<{changes: number}>} A promise that resolves with the number of removed rows.
+     */
+    async deletePortal(portalId) {
+        return this.transaction("deletePortal", async tx => {
+            let changes = 0;
+            for (const tableName of PORTAL_TABLES) {
+                changes += (await tx.run(`DELETE FROM ${tableName} WHERE portal_id = ?`, [portalId])).changes;
+            }
+            changes += (await tx.run("DELETE FROM portals WHERE id = ?", [portalId])).changes;
+            return { changes: changes };
+        });
+    }
+
+    /**
+     * Retrieves sync runs of a portal, most recent first.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {number} [limit=50] - Maximum number of runs to return.
+     * @param {number} [offset=0] - Number of runs to skip.
+     * @returns {Promise<Array>} A promise that resolves with the retrieved runs.
+     */
+    async getSyncRuns(portalId, limit = 50, offset = 0) {
+        const runs = await this.query(
+            "getSyncRuns",
+            "SELECT * FROM sync_runs WHERE portal_id = ? ORDER BY id DESC LIMIT ? OFFSET ?",
+            [portalId, limit, offset]
+        );
+        return runs.map(toSyncRun);
+    }
+
+    /**
+     * @param {string} portalId - The id of the portal.
+     * @param {number} id - The id of the run.
+     * @returns {Promise<Object|null>} The run, or null if the portal has no run with this id.
+     */
+    async getSyncRun(portalId, id) {
+        const runs = await this.query("getSyncRun", "SELECT * FROM sync_runs WHERE portal_id = ? AND id = ?", [portalId, id]);
+        return runs.length > 0 ? toSyncRun(runs[0]) : null;
+    }
+
+    /**
+     * Retrieves one page of deals of a portal with their product rows.
+     * When a product filter is set, only deals with at least one matching row are returned
+     * and their productrows contain the matching rows only.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {Object} [filters] - Deal and product row filters, see buildProductRowsConditions.
+     * @param {Object} [page]
+     * @param {string} [page.sort="id"] - One of DEALS_SORT_FIELDS.
+     * @param {string} [page.order="asc"] - "asc" or "desc".
+     * @param {number} [page.limit=100] - Maximum number of deals to return.
+     * @param {number} [page.offset=0] - Number of deals to skip. Ignored when `after` is set.
+     * @param {{value: *, id: number}} [page.after] - Sort value and id of the last deal of the previous page.
+     * @returns {Promise<{total: number, deals: Array<Object>}>} A promise that resolves with the number of
+     *          matching deals and the page of deals, each with a productrows array.
+     */
+    async getDealsWithProductRows(portalId, filters = {}, { sort = "id", order = "asc", limit = 100, offset = 0, after = null } = {}) {
+        if (!DEALS_SORT_FIELDS.includes(sort)) {
+            throw new Error(`Invalid sort field: ${sort}`);
+        }
+        const direction = order === "desc" ? "DESC" : "ASC";
+
+        const deal = buildDealConditions(filters);
+        const row = buildRowConditions(filters);
+        const conditions = ["d.portal_id = ?", ...deal.conditions];
+        const values = [portalId, ...deal.values];
+        if (row.conditions.length > 0) {
+            conditions.push(`EXISTS (
+                SELECT 1 FROM deals_products dp
+                WHERE dp.portal_id = d.portal_id AND dp.deal_id = d.id AND ${row.conditions.join(" AND ")}
+            )`);
+            values.push(...row.values);
+        }
+
+        const [{ total }] = await this.query(
+            "getDealsWithProductRows",
+            `SELECT COUNT(*) AS total FROM deals d WHERE ${conditions.join(" AND ")}`,
+            values
+        );
+
+        const pageConditions = [...conditions];
+        const pageValues = [...values];
+        if (after) {
+            pageConditions.push(`(d.${sort}, d.id) ${direction === "DESC" ? "<" : ">"} (?, ?)`);
+            pageValues.push(after.value, after.id);
+        }
+        const deals = await this.query(
+            "getDealsWithProductRows",
+            `SELECT d.id, d.title, d.category_id, d.price_type, d.date_create, d.currency_id FROM deals d
+             WHERE ${pageConditions.join(" AND ")}
+             ORDER BY d.${sort} ${direction}, d.id ${direction}
+             LIMIT ? OFFSET ?`,
+            [...pageValues, limit, after ? 0 : offset]
+        );
+        if (deals.length === 0) {
+            return { total: total, deals: [] };
+        }
+
+        const rows = await this.query(
+            "getDealsWithProductRows",
+            `SELECT dp.* FROM deals_products dp
+             WHERE dp.portal_id = ? AND dp.deal_id IN (${deals.map(() => "?").join(", ")})
+             ${row.conditions.length > 0 ? `AND ${row.conditions.join(" AND ")}` : ""}
+             ORDER BY dp.deal_id, dp.id`,
+            [portalId, ...deals.map(deal => deal.id), ...row.values]
+        );
+        const rowsByDeal = new Map(deals.map(deal => [deal.id, []]));
+        rows.forEach(productrow => rowsByDeal.get(productrow.deal_id).push(productrow));
+
+        return {
+            total: total,
+            deals: deals.map(deal => ({ ...deal, productrows: rowsByDeal.get(deal.id) }))
+        };
+    }
+
+    /**
+     * Retrieves product rows of a portal joined with the creation date of their parent deal.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {Object} [filters] - Optional filters, see buildProductRowsConditions.
+     * @returns {Promise<Array>} A promise that resolves with rows of
+     *                           { deal_id, product_id, product_name, price, price_final, quantity, discount, date_create, currency_id }.
+     */
+    async getProductRowsWithDealDate(portalId, filters = {}) {
+        const { conditions, values } = buildProductRowsConditions(portalId, filters);
+        return this.query("getProductRowsWithDealDate", `
+            SELECT dp.deal_id, dp.product_id, dp.product_name, dp.price, dp.price_final, dp.quantity, dp.discount,
+                   d.date_create, d.currency_id
+            FROM deals_products dp
+            INNER JOIN deals d ON d.portal_id = dp.portal_id AND d.id = dp.deal_id
+            WHERE ${conditions.join(" AND ")}
+            ORDER BY dp.product_id, d.date_create
+        `, values);
+    }
 
+    /**
+     * Retrieves product rows of a portal joined with the creation date and currency of their parent deal
+     * and the catalog price and section of their product. The catalog fields are null for products
+     * missing from the synced catalog.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {Object} [filters] - Optional filters, see buildProductRowsConditions.
+     * @returns {Promise<Array>} A promise that resolves with rows of { deal_id, product_id, product_name, price, price_final,
+     *          quantity, discount, date_create, currency_id, in_catalog, catalog_name, catalog_price, catalog_currency_id,
+     *          section_id, section_name, section_parent_id }.
+     */
+    async getProductRowsWithCatalogPrice(portalId, filters = {}) {
+        const { conditions, values } = buildProductRowsConditions(portalId, filters);
+        return this.query("getProductRowsWithCatalogPrice", `
+            SELECT dp.deal_id, dp.product_id, dp.product_name, dp.price, dp.price_final, dp.quantity, dp.discount,
+                   d.date_create, d.currency_id,
+                   p.id IS NOT NULL AS in_catalog, p.name AS catalog_name, p.price AS catalog_price, p.currency_id AS catalog_currency_id,
+                   p.section_id, s.name AS section_name, s.parent_id AS section_parent_id
+            FROM deals_products dp
+            INNER JOIN deals d ON d.portal_id = dp.portal_id AND d.id = dp.deal_id
+            LEFT JOIN products p ON p.portal_id = dp.portal_id AND p.id = dp.product_id
+            LEFT JOIN product_sections s ON s.portal_id = p.portal_id AND s.id = p.section_id
+            WHERE ${conditions.join(" AND ")}
+            ORDER BY dp.product_id, d.date_create
+        `, values);
+    }
+
+    /**
+     * Lists the currencies and dates of the deals whose product rows match the filters,
+     * so missing exchange rates are found before rows are converted page by page.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {Object} [filters] - Optional filters, see buildProductRowsConditions.
+     * @returns {Promise<Array>} A promise that resolves with distinct rows of { currency_id, date_create }, date_create as YYYY-MM-DD.
+     */
+    async getProductRowsCurrencyDates(portalId, filters = {}) {
+        const { conditions, values } = buildProductRowsConditions(portalId, filters);
+        return this.query("getProductRowsCurrencyDates", `
+            SELECT DISTINCT d.currency_id, substr(d.date_create, 1, 10) AS date_create
+            FROM deals_products dp
+            INNER JOIN deals d ON d.portal_id = dp.portal_id AND d.id = dp.deal_id
+            WHERE ${conditions.join(" AND ")}
+        `, values);
+    }
+
+    /**
+     * Retrieves one page of product rows of a portal joined with their parent deal, ordered by deal id and row id.
+     * Pages are addressed by the last row of the previous page, so large exports can be read in chunks.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {Object} [filters] - Optional filters, see buildProductRowsConditions.
+     * @param {{deal_id: number, id: number}|null} [after] - The last row of the previous page.
+     * @param {number} [limit=1000] - Maximum number of rows to return.
+     * @returns {Promise<Array>} A promise that resolves with rows of { id, deal_id, deal_title, date_create, currency_id, row_id,
+     *          product_id, product_name, price, price_netto, price_final, quantity, discount, discount_rate,
+     *          discount_type_id, tax_rate, tax_included, measure_name }.
+     */
+    async getProductRowsPage(portalId, filters = {}, after = null, limit = 1000) {
+        const { conditions, values } = buildProductRowsConditions(portalId, filters);
+        if (after) {
+            conditions.push("(dp.deal_id, dp.id) > (?, ?)");
+            values.push(after.deal_id, after.id);
+        }
+        return this.query("getProductRowsPage", `
+            SELECT dp.id, dp.deal_id, d.title AS deal_title, d.date_create, d.currency_id,
+                   dp.row_id, dp.product_id, dp.product_name, dp.price, dp.price_netto, dp.price_final, dp.quantity,
+                   dp.discount, dp.discount_rate, dp.discount_type_id, dp.tax_rate, dp.tax_included, dp.measure_name
+            FROM deals_products dp
+            INNER JOIN deals d ON d.portal_id = dp.portal_id AND d.id = dp.deal_id
+            WHERE ${conditions.join(" AND ")}
+            ORDER BY dp.deal_id, dp.id
+            LIMIT ?
+        `, [...values, limit]);
+    }
 }
 
-export { Db };
\ No newline at end of file
+export { Db, DEFAULT_PORTAL_ID, DEALS_SORT_FIELDS };
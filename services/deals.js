@@ -1,86 +1,219 @@
-import { Bitrix } from "@2bad/bitrix";
-import { logMessage } from "../logger/logger.js";
+import { BitrixBatchError, BitrixClient } from "./bitrix.js";
+import { DEFAULT_PRICE_TYPE_FIELD } from "./selection.js";
 
-const pageSize = 50;
+/**
+ * @param {{error: string, error_description: string}} error - The error of a batch command.
+ * @returns {boolean} true if the command failed because its deal does not exist, e.g. it was deleted in Bitrix.
+ */
+function isNotFound(error) {
+    return error.error === "NOT_FOUND" || /not found/i.test(error.error_description || "");
+}
 
+/**
+ * The `DealsService` class reads deals, their product rows and the product catalog from a Bitrix portal
+ * and writes computed values back to deals.
+ * Failed requests are raised as BitrixError, see services/bitrix.js.
+ */
 class DealsService {
-    constructor(link) {
-        this.bx = Bitrix(link);
+
+    /**
+     * @param {string} link - The inbound webhook URL of the portal.
+     * @param {string} [priceTypeField] - The Bitrix field that holds the price type.
+     * @param {Object} [clientOptions] - Rate limit, retry and timeout options of BitrixClient.
+     */
+    constructor(link, priceTypeField = DEFAULT_PRICE_TYPE_FIELD, clientOptions = {}) {
+        this.bx = new BitrixClient(link, clientOptions);
+        this.priceTypeField = priceTypeField;
     }
 
-    getDealById(id) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const deal = await this.bx.deals.get(id);
-                resolve(
-                    {
-                        "id": deal["ID"],
-                        "title": deal["TITLE"],
-                        "category_id": deal["CATEGORY_ID"],
-                        "price_type": deal["UF_CRM_1710140074001"],
-                        "date_create": deal["DATE_CREATE"]
-                    }
-                );
-            } catch (error) {
-                logMessage(LOG_TYPES.E, "DealsService.getDealsByFilter", `Error getDealsByFilter: ${error}`);
-                resolve(null)
-            }
-        })
+    mapDeal(deal) {
+        return {
+            "id": deal["ID"],
+            "title": deal["TITLE"],
+            "category_id": deal["CATEGORY_ID"],
+            "price_type": deal[this.priceTypeField],
+            "date_create": deal["DATE_CREATE"],
+            "currency_id": deal["CURRENCY_ID"]
+        }
     }
 
-    getDealsByFilter(filter) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const allResults = [];
-                let res;
-
-                let start = 0;
-                let total = 0;
-
-                do {
-                    res = await this.bx.deals.list(
-                        {
-                            "select": ["ID", "TITLE", "CATEGORY_ID", "UF_CRM_1710140074001", "DATE_CREATE"],
-                            "filter": filter,
-                            "start": start
-                        }
-                    )
-
-                    total = res.total;
-                    start += pageSize;
-
-                    allResults.push(...res.result);
-                    if (res.total < pageSize) {
-                        break;
-                    }
-                } while(start < total)
-                resolve(allResults);
-            } catch (error) {
-                logMessage(LOG_TYPES.E, "DealsService.getDealsByFilter", `Error getDealsByFilter: ${error}`);
-                resolve(null)
-            }
-        })
+    mapProductRow(productrow) {
+        return {
+            "ID": productrow["ID"],
+            "PRODUCT_ID": productrow["PRODUCT_ID"],
+            "PRODUCT_NAME": productrow["PRODUCT_NAME"],
+            "PRICE": productrow["PRICE"],
+            "PRICE_NETTO": productrow["PRICE_NETTO"],
+            "PRICE_BRUTTO": productrow["PRICE_BRUTTO"],
+            "QUANTITY": productrow["QUANTITY"],
+            "DISCOUNT_SUM": productrow["DISCOUNT_SUM"],
+            "DISCOUNT_RATE": productrow["DISCOUNT_RATE"],
+            "DISCOUNT_TYPE_ID": productrow["DISCOUNT_TYPE_ID"],
+            "TAX_RATE": productrow["TAX_RATE"],
+            "TAX_INCLUDED": productrow["TAX_INCLUDED"],
+            "MEASURE_NAME": productrow["MEASURE_NAME"]
+        }
+    }
+
+    mapProduct(product) {
+        return {
+            "id": product["ID"],
+            "name": product["NAME"],
+            "section_id": product["SECTION_ID"],
+            "catalog_id": product["CATALOG_ID"],
+            "price": product["PRICE"],
+            "currency_id": product["CURRENCY_ID"],
+            "vat_included": product["VAT_INCLUDED"] === undefined || product["VAT_INCLUDED"] === null ? null : (product["VAT_INCLUDED"] === "Y" ? 1 : 0),
+            "active": product["ACTIVE"] === undefined || product["ACTIVE"] === null ? null : (product["ACTIVE"] === "Y" ? 1 : 0)
+        }
+    }
+
+    mapProductSection(section) {
+        return {
+            "id": section["ID"],
+            "name": section["NAME"],
+            "parent_id": section["SECTION_ID"],
+            "catalog_id": section["CATALOG_ID"]
+        }
+    }
+
+    /**
+     * @param {number} id - The id of the deal.
+     * @returns {Promise<Object>} The mapped deal.
+     * @throws {BitrixError}
+     */
+    async getDealById(id) {
+        const res = await this.bx.call("crm.deal.get", { id: id });
+        return this.mapDeal(res.result);
+    }
+
+    /**
+     * Reads every deal matching the filter, following the pages until the total is reached.
+     *
+     * @param {Object} filter - A crm.deal.list filter.
+     * @param {Object} [options] - signal and onProgress, see BitrixClient.list.
+     * @returns {Promise<Array<Object>>} The raw Bitrix deals.
+     * @throws {BitrixError}
+     */
+    getDealsByFilter(filter, options = {}) {
+        return this.bx.list("crm.deal.list", {
+            "select": ["ID", "TITLE", "CATEGORY_ID", this.priceTypeField, "DATE_CREATE", "CURRENCY_ID"],
+            "filter": filter,
+            "order": { "ID": "ASC" }
+        }, options);
     }
 
-    getDealProductRows(id) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                 const res = await this.bx.call("crm.deal.productrows.get", { id: id });
-                 const productrows = res.result.map(productrow => {
-                     return {
-                         "PRODUCT_ID": productrow["PRODUCT_ID"],
-                         "PRODUCT_NAME": productrow["PRODUCT_NAME"],
-                         "PRICE_BRUTTO": productrow["PRICE_BRUTTO"],
-                         "DISCOUNT_SUM": productrow["DISCOUNT_SUM"]
-                     }
-                 })
-                resolve(productrows);
-            } catch (error) {
-                logMessage(LOG_TYPES.E, "DealsService.getDealProductRows", `Error getDealProductRows: ${error}`);
-                resolve(null)
+    /**
+     * @param {number} id - The id of the deal.
+     * @returns {Promise<Array<Object>>} The product rows of the deal.
+     * @throws {BitrixError}
+     */
+    async getDealProductRows(id) {
+        const res = await this.bx.call("crm.deal.productrows.get", { id: id });
+        return res.result.map(productrow => this.mapProductRow(productrow));
+    }
+
+    /**
+     * Reads product rows of many deals with batch requests of up to 50 deals each.
+     *
+     * @param {Array<number>} ids - The ids of the deals.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - See BitrixClient.batch.
+     * @param {function(number, number, number)} [options.onProgress] - Called after every batch request with the number
+     *        of deals done, the number of deals and the number of product rows read so far.
+     * @returns {Promise<Map<number, Array<Object>|null>>} The product rows by deal id, in the order of ids,
+     *          null for deals that no longer exist in Bitrix.
+     * @throws {BitrixError} If reading the rows of any deal failed for another reason.
+     */
+    async getDealsProductRows(ids, options = {}) {
+        const commands = {};
+        ids.forEach(id => {
+            commands[`deal_${id}`] = { method: "crm.deal.productrows.get", params: { id: id } };
+        });
+
+        // Batches are sent in the order of ids, so the deals done since the last call are the next ones in ids
+        let counted = 0;
+        let rows = 0;
+        const onProgress = options.onProgress && ((done, total, partial) => {
+            ids.slice(counted, done).forEach(id => {
+                rows += partial[`deal_${id}`]?.length || 0;
+            });
+            counted = done;
+            options.onProgress(done, total, rows);
+        });
+
+        let result;
+        try {
+            ({ result } = await this.bx.batch(commands, { signal: options.signal, onProgress: onProgress }));
+        } catch (error) {
+            const names = error instanceof BitrixBatchError ? Object.keys(error.errors) : [];
+            if (names.length === 0 || !names.every(name => isNotFound(error.errors[name]))) {
+                throw error;
             }
-        })
+            result = error.result;
+        }
+        return new Map(ids.map(id => {
+            const productrows = result[`deal_${id}`];
+            return [id, productrows ? productrows.map(productrow => this.mapProductRow(productrow)) : null];
+        }));
+    }
+
+    /**
+     * Reads every product of the catalog with its section and base price.
+     *
+     * @param {Object} [options] - signal and onProgress, see BitrixClient.list.
+     * @returns {Promise<Array<Object>>} The mapped products.
+     * @throws {BitrixError}
+     */
+    async getProducts(options = {}) {
+        const products = await this.bx.list("crm.product.list", {
+            "select": ["ID", "NAME", "SECTION_ID", "CATALOG_ID", "PRICE", "CURRENCY_ID", "VAT_INCLUDED", "ACTIVE"],
+            "order": { "ID": "ASC" }
+        }, options);
+        return products.map(product => this.mapProduct(product));
+    }
+
+    /**
+     * Reads every section of the catalog. parent_id is the id of the parent section, null for top level sections.
+     *
+     * @param {Object} [options] - signal and onProgress, see BitrixClient.list.
+     * @returns {Promise<Array<Object>>} The mapped sections.
+     * @throws {BitrixError}
+     */
+    async getProductSections(options = {}) {
+        const sections = await this.bx.list("crm.productsection.list", {
+            "select": ["ID", "NAME", "SECTION_ID", "CATALOG_ID"],
+            "order": { "ID": "ASC" }
+        }, options);
+        return sections.map(section => this.mapProductSection(section));
+    }
+
+    /**
+     * Updates deal fields. Like every write it is not retried after a timeout, see BitrixClient.call.
+     *
+     * @param {number} id - The id of the deal.
+     * @param {Object} fields - The deal fields to set, e.g. { UF_CRM_1710140074002: 1500 }.
+     * @returns {Promise<boolean>} true if the deal was updated.
+     * @throws {BitrixError}
+     */
+    async updateDeal(id, fields) {
+        const res = await this.bx.call("crm.deal.update", { id: id, fields: fields }, { idempotent: false });
+        return res.result;
+    }
+
+    /**
+     * Posts a comment to the timeline of a deal. Not retried after a timeout, which would post the comment twice
+     * if the portal had added it.
+     *
+     * @param {number} id - The id of the deal.
+     * @param {string} comment - The comment text, BB codes are allowed.
+     * @returns {Promise<number>} The id of the comment.
+     * @throws {BitrixError}
+     */
+    async addTimelineComment(id, comment) {
+        const res = await this.bx.call("crm.timeline.comment.add", { fields: { ENTITY_ID: id, ENTITY_TYPE: "deal", COMMENT: comment } }, { idempotent: false });
+        return res.result;
     }
 }
 
-export { DealsService }
\ No newline at end of file
+export { DealsService }
@@ -0,0 +1,172 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+
+import { ProductPriceStats, getLineTotal, round } from "./stats.js";
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+const PAGE_SIZE = 1000;
+
+const ROW_COLUMNS = [
+    { key: "deal_id", header: "deal_id", width: 10 },
+    { key: "date_create", header: "date_create", width: 26 },
+    { key: "deal_title", header: "deal_title", width: 30 },
+    { key: "product_id", header: "product_id", width: 12 },
+    { key: "product_name", header: "product_name", width: 40 },
+    { key: "price", header: "price", width: 12 },
+    { key: "discount", header: "discount", width: 12 },
+    { key: "row_id", header: "row_id", width: 10 },
+    { key: "quantity", header: "quantity", width: 10 },
+    { key: "measure_name", header: "measure_name", width: 12 },
+    { key: "price_netto", header: "price_netto", width: 12 },
+    { key: "price_final", header: "price_final", width: 12 },
+    { key: "discount_rate", header: "discount_rate", width: 14 },
+    { key: "discount_type_id", header: "discount_type_id", width: 16 },
+    { key: "tax_rate", header: "tax_rate", width: 10 },
+    { key: "tax_included", header: "tax_included", width: 12 },
+    { key: "line_total", header: "line_total", width: 12 },
+    { key: "currency_id", header: "currency_id", width: 12 },
+    { key: "original_currency_id", header: "original_currency_id", width: 20 }
+];
+
+const SUMMARY_COLUMNS = [
+    { key: "product_id", header: "product_id", width: 12 },
+    { key: "product_name", header: "product_name", width: 40 },
+    { key: "currency_id", header: "currency_id", width: 12 },
+    { key: "count", header: "count", width: 8 },
+    { key: "min", header: "min", width: 12 },
+    { key: "max", header: "max", width: 12 },
+    { key: "mean", header: "mean", width: 12 },
+    { key: "median", header: "median", width: 12 },
+    { key: "avg_discount", header: "avg_discount", width: 14 },
+    { key: "quantity", header: "quantity", width: 10 },
+    { key: "weighted_mean", header: "weighted_mean", width: 14 },
+    { key: "total", header: "total", width: 14 }
+];
+
+/**
+ * Creates the converter of an export and checks that it has a rate for every deal currency and date of the export,
+ * so a missing rate is reported before anything is written.
+ *
+ * @param {Db} db - The database service.
+ * @param {CurrencyService} currencyService - The currency service.
+ * @param {string} portalId - The id of the portal.
+ * @param {Object} filters - Filters accepted by Db.getProductRowsPage.
+ * @param {string} currency - The currency of the exported prices.
+ * @returns {Promise<CurrencyConverter>} The converter to pass to iterateProductRows.
+ * @throws {MissingRateError} If a rate is missing.
+ */
+async function createExportConverter(db, currencyService, portalId, filters, currency) {
+    const converter = await currencyService.createConverter(currency);
+    converter.convertRows(await db.getProductRowsCurrencyDates(portalId, filters), []);
+    return converter;
+}
+
+/**
+ * Reads the joined deals and product rows page by page, so the whole export is never held in memory.
+ *
+ * @param {Db} db - The database service.
+ * @param {string} portalId - The id of the portal.
+ * @param {Object} filters - Filters accepted by Db.getProductRowsPage.
+ * @param {CurrencyConverter} converter - Converts the prices to the currency of the export, see createExportConverter.
+ * @returns {AsyncGenerator<Object>} The rows one by one, each with its line_total.
+ */
+async function* iterateProductRows(db, portalId, filters, converter) {
+    let after = null;
+    while (true) {
+        const page = await db.getProductRowsPage(portalId, filters, after, PAGE_SIZE);
+        for (const row of converter.convertRows(page)) {
+            yield { ...row, line_total: round(getLineTotal(row)) };
+        }
+        if (page.length < PAGE_SIZE) {
+            return;
+        }
+        after = page[page.length - 1];
+    }
+}
+
+/**
+ * Escapes a value for a CSV cell. Text starting with =, +, -, @, a tab or a carriage return is prefixed with an apostrophe,
+ * so spreadsheets show a product or deal name like "=HYPERLINK(...)" as text instead of running it as a formula.
+ *
+ * @param {*} value - The cell value.
+ * @returns {string} The escaped value.
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) {
+        return "";
+    }
+    let text = String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a chunk to the stream and waits for it to drain when its buffer is full.
+ *
+ * @param {Writable} stream - The target stream.
+ * @param {string} chunk - The data to write.
+ */
+async function write(stream, chunk) {
+    if (!stream.write(chunk)) {
+        await once(stream, "drain");
+    }
+}
+
+/**
+ * Streams the rows as UTF-8 CSV with a BOM, so Excel detects the encoding of Cyrillic product names.
+ *
+ * @param {Writable} stream - The target stream, e.g. an Express response.
+ * @param {AsyncIterable<Object>} rows - The rows returned by iterateProductRows.
+ * @returns {Promise<number>} The number of written rows.
+ */
+async function writeCsv(stream, rows) {
+    let count = 0;
+    await write(stream, "\uFEFF" + ROW_COLUMNS.map(column => column.header).join(",") + "\r\n");
+    for await (const row of rows) {
+        await write(stream, ROW_COLUMNS.map(column => toCsvCell(row[column.key])).join(",") + "\r\n");
+        count++;
+    }
+    stream.end();
+    return count;
+}
+
+/**
+ * Streams the rows as an .xlsx workbook with a "rows" sheet of raw rows
+ * and a "summary" sheet of per-product price statistics. The rows are expected in one currency, see iterateProductRows.
+ *
+ * @param {Writable} stream - The target stream, e.g. an Express response.
+ * @param {AsyncIterable<Object>} rows - The rows returned by iterateProductRows.
+ * @returns {Promise<number>} The number of written rows.
+ */
+async function writeXlsx(stream, rows) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: stream, useSharedStrings: false });
+
+    const rowsSheet = workbook.addWorksheet("rows");
+    rowsSheet.columns = ROW_COLUMNS;
+    const products = new Map();
+    let count = 0;
+    for await (const row of rows) {
+        rowsSheet.addRow(row).commit();
+        if (!products.has(row.product_id)) {
+            products.set(row.product_id, { currency_id: row.currency_id, stats: new ProductPriceStats(row.product_name) });
+        }
+        products.get(row.product_id).stats.add(row);
+        count++;
+    }
+    rowsSheet.commit();
+
+    const summarySheet = workbook.addWorksheet("summary");
+    summarySheet.columns = SUMMARY_COLUMNS;
+    [...products.entries()]
+        .map(([productId, product]) => ({ ...product.stats.toJSON(productId, []), currency_id: product.currency_id }))
+        .sort((a, b) => a.product_id - b.product_id)
+        .forEach(stats => summarySheet.addRow(stats).commit());
+    summarySheet.commit();
+
+    await workbook.commit();
+    return count;
+}
+
+export { createExportConverter, iterateProductRows, toCsvCell, writeCsv, writeXlsx, EXPORT_FORMATS };
@@ -0,0 +1,53 @@
+import { isValidCurrency } from "./currency.js";
+
+/**
+ * @param {*} value - A date coming from the API or the command line.
+ * @returns {boolean} true if the value is a valid date in YYYY-MM-DD format.
+ */
+function isValidDate(value) {
+    return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Reads and validates the deal and product row filters shared by the listing, statistics and export routes
+ * and the command line:
+ * date_from, date_to, deal_ids, product_ids and product_name.
+ *
+ * @returns {{filters: Object}|{error: string}} Filters for the Db queries or a validation error.
+ */
+function parseProductRowsFilters(body) {
+    const { date_from, date_to, deal_ids, product_ids, product_name } = body;
+    if ((date_from && !isValidDate(date_from)) || (date_to && !isValidDate(date_to))) {
+        return { error: "Dates must be in YYYY-MM-DD format" };
+    }
+    if (deal_ids && !Array.isArray(deal_ids)) {
+        return { error: "deal_ids must be an array" };
+    }
+    if (product_ids && !Array.isArray(product_ids)) {
+        return { error: "product_ids must be an array" };
+    }
+    if (product_name !== undefined && typeof product_name !== "string") {
+        return { error: "product_name must be a string" };
+    }
+    return {
+        filters: { dateFrom: date_from, dateTo: date_to, dealIds: deal_ids, productIds: product_ids, productName: product_name }
+    };
+}
+
+/**
+ * Reads the optional target currency of the statistics and listing routes and the command line.
+ *
+ * @returns {{currency: string|null}|{error: string}} The currency code or a validation error.
+ */
+function parseTargetCurrency(body) {
+    if (body.currency === undefined || body.currency === null) {
+        return { currency: null };
+    }
+    return isValidCurrency(body.currency) ? { currency: body.currency } : { error: "currency must be a 3-letter currency code, e.g. USD" };
+}
+
+export {
+    isValidDate,
+    parseProductRowsFilters,
+    parseTargetCurrency
+};
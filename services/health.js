@@ -0,0 +1,120 @@
+import fs from "fs";
+import path from "path";
+
+import { decryptText, loadCryptoKeys } from "./crypto.js";
+
+/**
+ * A readiness check taking longer than this fails.
+ */
+const CHECK_TIMEOUT = 5000;
+
+/**
+ * @param {Promise<*>} promise - The check.
+ * @param {number} ms - The timeout in milliseconds.
+ * @returns {Promise<*>} The result of the check.
+ * @throws {Error} If the check did not finish in time.
+ */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs a check and turns its outcome into { ok, error }.
+ *
+ * @param {function(): Promise<Object|void>} check - Resolves with details of a passed check, rejects if it failed.
+ * @returns {Promise<Object>}
+ */
+async function runCheck(check) {
+    try {
+        return { ok: true, ...(await withTimeout(check(), CHECK_TIMEOUT)) };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+}
+
+/**
+ * The `HealthService` class checks whether the service can do its work: the database is writable and migrated,
+ * and the webhooks of the portals and BX_LINK from .env decrypt with the configured keys.
+ */
+class HealthService {
+
+    /**
+     * @param {Db} db - The database service.
+     * @param {Migrator} migrator - The migrator of the database.
+     */
+    constructor(db, migrator) {
+        this.db = db;
+        this.migrator = migrator;
+    }
+
+    /**
+     * Checks that the database file and its directory, where SQLite keeps the WAL files, are writable and that the database answers.
+     * The query goes through Db.read, so a long sync or replay transaction does not make the check wait or time out.
+     */
+    async checkDatabase() {
+        await fs.promises.access(this.db.dbPath, fs.constants.W_OK);
+        await fs.promises.access(path.dirname(this.db.dbPath), fs.constants.W_OK);
+        await this.db.read("HealthService.checkDatabase", reader => reader.all("SELECT 1"));
+    }
+
+    /**
+     * @throws {Error} If a migration is pending.
+     */
+    async checkMigrations() {
+        const pending = await this.migrator.getPending();
+        if (pending.length > 0) {
+            throw new Error(`${pending.length} migration(s) pending`);
+        }
+    }
+
+    /**
+     * @returns {Promise<{portals: number}>} The number of checked portals.
+     * @throws {Error} Naming the portals whose webhook does not decrypt.
+     */
+    async checkWebhooks() {
+        const portals = await this.db.read("HealthService.checkWebhooks", reader => reader.all("SELECT id, bx_link FROM portals"));
+        const { keys, iv } = loadCryptoKeys();
+        const failed = [];
+        for (const portal of portals) {
+            await decryptText(portal.bx_link, keys, iv).catch(() => failed.push(portal.id));
+        }
+        if (failed.length > 0) {
+            throw new Error(`Webhooks of portals ${failed.join(", ")} do not decrypt`);
+        }
+        return { portals: portals.length };
+    }
+
+    /**
+     * @returns {Promise<{configured: boolean}>} Whether BX_LINK is set.
+     * @throws {Error} If BX_LINK is set but does not decrypt.
+     */
+    async checkBxLink() {
+        if (!process.env.BX_LINK) {
+            return { configured: false };
+        }
+        const { keys, iv } = loadCryptoKeys();
+        await decryptText(process.env.BX_LINK, keys, iv);
+        return { configured: true };
+    }
+
+    /**
+     * Runs every check.
+     *
+     * @returns {Promise<{ready: boolean, checks: Object<string, {ok: boolean, error?: string}>}>} ready is true if every check passed.
+     */
+    async checkReadiness() {
+        const checks = {
+            database: await runCheck(() => this.checkDatabase()),
+            migrations: await runCheck(() => this.checkMigrations()),
+            webhooks: await runCheck(() => this.checkWebhooks()),
+            bx_link: await runCheck(() => this.checkBxLink())
+        };
+        return { ready: Object.values(checks).every(check => check.ok), checks: checks };
+    }
+}
+
+export { HealthService };
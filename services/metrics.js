@@ -0,0 +1,157 @@
+/**
+ * Upper bounds of the latency histogram buckets, in seconds. Sync runs take minutes, so the buckets go up to 10 minutes.
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+/**
+ * The metrics exposed at /metrics. Labels are kept to values with a bounded number of variants:
+ * route patterns rather than URLs, Bitrix method names, portal ids.
+ */
+const METRICS = {
+    http_requests_total: { type: "counter", help: "HTTP requests by method, route and status code." },
+    http_request_duration_seconds: { type: "histogram", help: "HTTP request latency by method and route." },
+    bitrix_requests_total: { type: "counter", help: "Bitrix REST requests by method and outcome (ok or the error type)." },
+    bitrix_request_duration_seconds: { type: "histogram", help: "Bitrix REST request latency by method." },
+    sync_runs_total: { type: "counter", help: "Finished sync runs by portal and status." },
+    sync_run_duration_seconds: { type: "histogram", help: "Sync run duration by portal and status." },
+    db_rows: { type: "gauge", help: "Rows in the deals and deals_products tables by portal." },
+    process_uptime_seconds: { type: "gauge", help: "Seconds since the process started." },
+    process_resident_memory_bytes: { type: "gauge", help: "Resident memory of the process." }
+};
+
+/**
+ * @param {Object<string, string>} labels - The labels of a series.
+ * @returns {string} The labels in the Prometheus text format, e.g. {method="POST",route="/x"}.
+ */
+function formatLabels(labels) {
+    const pairs = Object.keys(labels).sort().map(name => {
+        const value = String(labels[name]).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+        return `${name}="${value}"`;
+    });
+    return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * The `MetricsRegistry` class keeps counters, gauges and histograms in memory and renders them
+ * in the Prometheus text exposition format. Values are lost on restart, as Prometheus expects of counters.
+ */
+class MetricsRegistry {
+
+    /**
+     * @param {Array<number>} [buckets] - Upper bounds of the histogram buckets, in seconds.
+     */
+    constructor(buckets = DEFAULT_BUCKETS) {
+        this.buckets = buckets;
+        this.series = new Map(Object.keys(METRICS).map(name => [name, new Map()]));
+    }
+
+    /**
+     * @returns {Object} The series of the metric with the labels, created on first use.
+     */
+    getSeries(name, labels, create) {
+        const metric = this.series.get(name);
+        if (!metric) {
+            throw new Error(`Unknown metric ${name}`);
+        }
+        const key = formatLabels(labels);
+        if (!metric.has(key)) {
+            metric.set(key, create());
+        }
+        return metric.get(key);
+    }
+
+    /**
+     * Adds to a counter.
+     *
+     * @param {string} name - A counter of METRICS.
+     * @param {Object<string, string>} labels - The labels of the series.
+     * @param {number} [value=1] - The amount to add.
+     */
+    increment(name, labels, value = 1) {
+        this.getSeries(name, labels, () => ({ value: 0 })).value += value;
+    }
+
+    /**
+     * Sets a gauge.
+     *
+     * @param {string} name - A gauge of METRICS.
+     * @param {Object<string, string>} labels - The labels of the series.
+     * @param {number} value - The value.
+     */
+    set(name, labels, value) {
+        this.getSeries(name, labels, () => ({ value: 0 })).value = value;
+    }
+
+    /**
+     * Removes every series of a gauge, so series of e.g. a deleted portal do not stay exported.
+     *
+     * @param {string} name - A gauge of METRICS.
+     */
+    reset(name) {
+        this.series.get(name).clear();
+    }
+
+    /**
+     * Records an observation in a histogram.
+     *
+     * @param {string} name - A histogram of METRICS.
+     * @param {Object<string, string>} labels - The labels of the series.
+     * @param {number} seconds - The observed duration.
+     */
+    observe(name, labels, seconds) {
+        const histogram = this.getSeries(name, labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (seconds <= bound) {
+                histogram.counts[index]++;
+            }
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
+    /**
+     * @returns {string} All metrics in the Prometheus text exposition format.
+     */
+    render() {
+        const lines = [];
+        for (const [name, metric] of this.series) {
+            lines.push(`# HELP ${name} ${METRICS[name].help}`);
+            lines.push(`# TYPE ${name} ${METRICS[name].type}`);
+            for (const [key, series] of metric) {
+                if (METRICS[name].type !== "histogram") {
+                    lines.push(`${name}${key} ${series.value}`);
+                    continue;
+                }
+                // The label set is stored formatted, the le label is added inside its braces
+                const withLe = le => key ? `${key.slice(0, -1)},le="${le}"}` : `{le="${le}"}`;
+                this.buckets.forEach((bound, index) => lines.push(`${name}_bucket${withLe(bound)} ${series.counts[index]}`));
+                lines.push(`${name}_bucket${withLe("+Inf")} ${series.count}`);
+                lines.push(`${name}_sum${key} ${series.sum}`);
+                lines.push(`${name}_count${key} ${series.count}`);
+            }
+        }
+        return lines.join("\n") + "\n";
+    }
+}
+
+/**
+ * The registry of the process, shared by the services and the /metrics route.
+ */
+const metrics = new MetricsRegistry();
+
+/**
+ * Refreshes the gauges read on every scrape: the row counts of the deals and deals_products tables and the process stats.
+ *
+ * @param {Db} db - The database service.
+ */
+async function collectMetrics(db) {
+    metrics.reset("db_rows");
+    for (const tableName of ["deals", "deals_products"]) {
+        const counts = await db.query("collectMetrics", `SELECT portal_id, COUNT(*) AS rows FROM ${tableName} GROUP BY portal_id`);
+        counts.forEach(({ portal_id, rows }) => metrics.set("db_rows", { table: tableName, portal: portal_id }, rows));
+    }
+    metrics.set("process_uptime_seconds", {}, Math.round(process.uptime()));
+    metrics.set("process_resident_memory_bytes", {}, process.memoryUsage().rss);
+}
+
+export { MetricsRegistry, metrics, collectMetrics, METRICS, DEFAULT_BUCKETS };
@@ -0,0 +1,186 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+import { logMessage } from "../logger/logger.js";
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "db", "migrations");
+
+/**
+ * Migration files are named <version>_<name>.js, e.g. 001_initial_schema.js.
+ */
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+/**
+ * @param {{version: number, name: string}} migration
+ * @returns {string} The migration id as in its file name, e.g. 001_initial_schema.
+ */
+function formatMigrationId(migration) {
+    return `${String(migration.version).padStart(3, "0")}_${migration.name}`;
+}
+
+const MIGRATIONS_TABLE = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER NOT NULL PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME NOT NULL
+    );
+`;
+
+/**
+ * The `Migrator` class keeps the database schema up to date with the numbered migration files in db/migrations.
+ * Every migration module exports `up(tx)` and optionally `down(tx)`, where `tx` is the transaction passed by
+ * Db.transaction. Applied versions are recorded in the schema_migrations table in the same transaction
+ * as the migration itself, so a failed migration leaves neither schema changes nor a record behind.
+ */
+class Migrator {
+
+    /**
+     * @param {Db} db - The database service.
+     * @param {string} [dir] - The directory with the migration files.
+     */
+    constructor(db, dir = MIGRATIONS_DIR) {
+        this.db = db;
+        this.dir = dir;
+    }
+
+    /**
+     * Reads the migration files, ordered by version.
+     *
+     * @returns {Promise<Array<{version: number, name: string, up: Function, down: Function|undefined}>>}
+     * @throws {Error} If two files share a version or a file does not export `up`.
+     */
+    async loadMigrations() {
+        const migrations = [];
+        for (const file of fs.readdirSync(this.dir).sort()) {
+            const match = file.match(MIGRATION_FILE);
+            if (!match) {
+                continue;
+            }
+            const version = Number(match[1]);
+            if (migrations.some(migration => migration.version === version)) {
+                throw new Error(`Duplicate migration version ${version}: ${file}`);
+            }
+            const module = await import(pathToFileURL(path.join(this.dir, file)).href);
+            if (typeof module.up !== "function") {
+                throw new Error(`Migration ${file} does not export up()`);
+            }
+            migrations.push({ version: version, name: match[2], up: module.up, down: module.down });
+        }
+        return migrations.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * @returns {Promise<Array<{version: number, name: string, applied_at: string}>>} The applied migrations, ordered by version.
+     */
+    async getApplied() {
+        await this.db.transaction("Migrator.getApplied", tx => tx.run(MIGRATIONS_TABLE));
+        return this.db.query("Migrator.getApplied", "SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+    }
+
+    /**
+     * Lists every known migration with its state.
+     *
+     * @returns {Promise<Array<{version: number, name: string, applied: boolean, applied_at: string|null, reversible: boolean}>>}
+     *          Migration files and applied versions whose file is missing, ordered by version.
+     */
+    async status() {
+        return this.buildStatus(await this.getApplied());
+    }
+
+    /**
+     * Lists the migrations not applied yet. Unlike status() it reads schema_migrations through Db.read,
+     * so it neither creates the table nor waits for running transactions.
+     *
+     * @returns {Promise<Array<{version: number, name: string}>>} The pending migrations, ordered by version.
+     */
+    async getPending() {
+        const applied = await this.db.read("Migrator.getPending", async reader => {
+            const tables = await reader.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+            return tables.length > 0 ? reader.all("SELECT version, name, applied_at FROM schema_migrations") : [];
+        });
+        return (await this.buildStatus(applied))
+            .filter(migration => !migration.applied)
+            .map(migration => ({ version: migration.version, name: migration.name }));
+    }
+
+    /**
+     * @param {Array<{version: number, name: string, applied_at: string}>} appliedRows - The rows of schema_migrations.
+     * @returns {Promise<Array<Object>>} The status of the migrations as returned by status().
+     */
+    async buildStatus(appliedRows) {
+        const migrations = await this.loadMigrations();
+        const applied = new Map(appliedRows.map(row => [row.version, row]));
+
+        const result = migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: applied.has(migration.version),
+            applied_at: applied.get(migration.version)?.applied_at || null,
+            reversible: typeof migration.down === "function"
+        }));
+        applied.forEach((row, version) => {
+            if (!migrations.some(migration => migration.version === version)) {
+                result.push({ version: version, name: row.name, applied: true, applied_at: row.applied_at, reversible: false, missing: true });
+            }
+        });
+        return result.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Applies the pending migrations one by one, each in its own transaction.
+     * Stops at the first failing migration, the ones applied before it stay applied.
+     *
+     * @returns {Promise<Array<{version: number, name: string}>>} The applied migrations.
+     * @throws {Error} The error of the failed migration.
+     */
+    async migrate() {
+        const migrations = await this.loadMigrations();
+        const applied = new Set((await this.getApplied()).map(row => row.version));
+
+        const done = [];
+        for (const migration of migrations.filter(migration => !applied.has(migration.version))) {
+            await this.db.transaction(`Migrator.migrate ${formatMigrationId(migration)}`, async tx => {
+                await migration.up(tx);
+                await tx.run(
+                    "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)",
+                    [migration.version, migration.name, new Date().toISOString()]
+                );
+            });
+            logMessage(LOG_TYPES.I, "Migrator.migrate", `Migration ${formatMigrationId(migration)} applied`);
+            done.push({ version: migration.version, name: migration.name });
+        }
+        return done;
+    }
+
+    /**
+     * Reverts the most recently applied migration.
+     *
+     * @returns {Promise<{version: number, name: string}|null>} The reverted migration, or null if none is applied.
+     * @throws {Error} If the migration file is missing, has no `down`, or `down` fails.
+     */
+    async rollback() {
+        const applied = await this.getApplied();
+        if (applied.length === 0) {
+            return null;
+        }
+
+        const last = applied[applied.length - 1];
+        const migration = (await this.loadMigrations()).find(migration => migration.version === last.version);
+        if (!migration) {
+            throw new Error(`Migration file of version ${last.version} (${last.name}) not found`);
+        }
+        if (typeof migration.down !== "function") {
+            throw new Error(`Migration ${formatMigrationId(migration)} cannot be rolled back`);
+        }
+
+        await this.db.transaction(`Migrator.rollback ${formatMigrationId(migration)}`, async tx => {
+            await migration.down(tx);
+            await tx.run("DELETE FROM schema_migrations WHERE version = ?", [migration.version]);
+        });
+        logMessage(LOG_TYPES.I, "Migrator.rollback", `Migration ${formatMigrationId(migration)} rolled back`);
+        return { version: migration.version, name: migration.name };
+    }
+}
+
+export { Migrator, MIGRATIONS_DIR, formatMigrationId };
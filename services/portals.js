@@ -0,0 +1,212 @@
+import path from "path";
+
+import { logMessage } from "../logger/logger.js";
+import { decryptText, encryptText, generateCryptoKey, getKeyId, loadCryptoKeys, saveCryptoKeys, updateEnvFile } from "./crypto.js";
+import { DEFAULT_PORTAL_ID } from "./db.js";
+
+/**
+ * Checks a portal id: 1-64 latin letters, digits, "-" or "_".
+ *
+ * @param {string} id - The portal id.
+ * @returns {boolean} true if the id is valid.
+ */
+function isValidPortalId(id) {
+    return typeof id === "string" && /^[A-Za-z0-9_-]{1,64}$/.test(id);
+}
+
+/**
+ * Makes sure an encryption key is configured. A missing key is generated and stored in CRYPTO_KEY_FILE
+ * or the .env file, an existing one is kept, so webhooks of already registered portals stay readable.
+ *
+ * @param {string} [envPath] - Path to the .env file. Defaults to .env in the working directory.
+ * @returns {boolean} true if a new key was generated.
+ */
+function ensureCryptoKeys(envPath = path.resolve(process.cwd(), '.env')) {
+    if (loadCryptoKeys().keys.length > 0) {
+        return false;
+    }
+
+    saveCryptoKeys([generateCryptoKey()], envPath);
+    logMessage(LOG_TYPES.I, "ensureCryptoKeys", "New crypto key generated");
+    return true;
+}
+
+/**
+ * Removes the secrets of a portal row.
+ *
+ * @param {Object} row - A portals row.
+ * @returns {Object} The portal without its webhook and application token, with application_token_set telling whether a token is stored.
+ */
+function toPublicPortal({ bx_link, application_token_hash, ...portal }) {
+    return { ...portal, application_token_set: Boolean(application_token_hash) };
+}
+
+/**
+ * The `PortalsService` class manages the registered Bitrix24 portals.
+ * Every portal has its own inbound webhook, stored encrypted in the portals table.
+ */
+class PortalsService {
+
+    /**
+     * @param {Db} db - The database service.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Returns a portal without its secrets.
+     *
+     * @param {string} id - The portal id.
+     * @returns {Promise<Object|null>} The portal or null if it is not registered.
+     */
+    async get(id) {
+        const portals = await this.db.getByFilter("portals", { id: id });
+        return portals.length > 0 ? toPublicPortal(portals[0]) : null;
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} All registered portals without their secrets.
+     */
+    async list() {
+        const portals = await this.db.getAll("portals");
+        return portals.map(toPublicPortal);
+    }
+
+    /**
+     * Registers a portal or replaces the webhook of an existing one.
+     *
+     * @param {string} id - The portal id.
+     * @param {string} bxLink - The inbound webhook URL.
+     * @param {string} [name] - A human readable name of the portal.
+     * @returns {Promise<Object>} The saved portal without its webhook.
+     */
+    async register(id, bxLink, name) {
+        ensureCryptoKeys();
+        const bxLinkEncrypted = await encryptText(bxLink, loadCryptoKeys().keys[0]);
+        if (!bxLinkEncrypted) {
+            throw new Error("Could not encrypt the webhook");
+        }
+
+        const [existing] = await this.db.getByFilter("portals", { id: id });
+        const now = new Date().toISOString();
+        const portal = {
+            id: id,
+            name: name || existing?.name || id,
+            bx_link: bxLinkEncrypted,
+            created_at: existing?.created_at || now,
+            updated_at: now,
+            application_token_hash: existing?.application_token_hash || null
+        };
+        await this.db.insertInTable("portals", portal);
+
+        logMessage(LOG_TYPES.I, "PortalsService.register", `Portal ${id} registered`);
+        return toPublicPortal(portal);
+    }
+
+    /**
+     * Decrypts the webhook of a portal.
+     *
+     * @param {string} id - The portal id.
+     * @returns {Promise<string>} The inbound webhook URL.
+     * @throws {Error} If the portal is not registered.
+     */
+    async getWebhook(id) {
+        const portals = await this.db.getByFilter("portals", { id: id });
+        if (portals.length === 0) {
+            throw new Error(`Portal ${id} is not registered`);
+        }
+        const { keys, iv } = loadCryptoKeys();
+        return decryptText(portals[0].bx_link, keys, iv);
+    }
+
+    /**
+     * Re-encrypts the webhooks of all portals, and BX_LINK in .env if set, under a new key. The new key is stored as the current one
+     * before the webhooks are rewritten and the old keys stay configured as previous keys, so every webhook
+     * stays readable while the rotation runs.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.key] - The new key (32 bytes, hex). Defaults to a generated one.
+     * @param {boolean} [options.dropPrevious=false] - Remove the previous keys once every webhook is re-encrypted.
+     * @returns {Promise<{key_id: string, reencrypted: number, previous_keys: number}>} The id of the new key,
+     *          the number of re-encrypted webhooks and the number of previous keys left configured.
+     * @throws {Error} If a webhook cannot be decrypted with the configured keys or the keys cannot be stored.
+     */
+    async rotateKey({ key = generateCryptoKey(), dropPrevious = false } = {}) {
+        const { keys, iv } = loadCryptoKeys();
+        if (keys.includes(key)) {
+            throw new Error("The new key is configured already");
+        }
+
+        // Decrypt everything first, so a webhook that cannot be read stops the rotation before anything changes
+        const portals = await this.db.getAll("portals");
+        const webhooks = [];
+        for (const portal of portals) {
+            webhooks.push({ id: portal.id, bxLink: await decryptText(portal.bx_link, keys, iv) });
+        }
+        const legacyLink = process.env.BX_LINK ? await decryptText(process.env.BX_LINK, keys, iv) : null;
+
+        saveCryptoKeys([key, ...keys]);
+        const records = [];
+        for (const webhook of webhooks) {
+            const bxLinkEncrypted = await encryptText(webhook.bxLink, key);
+            if (!bxLinkEncrypted) {
+                throw new Error(`Could not encrypt the webhook of portal ${webhook.id}`);
+            }
+            records.push({ id: webhook.id, bx_link: bxLinkEncrypted });
+        }
+        await this.db.transaction("PortalsService.rotateKey", async tx => {
+            for (const record of records) {
+                await tx.run("UPDATE portals SET bx_link = ? WHERE id = ?", [record.bx_link, record.id]);
+            }
+        });
+        if (legacyLink) {
+            process.env.BX_LINK = await encryptText(legacyLink, key);
+            updateEnvFile({ BX_LINK: process.env.BX_LINK });
+        }
+        if (dropPrevious) {
+            saveCryptoKeys([key]);
+        }
+
+        const previousKeys = dropPrevious ? 0 : keys.length;
+        logMessage(LOG_TYPES.I, "PortalsService.rotateKey", `Key ${getKeyId(key)} is now current, ${records.length} webhook(s) re-encrypted, ${previousKeys} previous key(s) kept`);
+        return { key_id: getKeyId(key), reencrypted: records.length, previous_keys: previousKeys };
+    }
+
+    /**
+     * Removes a portal together with all of its data.
+     *
+     * @param {string} id - The portal id.
+     * @returns {Promise<{changes: number}>} The number of removed rows.
+     */
+    async remove(id) {
+        const removed = await this.db.deletePortal(id);
+        logMessage(LOG_TYPES.I, "PortalsService.remove", `Portal ${id} removed with ${removed.changes} row(s)`);
+        return removed;
+    }
+
+    /**
+     * Registers the webhook from BX_LINK in .env as the default portal, so installations made before
+     * multi-portal support keep working. Does nothing if the default portal already exists.
+     *
+     * @returns {Promise<boolean>} true if the default portal was created.
+     */
+    async importLegacyWebhook() {
+        if (!process.env.BX_LINK || await this.get(DEFAULT_PORTAL_ID)) {
+            return false;
+        }
+
+        const now = new Date().toISOString();
+        await this.db.insertInTable("portals", {
+            id: DEFAULT_PORTAL_ID,
+            name: DEFAULT_PORTAL_ID,
+            bx_link: process.env.BX_LINK,
+            created_at: now,
+            updated_at: now
+        });
+        logMessage(LOG_TYPES.I, "PortalsService.importLegacyWebhook", `BX_LINK from .env registered as portal "${DEFAULT_PORTAL_ID}"`);
+        return true;
+    }
+}
+
+export { PortalsService, ensureCryptoKeys, isValidPortalId };
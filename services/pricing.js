@@ -0,0 +1,155 @@
+import { percentile, getQuantity, round } from "./stats.js";
+
+/**
+ * recent_median - the median unit price and discount of the rows sold in the last `days` days.
+ * weighted_average - the quantity weighted average unit price and discount of the rows sold in the last `days` days.
+ * last_price - the unit price and discount of the most recently sold row, however old.
+ */
+const RECOMMENDATION_METHODS = ["recent_median", "weighted_average", "last_price"];
+
+const DEFAULT_RECOMMENDATION_DAYS = 90;
+
+const MAX_BASKET_ITEMS = 500;
+
+/**
+ * Validates a basket coming from the API.
+ *
+ * @param {Array<Object>} items - The basket lines with product_id and optional quantity fields.
+ * @returns {string|null} An error message or null if the basket is valid.
+ */
+function validateBasket(items) {
+    if (!Array.isArray(items) || items.length === 0 || items.length > MAX_BASKET_ITEMS) {
+        return `items must be an array of 1 to ${MAX_BASKET_ITEMS} lines`;
+    }
+    for (const item of items) {
+        if (!item || !Number.isInteger(Number(item.product_id)) || item.product_id === null || item.product_id === "") {
+            return "product_id of every line must be an integer";
+        }
+        if (item.quantity !== undefined && !(typeof item.quantity === "number" && item.quantity > 0)) {
+            return "quantity must be a positive number";
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {string} dateCreate - The deal's date_create.
+ * @returns {string} The date part, YYYY-MM-DD.
+ */
+function getDay(dateCreate) {
+    return String(dateCreate).substring(0, 10);
+}
+
+/**
+ * Calculates the recommended unit price and discount of one product from its historical rows.
+ *
+ * @param {Array<Object>} rows - Rows of the product with price, discount, quantity and date_create fields.
+ * @param {string} method - One of RECOMMENDATION_METHODS.
+ * @returns {{price: number, discount: number, rows: Array<Object>}|null} The recommendation and the rows behind it,
+ *          or null without rows.
+ */
+function recommendProductPrice(rows, method) {
+    const priced = rows.filter(row => row.price !== null && row.price !== undefined);
+    if (priced.length === 0) {
+        return null;
+    }
+
+    if (method === "last_price") {
+        const last = priced.reduce((latest, row) => {
+            const order = getDay(row.date_create).localeCompare(getDay(latest.date_create)) || row.deal_id - latest.deal_id;
+            return order > 0 ? row : latest;
+        });
+        return { price: Number(last.price), discount: Number(last.discount) || 0, rows: [last] };
+    }
+
+    if (method === "weighted_average") {
+        let quantity = 0;
+        let price = 0;
+        let discount = 0;
+        priced.forEach(row => {
+            quantity += getQuantity(row);
+            price += Number(row.price) * getQuantity(row);
+            discount += (Number(row.discount) || 0) * getQuantity(row);
+        });
+        if (quantity === 0) {
+            return null;
+        }
+        return { price: price / quantity, discount: discount / quantity, rows: priced };
+    }
+
+    const prices = priced.map(row => Number(row.price)).sort((a, b) => a - b);
+    const discounts = priced.map(row => Number(row.discount) || 0).sort((a, b) => a - b);
+    return { price: percentile(prices, 50), discount: percentile(discounts, 50), rows: priced };
+}
+
+/**
+ * Recommends a unit price and discount for every line of a basket and sums up the basket.
+ * Lines of products without history get null prices and are left out of the basket total.
+ *
+ * @param {Array<{product_id: number, quantity: number}>} items - The basket lines.
+ * @param {Array<Object>} rows - Historical rows of the basket products with product_id, product_name, deal_id, price,
+ *                               discount, quantity and date_create fields, in one currency.
+ * @param {string} method - One of RECOMMENDATION_METHODS.
+ * @returns {{lines: Array<Object>, total: number, complete: boolean}} One entry per line: { product_id, product_name,
+ *          quantity, price, discount, price_final, line_total, sample_size, date_from, date_to }. complete is false
+ *          when a product had no history.
+ */
+function recommendBasket(items, rows, method) {
+    const byProduct = new Map();
+    rows.forEach(row => {
+        if (!byProduct.has(row.product_id)) {
+            byProduct.set(row.product_id, []);
+        }
+        byProduct.get(row.product_id).push(row);
+    });
+
+    let total = 0;
+    let complete = true;
+    const lines = items.map(item => {
+        const productId = Number(item.product_id);
+        const quantity = item.quantity === undefined ? 1 : item.quantity;
+        const productRows = byProduct.get(productId) || [];
+        const recommendation = recommendProductPrice(productRows, method);
+        if (!recommendation) {
+            complete = false;
+            return {
+                product_id: productId,
+                product_name: null,
+                quantity: quantity,
+                price: null,
+                discount: null,
+                price_final: null,
+                line_total: null,
+                sample_size: 0,
+                date_from: null,
+                date_to: null
+            };
+        }
+
+        const days = recommendation.rows.map(row => getDay(row.date_create)).sort();
+        const priceFinal = recommendation.price - recommendation.discount;
+        total += priceFinal * quantity;
+        return {
+            product_id: productId,
+            product_name: productRows[productRows.length - 1].product_name,
+            quantity: quantity,
+            price: round(recommendation.price),
+            discount: round(recommendation.discount),
+            price_final: round(priceFinal),
+            line_total: round(priceFinal * quantity),
+            sample_size: recommendation.rows.length,
+            date_from: days[0],
+            date_to: days[days.length - 1]
+        };
+    });
+
+    return { lines: lines, total: round(total), complete: complete };
+}
+
+export {
+    recommendBasket,
+    recommendProductPrice,
+    validateBasket,
+    RECOMMENDATION_METHODS,
+    DEFAULT_RECOMMENDATION_DAYS
+};
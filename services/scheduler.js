@@ -0,0 +1,560 @@
+import os from "os";
+import schedule from "node-schedule";
+import { logMessage, createCorrelationId, runWithCorrelationId } from "../logger/logger.js";
+import { metrics } from "./metrics.js";
+
+const DEFAULT_CRON = "0 * * * *";
+
+/**
+ * portal_id under which the instance wide scheduler settings are stored.
+ */
+const INSTANCE_SCOPE = "*";
+
+/**
+ * What a sync run syncs. Scheduled runs sync deals and then their product rows.
+ * Catalog runs count the synced products in rows_processed.
+ */
+const SYNC_JOB_KINDS = {
+    DEALS: "deals",
+    PRODUCT_ROWS: "productrows",
+    CATALOG: "catalog",
+    ALL: "all"
+};
+
+/**
+ * A running run refreshes its heartbeat_at this often. A run whose heartbeat is older than HEARTBEAT_TIMEOUT
+ * is taken for one of a process that is gone.
+ */
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const HEARTBEAT_TIMEOUT = 2 * 60 * 1000;
+
+/**
+ * How long the queue waits before it looks again while a run of another process is in progress.
+ */
+const QUEUE_RETRY_DELAY = 30 * 1000;
+
+const SCHEDULER_KEYS = {
+    CRON: "scheduler_cron",
+    PAUSED: "scheduler_paused"
+};
+
+/**
+ * Checks a cron expression by scheduling a job with it and cancelling the job right away.
+ *
+ * @param {string} cron - The cron expression.
+ * @returns {string|null} An error message or null if the expression is valid.
+ */
+function validateCron(cron) {
+    const probe = typeof cron === "string" ? schedule.scheduleJob(cron, () => {}) : null;
+    if (!probe) {
+        return `Invalid cron expression "${cron}"`;
+    }
+    probe.cancel();
+    return null;
+}
+
+/**
+ * The `SyncScheduler` class runs the deals and product rows sync of every registered portal on a cron
+ * expression and records one run per portal in the sync_runs table.
+ * The sync_runs table is also the queue of sync jobs started through the API: pending runs are executed
+ * one after another in the background and picked up again after a restart.
+ * The cron expression and the paused flag are kept in the sync_state table under the instance scope,
+ * so they survive a restart.
+ */
+class SyncScheduler {
+
+    /**
+     * @param {Db} db - The database service.
+     * @param {function(string): Promise<SyncService>} createSyncService - Factory returning a ready to use
+     *        SyncService for the given portal id.
+     */
+    constructor(db, createSyncService) {
+        this.db = db;
+        this.createSyncService = createSyncService;
+        this.cron = process.env.SYNC_CRON || DEFAULT_CRON;
+        this.paused = false;
+        this.job = null;
+        this.running = false;
+        this.currentRunIds = [];
+        this.worker = null;
+        this.retryTimer = null;
+        this.current = null;
+    }
+
+    /**
+     * Loads the persisted schedule settings, schedules the job unless it is paused
+     * and resumes the runs queued or interrupted before a restart.
+     */
+    async start() {
+        try {
+            const state = await this.db.getByFilter("sync_state", { portal_id: INSTANCE_SCOPE });
+            const cron = state.find(row => row.key === SCHEDULER_KEYS.CRON);
+            const paused = state.find(row => row.key === SCHEDULER_KEYS.PAUSED);
+            if (cron) {
+                this.cron = cron.value;
+            }
+            this.paused = paused ? paused.value === "true" : false;
+        } catch (error) {
+            logMessage(LOG_TYPES.E, "SyncScheduler.start", error);
+        }
+
+        if (!this.paused) {
+            this.schedule();
+        }
+        logMessage(LOG_TYPES.I, "SyncScheduler.start", `Sync scheduler started with "${this.cron}"${this.paused ? " (paused)" : ""}`);
+
+        this.processQueue().catch(error => logMessage(LOG_TYPES.E, "SyncScheduler.processQueue", error));
+    }
+
+    /**
+     * (Re)creates the node-schedule job for the current cron expression.
+     *
+     * @returns {boolean} false if the cron expression is invalid.
+     */
+    schedule() {
+        if (this.job) {
+            this.job.cancel();
+        }
+        this.job = schedule.scheduleJob(this.cron, () => runWithCorrelationId(createCorrelationId(), () => {
+            this.run("schedule").catch(error => logMessage(LOG_TYPES.E, "SyncScheduler job", error));
+        }));
+        if (!this.job) {
+            logMessage(LOG_TYPES.E, "SyncScheduler.schedule", `Invalid cron expression "${this.cron}"`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Stores a schedule setting in the sync_state table.
+     *
+     * @param {string} key - One of SCHEDULER_KEYS.
+     * @param {string} value - The setting value.
+     * @returns {Promise<Object>}
+     */
+    saveSetting(key, value) {
+        return this.db.insertInTable("sync_state", { portal_id: INSTANCE_SCOPE, key: key, value: value, updated_at: new Date().toISOString() });
+    }
+
+    /**
+     * Replaces the cron expression and reschedules the job when it is not paused.
+     *
+     * @param {string} cron - The new cron expression.
+     * @throws {Error} If the cron expression is invalid.
+     */
+    async setCron(cron) {
+        const validationError = validateCron(cron);
+        if (validationError) {
+            throw new Error(validationError);
+        }
+
+        await this.saveSetting(SCHEDULER_KEYS.CRON, cron);
+        this.cron = cron;
+        if (!this.paused) {
+            this.schedule();
+        }
+    }
+
+    /**
+     * Cancels the scheduled job. Manual runs are still possible while paused.
+     */
+    async pause() {
+        if (this.job) {
+            this.job.cancel();
+            this.job = null;
+        }
+        this.paused = true;
+        await this.saveSetting(SCHEDULER_KEYS.PAUSED, "true");
+    }
+
+    /**
+     * Schedules the job again after a pause.
+     */
+    async resume() {
+        this.paused = false;
+        await this.saveSetting(SCHEDULER_KEYS.PAUSED, "false");
+        this.schedule();
+    }
+
+    /**
+     * @returns {{cron: string, paused: boolean, running: boolean, current_run_id: number|null,
+     *          current_run_ids: Array<number>, next_run: string|null}} current_run_ids holds the running and the queued runs.
+     */
+    getStatus() {
+        const next = this.job ? this.job.nextInvocation() : null;
+        return {
+            cron: this.cron,
+            paused: this.paused,
+            running: this.running,
+            current_run_id: this.current ? this.current.id : null,
+            current_run_ids: this.currentRunIds,
+            next_run: next ? next.toISOString() : null
+        };
+    }
+
+    /**
+     * Queues a sync of deals and product rows in the background unless the queue is busy.
+     *
+     * @param {string} trigger - What started the sync ("schedule" or "manual").
+     * @param {Object} [options]
+     * @param {boolean} [options.full=false] - Run a full resync instead of an incremental one.
+     * @param {string} [options.portalId] - Sync only this portal instead of every registered one.
+     * @returns {Promise<Array<number>|null>} The ids of the queued runs, one per portal,
+     *          or null if a sync is already in progress.
+     */
+    async trigger(trigger, options = {}) {
+        if (this.running) {
+            return null;
+        }
+        return this.enqueue(trigger, options);
+    }
+
+    /**
+     * Runs a sync of deals and product rows and waits for the queue to be worked off.
+     * Skips the sync if another one is in progress.
+     *
+     * @param {string} trigger - What started the sync ("schedule" or "manual").
+     * @param {Object} [options]
+     * @param {boolean} [options.full=false] - Run a full resync instead of an incremental one.
+     * @param {string} [options.portalId] - Sync only this portal instead of every registered one.
+     * @returns {Promise<Array<number>|null>} The ids of the runs, finished unless a run of another process held up the queue,
+     *          or null if the sync was skipped.
+     */
+    async run(trigger, options = {}) {
+        if (this.running) {
+            logMessage(LOG_TYPES.I, "SyncScheduler.run", `Runs ${this.currentRunIds.join(", ")} are still in progress, skipping`);
+            return null;
+        }
+        const runIds = await this.enqueue(trigger, options);
+        await this.processQueue();
+        return runIds;
+    }
+
+    /**
+     * Records a pending run for every portal to sync and starts working off the queue in the background.
+     * Runs are executed one after another in the order they were queued, also after a restart.
+     *
+     * @param {string} trigger - What started the sync ("schedule", "manual" or "api").
+     * @param {Object} [options]
+     * @param {string} [options.kind="all"] - One of SYNC_JOB_KINDS.
+     * @param {boolean} [options.full=false] - Run a full resync instead of an incremental one.
+     * @param {string} [options.portalId] - Sync only this portal instead of every registered one.
+     * @returns {Promise<Array<number>>} The ids of the queued runs, one per portal.
+     */
+    async enqueue(trigger, options = {}) {
+        const runIds = await this.createRuns(trigger, options);
+        this.currentRunIds.push(...runIds);
+        this.processQueue().catch(error => logMessage(LOG_TYPES.E, "SyncScheduler.enqueue", error));
+        return runIds;
+    }
+
+    /**
+     * Records a pending run for every portal to sync, see enqueue.
+     *
+     * @returns {Promise<Array<number>>} The ids of the created runs, one per portal.
+     */
+    async createRuns(trigger, { kind = SYNC_JOB_KINDS.ALL, full = false, portalId } = {}) {
+        const portalIds = portalId ? [portalId] : (await this.db.getAll("portals")).map(portal => portal.id);
+        const runIds = [];
+        for (const id of portalIds) {
+            const { lastID: runId } = await this.db.insertInTable("sync_runs", {
+                portal_id: id,
+                trigger: trigger,
+                kind: kind,
+                full: full ? 1 : 0,
+                status: "pending",
+                created_at: new Date().toISOString()
+            });
+            runIds.push(runId);
+        }
+        return runIds;
+    }
+
+    /**
+     * Records a run of one portal and executes it right away in this process, for the command line,
+     * which has no worker working off the queue. Like the queued runs it is recorded in sync_runs and counted
+     * in the metrics, and it is skipped while a run of any process is in progress.
+     *
+     * @param {string} trigger - What started the sync, e.g. "cli".
+     * @param {Object} options - kind, full and portalId, see enqueue. portalId is required.
+     * @returns {Promise<{run: Object, error: Error|null}|null>} The finished run and the error it failed with,
+     *          or null if another run is in progress.
+     */
+    async runNow(trigger, options) {
+        if (this.running || (await this.getRunningRuns()).length > 0) {
+            return null;
+        }
+        const [runId] = await this.createRuns(trigger, options);
+        const [run] = await this.db.getByFilter("sync_runs", { id: runId });
+
+        this.running = true;
+        try {
+            const { error } = await this.execute(run);
+            const [finished] = await this.db.getByFilter("sync_runs", { id: runId });
+            return { run: finished, error: error };
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Starts working off the pending runs unless that is already under way.
+     *
+     * @returns {Promise<void>} Resolves when no run is pending anymore.
+     */
+    processQueue() {
+        if (!this.worker) {
+            this.worker = this.work();
+        }
+        return this.worker;
+    }
+
+    /**
+     * Queues the runs of processes that are gone again and executes the pending runs oldest first until none
+     * is left, then releases the scheduler. While a run of another process, e.g. a command line sync, is in progress
+     * the pending runs wait and the queue is looked at again after QUEUE_RETRY_DELAY.
+     */
+    async work() {
+        this.running = true;
+        try {
+            const requeued = await this.recover();
+            if (requeued > 0) {
+                logMessage(LOG_TYPES.W, "SyncScheduler.work", `${requeued} sync run(s) interrupted by a restart were queued again`);
+            }
+            let pending = await this.getPendingRuns();
+            while (pending.length > 0) {
+                const [other] = await this.getRunningRuns();
+                if (other) {
+                    logMessage(LOG_TYPES.I, "SyncScheduler.work", `Run ${other.id} of process ${other.owner_pid} on ${other.owner_host} is in progress, ${pending.length} pending run(s) wait`);
+                    this.retryLater();
+                    break;
+                }
+                this.currentRunIds = pending.map(run => run.id);
+                const run = pending[0];
+                await runWithCorrelationId(createCorrelationId(), () => this.execute(run));
+                pending = await this.getPendingRuns();
+            }
+        } finally {
+            // Released in the same tick the queue was found empty, so a run queued right after starts a new worker
+            this.running = false;
+            this.currentRunIds = [];
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Looks at the queue again after QUEUE_RETRY_DELAY, unless that is planned already.
+     */
+    retryLater() {
+        if (this.retryTimer) {
+            return;
+        }
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.processQueue().catch(error => logMessage(LOG_TYPES.E, "SyncScheduler.processQueue", error));
+        }, QUEUE_RETRY_DELAY);
+        // The server is kept alive by its HTTP listener, a command line process must not wait for the timer
+        this.retryTimer.unref();
+    }
+
+    /**
+     * Tells whether the process executing a running run is still there. A run without a fresh heartbeat is not.
+     * On this host the pid is checked as well: a run with the pid of this process but not executed by it
+     * was left by a previous process, e.g. of a restarted container.
+     *
+     * @param {Object} run - A running run, a row of the sync_runs table.
+     * @returns {boolean}
+     */
+    isRunAlive(run) {
+        if (this.current && this.current.id === run.id) {
+            return true;
+        }
+        if (!run.heartbeat_at || Date.now() - Date.parse(run.heartbeat_at) > HEARTBEAT_TIMEOUT) {
+            return false;
+        }
+        if (run.owner_host !== os.hostname()) {
+            return true;
+        }
+        if (run.owner_pid === process.pid) {
+            return false;
+        }
+        try {
+            process.kill(run.owner_pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM: the process exists but belongs to another user
+            return error.code === "EPERM";
+        }
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} The runs in progress whose process is alive, also those of other processes
+     *          sharing the database.
+     */
+    async getRunningRuns() {
+        const runs = await this.db.query("SyncScheduler.getRunningRuns", "SELECT * FROM sync_runs WHERE status = 'running' ORDER BY id");
+        return runs.filter(run => this.isRunAlive(run));
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} The pending runs, oldest first.
+     */
+    getPendingRuns() {
+        return this.db.query("SyncScheduler.getPendingRuns", "SELECT * FROM sync_runs WHERE status = 'pending' ORDER BY id");
+    }
+
+    /**
+     * Puts the running runs whose process is gone back into the queue, except the ones asked to be cancelled.
+     * Runs of live processes, e.g. of a command line sync, are left alone.
+     * A run only moves the sync cursors when it succeeds, so running it again from the start is safe.
+     *
+     * @returns {Promise<number>} The number of requeued runs.
+     */
+    async recover() {
+        const runs = await this.db.query("SyncScheduler.recover", "SELECT * FROM sync_runs WHERE status = 'running' ORDER BY id");
+        let requeued = 0;
+        for (const run of runs.filter(run => !this.isRunAlive(run))) {
+            const fields = run.cancel_requested
+                ? { status: "cancelled", finished_at: new Date().toISOString() }
+                : { status: "pending", progress: null, owner_host: null, owner_pid: null, heartbeat_at: null };
+            // The status condition keeps two processes recovering at once from both taking the run
+            const { changes } = await this.db.updateTable("sync_runs", fields, { id: run.id, status: "running" });
+            requeued += run.cancel_requested ? 0 : changes;
+        }
+        return requeued;
+    }
+
+    /**
+     * Cancels a run. A pending run is cancelled right away, a running one stops before its next Bitrix request
+     * or database write. Data the run has already written, e.g. the deals of a run syncing deals and product rows,
+     * is kept.
+     *
+     * @param {number} runId - The id of the run.
+     * @returns {Promise<boolean>} false if the run is neither pending nor running.
+     */
+    async cancel(runId) {
+        const { changes } = await this.db.run(
+            "SyncScheduler.cancel",
+            "UPDATE sync_runs SET status = 'cancelled', cancel_requested = 1, finished_at = ? WHERE id = ? AND status = 'pending'",
+            [new Date().toISOString(), runId]
+        );
+        if (changes > 0) {
+            this.currentRunIds = this.currentRunIds.filter(id => id !== runId);
+            return true;
+        }
+        if (this.current && this.current.id === runId) {
+            await this.db.updateTable("sync_runs", { cancel_requested: 1 }, { id: runId });
+            this.current.controller.abort(new Error(`Sync run ${runId} was cancelled`));
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Stores the progress of the running run. Writes are not awaited, the database queue keeps them in order.
+     *
+     * @param {number} runId - The id of the run.
+     * @param {{stage: string, done: number, total: number, rows?: number}} progress - The progress reported by SyncService.
+     */
+    reportProgress(runId, progress) {
+        const fields = { progress: JSON.stringify(progress) };
+        if (progress.stage === "deals") {
+            fields.deals_processed = progress.done;
+        }
+        if (progress.stage === "productrows") {
+            fields.rows_processed = progress.rows;
+        }
+        this.db.updateTable("sync_runs", fields, { id: runId, status: "running" })
+            .catch(error => logMessage(LOG_TYPES.E, "SyncScheduler.reportProgress", error));
+    }
+
+    /**
+     * Syncs deals, product rows, both or the product catalog of a portal and writes the outcome into the run record.
+     *
+     * @param {Object} run - The pending run, a row of the sync_runs table.
+     * @returns {Promise<{status: string|null, error: Error|null}>} The status of the run, null if it was cancelled
+     *          before it started, and the error it failed with.
+     */
+    async execute(run) {
+        // Holds the counts of the finished steps, a cancelled or failed step keeps its last reported progress
+        const result = {};
+        const controller = new AbortController();
+        const startedAt = Date.now();
+        let status = "error";
+        let failure = null;
+        let heartbeat = null;
+
+        // Set before the first await, so cancel() either finds the run pending or finds it here
+        this.current = { id: run.id, controller: controller };
+        try {
+            const { changes } = await this.db.updateTable("sync_runs", {
+                status: "running",
+                started_at: new Date().toISOString(),
+                owner_host: os.hostname(),
+                owner_pid: process.pid,
+                heartbeat_at: new Date().toISOString()
+            }, { id: run.id, status: "pending" });
+            if (changes === 0) {
+                status = null;  // cancelled while it waited
+                return { status: status, error: null };
+            }
+            heartbeat = setInterval(() => {
+                this.db.updateTable("sync_runs", { heartbeat_at: new Date().toISOString() }, { id: run.id, status: "running" })
+                    .catch(error => logMessage(LOG_TYPES.E, "SyncScheduler.execute", error));
+            }, HEARTBEAT_INTERVAL);
+            heartbeat.unref();
+
+            const syncService = await this.createSyncService(run.portal_id);
+            const options = { full: Boolean(run.full), signal: controller.signal, onProgress: progress => this.reportProgress(run.id, progress) };
+            if (run.kind === SYNC_JOB_KINDS.CATALOG) {
+                const { products } = await syncService.syncCatalog(options);
+                result.rows_processed = products;
+            }
+            if (run.kind === SYNC_JOB_KINDS.DEALS || run.kind === SYNC_JOB_KINDS.ALL) {
+                const { deals } = await syncService.syncDeals(options);
+                result.deals_processed = deals.length;
+            }
+            if (run.kind === SYNC_JOB_KINDS.PRODUCT_ROWS || run.kind === SYNC_JOB_KINDS.ALL) {
+                const { deals, rows } = await syncService.syncProductRows(options);
+                if (run.kind === SYNC_JOB_KINDS.PRODUCT_ROWS) {
+                    result.deals_processed = deals.length;
+                }
+                result.rows_processed = rows;
+            }
+
+            await this.db.updateTable("sync_runs", {
+                deals_processed: 0,
+                rows_processed: 0,
+                ...result,
+                status: "success",
+                finished_at: new Date().toISOString()
+            }, { id: run.id });
+            status = "success";
+            logMessage(LOG_TYPES.I, "SyncScheduler.execute", `Sync run ${run.id} of portal ${run.portal_id} finished: ${result.deals_processed || 0} deal(s), ${result.rows_processed || 0} row(s)`);
+        } catch (error) {
+            failure = error;
+            status = controller.signal.aborted ? "cancelled" : "error";
+            if (status === "cancelled") {
+                logMessage(LOG_TYPES.I, "SyncScheduler.execute", `Sync run ${run.id} of portal ${run.portal_id} cancelled`);
+            } else {
+                logMessage(LOG_TYPES.E, "SyncScheduler.execute", error);
+            }
+            await this.db.updateTable("sync_runs", {
+                ...result,
+                status: status,
+                finished_at: new Date().toISOString(),
+                error: status === "error" ? error?.message || String(error) : null
+            }, { id: run.id }).catch(updateError => logMessage(LOG_TYPES.E, "SyncScheduler.execute", updateError));
+        } finally {
+            clearInterval(heartbeat);
+            this.current = null;
+            if (status) {
+                metrics.increment("sync_runs_total", { portal: run.portal_id, status: status });
+                metrics.observe("sync_run_duration_seconds", { portal: run.portal_id, status: status }, (Date.now() - startedAt) / 1000);
+            }
+        }
+        return { status: status, error: failure };
+    }
+}
+
+export { SyncScheduler, SYNC_JOB_KINDS, DEFAULT_CRON, validateCron };
@@ -0,0 +1,103 @@
+const DEFAULT_PRICE_TYPE_FIELD = "UF_CRM_1710140074001";
+
+/**
+ * Applied when no active rule is stored in the selection_rules table.
+ */
+const DEFAULT_RULES = [{ category_id: 68, price_type: "616" }];
+
+const SETTINGS_KEYS = {
+    PRICE_TYPE_FIELD: "price_type_field"
+};
+
+/**
+ * Loads the deal selection of a portal from the database: the active rules and the Bitrix field that holds the price type.
+ *
+ * @param {Db} db - The database service.
+ * @param {string} portalId - The id of the portal.
+ * @returns {Promise<{rules: Array<{category_id: number, price_type: string|null}>, priceTypeField: string}>}
+ */
+async function loadSelection(db, portalId) {
+    const storedRules = await db.getByFilter("selection_rules", { portal_id: portalId, active: 1 });
+    const settings = await db.getByFilter("settings", { portal_id: portalId, key: SETTINGS_KEYS.PRICE_TYPE_FIELD });
+
+    return {
+        rules: storedRules.length > 0
+            ? storedRules.map(rule => ({ category_id: rule.category_id, price_type: rule.price_type }))
+            : DEFAULT_RULES,
+        priceTypeField: settings.length > 0 && settings[0].value ? settings[0].value : DEFAULT_PRICE_TYPE_FIELD
+    };
+}
+
+/**
+ * Checks whether a deal matches at least one selection rule.
+ * A rule without price_type accepts every price type of its category.
+ *
+ * @param {Object} deal - A deal with category_id and price_type fields.
+ * @param {Array<Object>} rules - The rules returned by loadSelection.
+ * @returns {boolean} true if the deal should be kept in the local database.
+ */
+function isDealQualifying(deal, rules) {
+    return rules.some(rule => {
+        if (Number(deal.category_id) !== Number(rule.category_id)) {
+            return false;
+        }
+        return rule.price_type === null || rule.price_type === undefined || String(deal.price_type) === String(rule.price_type);
+    });
+}
+
+/**
+ * Builds one Bitrix deal filter per rule.
+ *
+ * @param {Array<Object>} rules - The rules returned by loadSelection.
+ * @param {string} priceTypeField - The Bitrix field that holds the price type.
+ * @returns {Array<Object>} Filters for DealsService.getDealsByFilter.
+ */
+function buildDealFilters(rules, priceTypeField) {
+    return rules.map(rule => {
+        const filter = { "CATEGORY_ID": rule.category_id };
+        if (rule.price_type !== null && rule.price_type !== undefined) {
+            filter[priceTypeField] = rule.price_type;
+        }
+        return filter;
+    });
+}
+
+/**
+ * Validates a selection rule coming from the API.
+ *
+ * @param {Object} rule - The rule with category_id and optional price_type and active fields.
+ * @returns {string|null} An error message or null if the rule is valid.
+ */
+function validateRule(rule) {
+    if (!Number.isInteger(Number(rule.category_id)) || rule.category_id === null || rule.category_id === "") {
+        return "category_id must be an integer";
+    }
+    if (rule.price_type !== undefined && rule.price_type !== null && !/^\w+$/.test(String(rule.price_type))) {
+        return "price_type must be a field value or null";
+    }
+    if (rule.active !== undefined && typeof rule.active !== "boolean") {
+        return "active must be a boolean";
+    }
+    return null;
+}
+
+/**
+ * Validates a Bitrix field name, e.g. UF_CRM_1710140074001.
+ *
+ * @param {string} field - The field name.
+ * @returns {boolean} true if the field name is valid.
+ */
+function isValidFieldName(field) {
+    return typeof field === "string" && /^[A-Z][A-Z0-9_]*$/.test(field);
+}
+
+export {
+    loadSelection,
+    isDealQualifying,
+    buildDealFilters,
+    validateRule,
+    isValidFieldName,
+    DEFAULT_RULES,
+    DEFAULT_PRICE_TYPE_FIELD,
+    SETTINGS_KEYS
+};
@@ -0,0 +1,282 @@
+const DEFAULT_PERCENTILES = [25, 75, 90];
+const GRANULARITIES = ["day", "week", "month"];
+
+/**
+ * Rounds a number to two decimal places, keeps null as is.
+ *
+ * @param {number|null} value - The value to round.
+ * @returns {number|null} The rounded value.
+ */
+function round(value) {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+        return null;
+    }
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Calculates a percentile of a sorted array using linear interpolation between closest ranks.
+ *
+ * @param {Array<number>} sorted - Values sorted in ascending order.
+ * @param {number} p - The percentile to calculate (0-100).
+ * @returns {number|null} The percentile value or null for an empty array.
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Calculates the arithmetic mean of an array of numbers.
+ *
+ * @param {Array<number>} values - The values.
+ * @returns {number|null} The mean or null for an empty array.
+ */
+function mean(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * @param {Array<number>} values - The values.
+ * @returns {number|null} The smallest value or null for an empty array.
+ */
+function min(values) {
+    return values.length > 0 ? values.reduce((result, value) => Math.min(result, value)) : null;
+}
+
+/**
+ * @param {Array<number>} values - The values.
+ * @returns {number|null} The largest value or null for an empty array.
+ */
+function max(values) {
+    return values.length > 0 ? values.reduce((result, value) => Math.max(result, value)) : null;
+}
+
+/**
+ * Returns the quantity of a product row. Rows synced before quantities were stored count as one unit.
+ *
+ * @param {Object} row - A product row with an optional quantity field.
+ * @returns {number} The quantity.
+ */
+function getQuantity(row) {
+    const quantity = Number(row.quantity);
+    return row.quantity === null || row.quantity === undefined || Number.isNaN(quantity) ? 1 : quantity;
+}
+
+/**
+ * Returns the amount paid for a product row: the final unit price times the quantity.
+ * Without a final price (rows synced before it was stored) the unit price minus the discount is used.
+ *
+ * @param {Object} row - A product row with price, discount and optional price_final and quantity fields.
+ * @returns {number} The line total.
+ */
+function getLineTotal(row) {
+    const unitPrice = row.price_final !== null && row.price_final !== undefined
+        ? Number(row.price_final)
+        : (Number(row.price) || 0) - (Number(row.discount) || 0);
+    return unitPrice * getQuantity(row);
+}
+
+/**
+ * Accumulates quantity weighted sums of a group of rows.
+ */
+class WeightedSum {
+    constructor() {
+        this.quantity = 0;
+        this.weightedPrice = 0;
+        this.total = 0;
+    }
+
+    add(row) {
+        const quantity = getQuantity(row);
+        this.quantity += quantity;
+        this.weightedPrice += (Number(row.price) || 0) * quantity;
+        this.total += getLineTotal(row);
+    }
+
+    /**
+     * @returns {number|null} The quantity weighted average price or null if the quantity is zero.
+     */
+    weightedMean() {
+        return this.quantity !== 0 ? this.weightedPrice / this.quantity : null;
+    }
+}
+
+/**
+ * Accumulates the price statistics of one product row by row, keeping only its prices instead of the rows.
+ * count, min, max, mean, median and percentiles treat every row alike, quantity, weighted_mean and total
+ * take the quantity of every row into account.
+ */
+class ProductPriceStats {
+
+    /**
+     * @param {string} productName - The name of the product.
+     */
+    constructor(productName) {
+        this.productName = productName;
+        this.prices = [];
+        this.rows = 0;
+        this.discountSum = 0;
+        this.sum = new WeightedSum();
+    }
+
+    add(row) {
+        if (row.price !== null && row.price !== undefined) {
+            this.prices.push(Number(row.price));
+            this.sum.add(row);
+        }
+        this.rows++;
+        this.discountSum += Number(row.discount) || 0;
+    }
+
+    /**
+     * @param {number|string} productId - The id of the product.
+     * @param {Array<number>} [percentiles] - Percentiles to calculate for the price. Defaults to 25, 75 and 90.
+     * @returns {Object} { product_id, product_name, count, min, max, mean, median, percentiles,
+     *          avg_discount, quantity, weighted_mean, total }.
+     */
+    toJSON(productId, percentiles = DEFAULT_PERCENTILES) {
+        const sorted = [...this.prices].sort((a, b) => a - b);
+        const percentileValues = {};
+        percentiles.forEach(p => {
+            percentileValues[`p${p}`] = round(percentile(sorted, p));
+        });
+
+        return {
+            product_id: productId,
+            product_name: this.productName,
+            count: sorted.length,
+            min: sorted.length > 0 ? sorted[0] : null,
+            max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+            mean: round(mean(sorted)),
+            median: round(percentile(sorted, 50)),
+            percentiles: percentileValues,
+            avg_discount: this.rows > 0 ? round(this.discountSum / this.rows) : null,
+            quantity: round(this.sum.quantity),
+            weighted_mean: round(this.sum.weightedMean()),
+            total: round(this.sum.total)
+        };
+    }
+}
+
+/**
+ * Groups product rows by product_id and calculates price statistics for each product, see ProductPriceStats.
+ *
+ * @param {Array<Object>} rows - Rows with product_id, product_name, price and discount fields and optional
+ *                               price_final and quantity fields.
+ * @param {Array<number>} [percentiles] - Percentiles to calculate for the price. Defaults to 25, 75 and 90.
+ * @returns {Array<Object>} One entry per product: { product_id, product_name, count, min, max, mean, median,
+ *                          percentiles, avg_discount, quantity, weighted_mean, total }.
+ */
+function calculateProductsPriceStats(rows, percentiles = DEFAULT_PERCENTILES) {
+    const groups = new Map();
+    rows.forEach(row => {
+        if (!groups.has(row.product_id)) {
+            groups.set(row.product_id, new ProductPriceStats(row.product_name));
+        }
+        groups.get(row.product_id).add(row);
+    });
+
+    const stats = [];
+    groups.forEach((group, productId) => stats.push(group.toJSON(productId, percentiles)));
+    return stats;
+}
+
+/**
+ * Returns the bucket key of a deal date for the given granularity.
+ * Weeks are keyed by the date of their Monday.
+ *
+ * @param {string} dateCreate - The deal's date_create (ISO string, e.g. 2024-01-25T19:55:39+03:00).
+ * @param {string} granularity - One of "day", "week" or "month".
+ * @returns {string} The bucket key (YYYY-MM-DD for day and week, YYYY-MM for month).
+ */
+function getPeriodKey(dateCreate, granularity) {
+    const day = String(dateCreate).substring(0, 10);
+    if (granularity === "month") {
+        return day.substring(0, 7);
+    }
+    if (granularity === "week") {
+        const date = new Date(`${day}T00:00:00Z`);
+        const shift = (date.getUTCDay() + 6) % 7; // Days since Monday
+        date.setUTCDate(date.getUTCDate() - shift);
+        return date.toISOString().substring(0, 10);
+    }
+    return day;
+}
+
+/**
+ * Builds a price time series for each product by bucketing rows on the deal's date_create.
+ * Like calculateProductsPriceStats, rows without a price only count in the discounts.
+ *
+ * @param {Array<Object>} rows - Rows with product_id, product_name, price, discount and date_create fields
+ *                               and optional price_final and quantity fields.
+ * @param {string} granularity - One of "day", "week" or "month".
+ * @returns {Array<Object>} One entry per product: { product_id, product_name, series }, where every series item is
+ *                          { period, count, avg_price, min_price, max_price, avg_discount, min_discount, max_discount,
+ *                          quantity, weighted_avg_price, total }. count is the number of priced rows, the price
+ *                          fields are null for a period without them.
+ */
+function calculateProductsPriceHistory(rows, granularity) {
+    const products = new Map();
+    rows.forEach(row => {
+        if (!products.has(row.product_id)) {
+            products.set(row.product_id, { product_name: row.product_name, buckets: new Map() });
+        }
+        const buckets = products.get(row.product_id).buckets;
+        const period = getPeriodKey(row.date_create, granularity);
+        if (!buckets.has(period)) {
+            buckets.set(period, { prices: [], discounts: [], sum: new WeightedSum() });
+        }
+        const bucket = buckets.get(period);
+        if (row.price !== null && row.price !== undefined) {
+            bucket.prices.push(Number(row.price));
+            bucket.sum.add(row);
+        }
+        bucket.discounts.push(Number(row.discount) || 0);
+    });
+
+    const history = [];
+    products.forEach((product, productId) => {
+        const series = [...product.buckets.keys()].sort().map(period => {
+            const { prices, discounts, sum } = product.buckets.get(period);
+            return {
+                period: period,
+                count: prices.length,
+                avg_price: round(mean(prices)),
+                min_price: min(prices),
+                max_price: max(prices),
+                avg_discount: round(mean(discounts)),
+                min_discount: min(discounts),
+                max_discount: max(discounts),
+                quantity: round(sum.quantity),
+                weighted_avg_price: round(sum.weightedMean()),
+                total: round(sum.total)
+            };
+        });
+        history.push({ product_id: productId, product_name: product.product_name, series: series });
+    });
+
+    return history;
+}
+
+export {
+    calculateProductsPriceStats,
+    calculateProductsPriceHistory,
+    getPeriodKey,
+    getQuantity,
+    getLineTotal,
+    percentile,
+    ProductPriceStats,
+    mean,
+    round,
+    DEFAULT_PERCENTILES,
+    GRANULARITIES
+};
@@ -0,0 +1,270 @@
+import { logMessage } from "../logger/logger.js";
+import { DealsService } from "./deals.js";
+import { buildDealFilters, isDealQualifying, loadSelection } from "./selection.js";
+
+const SYNC_KEYS = {
+    DEALS: "deals_last_sync",
+    PRODUCT_ROWS: "productrows_last_sync",
+    CATALOG: "catalog_last_sync"
+};
+
+/**
+ * Maps a Bitrix product row to a deals_products record.
+ * price is the unit price before discount with tax (PRICE_BRUTTO), price_final the unit price
+ * the customer pays (PRICE), price_netto the unit price before discount and tax (PRICE_NETTO).
+ *
+ * @param {string} portalId - The id of the portal the deal belongs to.
+ * @param {number} dealId - The id of the parent deal.
+ * @param {Object} productrow - A product row as returned by DealsService.getDealProductRows or getDealsProductRows.
+ * @returns {Object} The deals_products record.
+ */
+function mapProductRow(portalId, dealId, productrow) {
+    return {
+        portal_id: portalId,
+        deal_id: dealId,
+        row_id: productrow["ID"],
+        product_id: productrow["PRODUCT_ID"],
+        product_name: productrow["PRODUCT_NAME"],
+        price: productrow["PRICE_BRUTTO"],
+        price_netto: productrow["PRICE_NETTO"],
+        price_final: productrow["PRICE"],
+        quantity: productrow["QUANTITY"],
+        discount: productrow["DISCOUNT_SUM"],
+        discount_rate: productrow["DISCOUNT_RATE"],
+        discount_type_id: productrow["DISCOUNT_TYPE_ID"],
+        tax_rate: productrow["TAX_RATE"],
+        tax_included: productrow["TAX_INCLUDED"] === undefined || productrow["TAX_INCLUDED"] === null ? null : (productrow["TAX_INCLUDED"] === "Y" ? 1 : 0),
+        measure_name: productrow["MEASURE_NAME"]
+    };
+}
+
+/**
+ * The `SyncService` class copies deals, their product rows and the product catalog of one portal from Bitrix
+ * into the local database.
+ * Every successful sync stores its start time in the sync_state table, so the next incremental
+ * sync only asks Bitrix for deals modified after that time.
+ */
+class SyncService {
+
+    /**
+     * @param {Db} db - The database service.
+     * @param {DealsService} dealsService - The Bitrix deals service.
+     * @param {Array<Object>} rules - The deal selection rules returned by loadSelection.
+     * @param {string} portalId - The id of the portal the deals are synced for.
+     */
+    constructor(db, dealsService, rules, portalId) {
+        this.db = db;
+        this.dealsService = dealsService;
+        this.rules = rules;
+        this.portalId = portalId;
+    }
+
+    /**
+     * Returns the time of the last successful sync for the given key.
+     *
+     * @param {string} key - One of SYNC_KEYS.
+     * @returns {Promise<string|null>} ISO date string or null if the sync never ran.
+     */
+    async getLastSync(key) {
+        const rows = await this.db.getByFilter("sync_state", { portal_id: this.portalId, key: key });
+        return rows.length > 0 ? rows[0].value : null;
+    }
+
+    /**
+     * Stores the time of a successful sync for the given key.
+     *
+     * @param {string} key - One of SYNC_KEYS.
+     * @param {string} value - ISO date string.
+     * @returns {Promise<Object>}
+     */
+    setLastSync(key, value) {
+        return this.db.insertInTable("sync_state", { portal_id: this.portalId, key: key, value: value, updated_at: new Date().toISOString() });
+    }
+
+    /**
+     * Fetches the deals matching the selection rules from Bitrix, narrowed to deals modified
+     * after the cursor when it is set. Bitrix is asked once per rule, duplicates are dropped.
+     *
+     * @param {string|null} lastSync - ISO date string of the last successful sync.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops before the next Bitrix request once aborted.
+     * @param {function(Object)} [options.onProgress] - Receives { stage: "deals", done, total } as pages are read.
+     *        The total grows by the matches of every rule as its first page is read.
+     * @returns {Promise<Array<Object>>} The mapped deals.
+     */
+    async fetchDeals(lastSync, { signal, onProgress } = {}) {
+        const deals = new Map();
+        let fetched = 0;
+        for (const filter of buildDealFilters(this.rules, this.dealsService.priceTypeField)) {
+            const bxDeals = await this.dealsService.getDealsByFilter(lastSync ? { ...filter, ">DATE_MODIFY": lastSync } : filter, {
+                signal: signal,
+                onProgress: onProgress && ((done, total) => onProgress({ stage: "deals", done: fetched + done, total: fetched + total }))
+            });
+            fetched += bxDeals.length;
+            bxDeals.forEach(deal => deals.set(deal["ID"], this.dealsService.mapDeal(deal)));
+        }
+        return [...deals.values()];
+    }
+
+    /**
+     * Fetches deals from Bitrix and writes them into the deals table. A full sync also removes the local deals
+     * that no longer match the selection rules, e.g. deleted deals or deals moved to another category, with their product rows.
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.full=false] - Ignore the stored cursor and download every matching deal.
+     * @param {AbortSignal} [options.signal] - Cancels the sync before the next Bitrix request or the write, throwing its reason.
+     * @param {function(Object)} [options.onProgress] - Receives { stage, done, total } as deals are fetched.
+     * @returns {Promise<{deals: Array<Object>, removed: number, since: string|null}>} The synced deals,
+     *          the number of removed local deals and the cursor that was used.
+     */
+    async syncDeals({ full = false, signal, onProgress } = {}) {
+        const startedAt = new Date().toISOString();
+        const since = full ? null : await this.getLastSync(SYNC_KEYS.DEALS);
+
+        const deals = await this.fetchDeals(since, { signal, onProgress });
+        signal?.throwIfAborted();
+        if (deals.length > 0) {
+            await this.db.insertMultipleInTable("deals", deals.map(deal => ({ portal_id: this.portalId, ...deal })));
+        }
+
+        let removed = 0;
+        if (!since) {
+            const matching = new Set(deals.map(deal => String(deal.id)));
+            const stale = (await this.db.getByFilter("deals", { portal_id: this.portalId }))
+                .map(deal => deal.id)
+                .filter(id => !matching.has(String(id)));
+            if (stale.length > 0) {
+                removed = (await this.db.deleteDealsWithProductRows(this.portalId, stale)).deals;
+            }
+        }
+
+        await this.setLastSync(SYNC_KEYS.DEALS, startedAt);
+        logMessage(LOG_TYPES.I, "SyncService.syncDeals", `${deals.length} deal(s) synced ${since ? `since ${since}` : "in full"}${removed > 0 ? `, ${removed} deal(s) no longer selected removed` : ""}`);
+        return { deals: deals, removed: removed, since: since };
+    }
+
+    /**
+     * Fetches product rows from Bitrix and replaces the stored rows of the processed deals in the deals_products table.
+     * A full sync refreshes rows of every local deal, an incremental one only rows of deals
+     * modified in Bitrix after the last product rows sync, which are upserted with their rows,
+     * so the rows never lack their deal when the deals sync is behind.
+     * Local deals that were deleted in Bitrix are removed with their rows.
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.full=false] - Ignore the stored cursor and refresh rows of every local deal.
+     * @param {AbortSignal} [options.signal] - Cancels the sync before the next Bitrix request or the write, throwing its reason.
+     * @param {function(Object)} [options.onProgress] - Receives { stage, done, total } as deals and then
+     *        their product rows ("productrows" stage, counted in deals, with the rows read so far in rows) are fetched.
+     * @returns {Promise<{deals: Array<Object>, rows: number, removed: number, since: string|null}>} The processed deals,
+     *          the number of written rows, the number of removed deals and the cursor that was used.
+     */
+    async syncProductRows({ full = false, signal, onProgress } = {}) {
+        const startedAt = new Date().toISOString();
+        const since = full ? null : await this.getLastSync(SYNC_KEYS.PRODUCT_ROWS);
+
+        let deals;
+        if (since) {
+            deals = (await this.fetchDeals(since, { signal, onProgress })).map(deal => ({ portal_id: this.portalId, ...deal }));
+        } else {
+            deals = await this.db.getByFilter("deals", { portal_id: this.portalId });
+        }
+
+        const records = [];
+        const missing = [];
+        const productrowsByDeal = await this.dealsService.getDealsProductRows(deals.map(deal => deal.id), {
+            signal: signal,
+            onProgress: onProgress && ((done, total, rows) => onProgress({ stage: "productrows", done: done, total: total, rows: rows }))
+        });
+        productrowsByDeal.forEach((productrows, dealId) => {
+            if (productrows === null) {
+                missing.push(dealId);
+                return;
+            }
+            productrows.forEach(productrow => {
+                records.push(mapProductRow(this.portalId, dealId, productrow));
+            })
+        });
+        signal?.throwIfAborted();
+
+        const found = deals.filter(deal => !missing.includes(deal.id));
+        if (since) {
+            await this.db.storeDealsWithProductRows(this.portalId, found, records);
+        } else {
+            await this.db.replaceProductRowsOfDeals(this.portalId, found.map(deal => deal.id), records);
+        }
+        const removed = missing.length > 0 ? (await this.db.deleteDealsWithProductRows(this.portalId, missing)).deals : 0;
+
+        await this.setLastSync(SYNC_KEYS.PRODUCT_ROWS, startedAt);
+        logMessage(LOG_TYPES.I, "SyncService.syncProductRows", `${records.length} productrow(s) of ${found.length} deal(s) synced ${since ? `since ${since}` : "in full"}${removed > 0 ? `, ${removed} deleted deal(s) removed` : ""}`);
+        return { deals: found, rows: records.length, removed: removed, since: since };
+    }
+
+    /**
+     * Fetches the product catalog from Bitrix and replaces the stored products and sections of the portal.
+     * The catalog is always read in full, so products deleted in Bitrix disappear locally too.
+     *
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the sync before the next Bitrix request or the write, throwing its reason.
+     * @param {function(Object)} [options.onProgress] - Receives { stage, done, total } as sections ("product_sections" stage)
+     *        and then products ("products" stage) are fetched.
+     * @returns {Promise<{sections: number, products: number}>} The number of stored sections and products.
+     */
+    async syncCatalog({ signal, onProgress } = {}) {
+        const syncedAt = new Date().toISOString();
+        const progress = stage => onProgress && ((done, total) => onProgress({ stage: stage, done: done, total: total }));
+
+        const sections = await this.dealsService.getProductSections({ signal: signal, onProgress: progress("product_sections") });
+        const products = await this.dealsService.getProducts({ signal: signal, onProgress: progress("products") });
+        signal?.throwIfAborted();
+        await this.db.replaceCatalog(
+            this.portalId,
+            sections.map(section => ({ portal_id: this.portalId, ...section, synced_at: syncedAt })),
+            products.map(product => ({ portal_id: this.portalId, ...product, synced_at: syncedAt }))
+        );
+
+        await this.setLastSync(SYNC_KEYS.CATALOG, syncedAt);
+        logMessage(LOG_TYPES.I, "SyncService.syncCatalog", `${products.length} product(s) in ${sections.length} section(s) synced`);
+        return { sections: sections.length, products: products.length };
+    }
+
+    /**
+     * Re-fetches a single deal from Bitrix and mirrors it locally: the deal is upserted and its
+     * product rows are replaced in one transaction, or, if it no longer qualifies, the deal and its rows are removed.
+     *
+     * @param {number} id - The id of the deal.
+     * @returns {Promise<{deal: Object, stored: boolean, rows: {deleted: number, inserted: number}}>}
+     */
+    async syncDeal(id) {
+        const deal = await this.dealsService.getDealById(id);
+
+        if (!isDealQualifying(deal, this.rules)) {
+            const removed = await this.db.deleteDealWithProductRows(this.portalId, deal.id);
+            return { deal: deal, stored: false, rows: { deleted: removed.rows, inserted: 0 } };
+        }
+
+        const productrows = await this.dealsService.getDealProductRows(deal.id);
+
+        const rows = await this.db.storeDealsWithProductRows(
+            this.portalId,
+            [{ portal_id: this.portalId, ...deal }],
+            productrows.map(productrow => mapProductRow(this.portalId, deal.id, productrow))
+        );
+        return { deal: deal, stored: true, rows: rows };
+    }
+}
+
+/**
+ * Creates the sync service of a portal with its webhook and its deal selection.
+ *
+ * @param {Db} db - The database service.
+ * @param {PortalsService} portalsService - The portals service.
+ * @param {string} portalId - The id of the portal.
+ * @returns {Promise<SyncService>}
+ */
+async function createPortalSyncService(db, portalsService, portalId) {
+    const bxLinkDecrypted = await portalsService.getWebhook(portalId);
+    const { rules, priceTypeField } = await loadSelection(db, portalId);
+    return new SyncService(db, new DealsService(bxLinkDecrypted, priceTypeField), rules, portalId);
+}
+
+export { SyncService, SYNC_KEYS, mapProductRow, createPortalSyncService };
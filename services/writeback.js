@@ -0,0 +1,282 @@
+import { logMessage } from "../logger/logger.js";
+import { getDefaultCurrency } from "./currency.js";
+import { recommendBasket, DEFAULT_RECOMMENDATION_DAYS } from "./pricing.js";
+import { isValidFieldName } from "./selection.js";
+import { getLineTotal, getQuantity, round } from "./stats.js";
+
+const WRITEBACK_SETTINGS_KEYS = {
+    ENABLED: "writeback_enabled",
+    FIELD: "writeback_field",
+    VALUE: "writeback_value",
+    COMMENT: "writeback_comment",
+    DRY_RUN: "writeback_dry_run"
+};
+
+/**
+ * reference_price - the amount of the deal at the recent median prices of its products.
+ * deviation - how far the deal amount is from the reference price, in percent.
+ */
+const WRITEBACK_VALUES = ["reference_price", "deviation"];
+
+/**
+ * Write-back is off until enabled, and starts in dry-run mode so the writes can be checked in the log first.
+ */
+const DEFAULT_WRITEBACK_SETTINGS = {
+    enabled: false,
+    field: null,
+    value: "reference_price",
+    comment: false,
+    dry_run: true
+};
+
+const WRITEBACK_STATUSES = ["written", "dry_run", "skipped", "failed"];
+
+/**
+ * Validates write-back settings coming from the API.
+ *
+ * @param {Object} settings - The settings with enabled, field, value, comment and dry_run fields.
+ * @returns {string|null} An error message or null if the settings are valid.
+ */
+function validateWritebackSettings(settings) {
+    for (const key of ["enabled", "comment", "dry_run"]) {
+        if (typeof settings[key] !== "boolean") {
+            return `${key} must be a boolean`;
+        }
+    }
+    if (settings.field !== null && !isValidFieldName(settings.field)) {
+        return "field must be a Bitrix field name, e.g. UF_CRM_1710140074002";
+    }
+    if (settings.enabled && settings.field === null) {
+        return "field must be set to enable the write-back";
+    }
+    if (!WRITEBACK_VALUES.includes(settings.value)) {
+        return `value must be one of: ${WRITEBACK_VALUES.join(", ")}`;
+    }
+    return null;
+}
+
+/**
+ * Builds the timeline comment listing the price anomalies of a deal.
+ *
+ * @param {Array<Object>} anomalies - The anomalies returned by AnomalyService.checkDeal.
+ * @returns {string} The comment text.
+ */
+function formatAnomaliesComment(anomalies) {
+    const lines = anomalies.map(anomaly => {
+        const field = anomaly.field === "price" ? "цена" : "скидка";
+        const deviation = anomaly.deviation !== null ? `${anomaly.deviation > 0 ? "+" : ""}${round(anomaly.deviation * 100)}%` : `z = ${anomaly.z_score}`;
+        return `- ${anomaly.product_name} (строка ${anomaly.row_id}): ${field} ${anomaly.value} ${anomaly.currency_id}, обычно ${anomaly.expected} (${deviation})`;
+    });
+    return `Цены сделки отличаются от истории продаж:\n${lines.join("\n")}`;
+}
+
+/**
+ * The `WritebackService` class writes values computed for a new deal back to the deal in Bitrix:
+ * the reference price or the deviation from it to a deal field, and a timeline comment about price anomalies.
+ * Every write, including dry runs and failures, is recorded in the writeback_log table.
+ */
+class WritebackService {
+
+    /**
+     * @param {Db} db - The database service.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * @param {string} portalId - The id of the portal.
+     * @returns {Promise<Object>} The stored settings of the portal, the defaults where nothing is stored.
+     */
+    async getSettings(portalId) {
+        const rows = await this.db.query(
+            "WritebackService.getSettings",
+            `SELECT key, value FROM settings WHERE portal_id = ? AND key IN (${Object.values(WRITEBACK_SETTINGS_KEYS).map(() => "?").join(", ")})`,
+            [portalId, ...Object.values(WRITEBACK_SETTINGS_KEYS)]
+        );
+        const stored = new Map(rows.map(row => [row.key, row.value]));
+        const read = (key, defaultValue) => stored.has(key) ? stored.get(key) : defaultValue;
+        const readFlag = (key, defaultValue) => stored.has(key) ? stored.get(key) === "1" : defaultValue;
+
+        return {
+            enabled: readFlag(WRITEBACK_SETTINGS_KEYS.ENABLED, DEFAULT_WRITEBACK_SETTINGS.enabled),
+            field: read(WRITEBACK_SETTINGS_KEYS.FIELD, DEFAULT_WRITEBACK_SETTINGS.field) || null,
+            value: read(WRITEBACK_SETTINGS_KEYS.VALUE, DEFAULT_WRITEBACK_SETTINGS.value),
+            comment: readFlag(WRITEBACK_SETTINGS_KEYS.COMMENT, DEFAULT_WRITEBACK_SETTINGS.comment),
+            dry_run: readFlag(WRITEBACK_SETTINGS_KEYS.DRY_RUN, DEFAULT_WRITEBACK_SETTINGS.dry_run)
+        };
+    }
+
+    /**
+     * @param {string} portalId - The id of the portal.
+     * @param {Object} settings - Settings that passed validateWritebackSettings.
+     * @returns {Promise<{changes: number}>}
+     */
+    saveSettings(portalId, settings) {
+        const updatedAt = new Date().toISOString();
+        const values = {
+            [WRITEBACK_SETTINGS_KEYS.ENABLED]: settings.enabled ? "1" : "0",
+            [WRITEBACK_SETTINGS_KEYS.FIELD]: settings.field,
+            [WRITEBACK_SETTINGS_KEYS.VALUE]: settings.value,
+            [WRITEBACK_SETTINGS_KEYS.COMMENT]: settings.comment ? "1" : "0",
+            [WRITEBACK_SETTINGS_KEYS.DRY_RUN]: settings.dry_run ? "1" : "0"
+        };
+        return this.db.insertMultipleInTable("settings", Object.keys(values).map(key => ({
+            portal_id: portalId,
+            key: key,
+            value: values[key],
+            updated_at: updatedAt
+        })));
+    }
+
+    /**
+     * Prices the stored product rows of a deal at the recent median prices of the other deals in the same currency.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {number} dealId - The id of the deal.
+     * @returns {Promise<{reference_price: number, amount: number, deviation: number|null, currency_id: string, complete: boolean}|null>}
+     *          The reference price, the actual amount and the deviation in percent, or null if the deal has no product rows.
+     *          complete is false when a product of the deal has no recent history.
+     */
+    async computeReference(portalId, dealId) {
+        const dealRows = await this.db.getProductRowsWithDealDate(portalId, { dealIds: [dealId] });
+        if (dealRows.length === 0) {
+            return null;
+        }
+
+        const currency = dealRows[0].currency_id || getDefaultCurrency();
+        const since = new Date(Date.now() - DEFAULT_RECOMMENDATION_DAYS * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+        const history = (await this.db.getProductRowsWithDealDate(portalId, {
+            productIds: [...new Set(dealRows.map(row => row.product_id))],
+            dateFrom: since
+        })).filter(row => Number(row.deal_id) !== Number(dealId) && (row.currency_id || getDefaultCurrency()) === currency);
+
+        const items = dealRows.map(row => ({ product_id: row.product_id, quantity: getQuantity(row) }));
+        const { total, complete } = recommendBasket(items, history, "recent_median");
+        const amount = dealRows.reduce((sum, row) => sum + getLineTotal(row), 0);
+        return {
+            reference_price: total,
+            amount: round(amount),
+            deviation: total > 0 ? round((amount - total) / total * 100) : null,
+            currency_id: currency,
+            complete: complete
+        };
+    }
+
+    /**
+     * Records a write in the writeback_log table.
+     *
+     * @returns {Promise<Object>} The log entry.
+     */
+    async log(portalId, dealId, method, params, status, error = null) {
+        const entry = {
+            portal_id: portalId,
+            deal_id: dealId,
+            method: method,
+            params: JSON.stringify(params),
+            status: status,
+            error: error,
+            created_at: new Date().toISOString()
+        };
+        const { lastID } = await this.db.insertInTable("writeback_log", entry);
+        return { id: lastID, ...entry, params: params };
+    }
+
+    /**
+     * Sends a write to Bitrix unless in dry-run mode and logs it. A failed write is logged, not raised.
+     *
+     * @param {function(): Promise<*>} send - Sends the request.
+     * @returns {Promise<Object>} The log entry.
+     */
+    async execute(portalId, dealId, method, params, dryRun, send) {
+        if (dryRun) {
+            return this.log(portalId, dealId, method, params, "dry_run");
+        }
+        try {
+            await send();
+            return this.log(portalId, dealId, method, params, "written");
+        } catch (error) {
+            logMessage(LOG_TYPES.E, "WritebackService.execute", `${method} of deal ${dealId} failed: ${error.message}`);
+            return this.log(portalId, dealId, method, params, "failed", error.message);
+        }
+    }
+
+    /**
+     * Writes the configured value to the deal field and, if enabled and any anomaly was found, a timeline comment.
+     *
+     * @param {string} portalId - The id of the portal.
+     * @param {DealsService} dealsService - The Bitrix deals service of the portal.
+     * @param {number} dealId - The id of the deal.
+     * @param {Array<Object>|null} anomalies - The anomalies returned by AnomalyService.checkDeal.
+     * @returns {Promise<{dry_run: boolean, reference: Object|null, writes: Array<Object>}|null>} The reference and the log entries
+     *          of the writes, or null if the write-back is disabled.
+     */
+    async writeDeal(portalId, dealsService, dealId, anomalies) {
+        const settings = await this.getSettings(portalId);
+        if (!settings.enabled) {
+            return null;
+        }
+
+        const writes = [];
+        const reference = await this.computeReference(portalId, dealId);
+        const value = reference && reference.complete
+            ? (settings.value === "deviation" ? reference.deviation : reference.reference_price)
+            : null;
+        const fields = { [settings.field]: value };
+        if (value === null) {
+            writes.push(await this.log(portalId, dealId, "crm.deal.update", { id: dealId, fields: fields }, "skipped", "No recent price history for some products of the deal"));
+        } else {
+            writes.push(await this.execute(portalId, dealId, "crm.deal.update", { id: dealId, fields: fields }, settings.dry_run,
+                () => dealsService.updateDeal(dealId, fields)));
+        }
+
+        if (settings.comment && anomalies && anomalies.length > 0) {
+            const comment = formatAnomaliesComment(anomalies);
+            writes.push(await this.execute(portalId, dealId, "crm.timeline.comment.add", { id: dealId, comment: comment }, settings.dry_run,
+                () => dealsService.addTimelineComment(dealId, comment)));
+        }
+
+        logMessage(LOG_TYPES.I, "WritebackService.writeDeal", `Deal ${dealId} of portal ${portalId}: ${writes.map(write => `${write.method} ${write.status}`).join(", ")}`);
+        return { dry_run: settings.dry_run, reference: reference, writes: writes };
+    }
+
+    /**
+     * @param {string} portalId - The id of the portal.
+     * @param {Object} [filters]
+     * @param {number} [filters.dealId] - Writes to this deal.
+     * @param {string} [filters.status] - One of WRITEBACK_STATUSES.
+     * @param {number} [limit=100] - Maximum number of entries to return.
+     * @param {number} [offset=0] - Number of entries to skip.
+     * @returns {Promise<{total: number, entries: Array<Object>}>} The matching log entries, most recent first.
+     */
+    async listLog(portalId, { dealId, status } = {}, limit = 100, offset = 0) {
+        const conditions = ["portal_id = ?"];
+        const values = [portalId];
+        if (dealId) {
+            conditions.push("deal_id = ?");
+            values.push(dealId);
+        }
+        if (status) {
+            conditions.push("status = ?");
+            values.push(status);
+        }
+
+        const where = conditions.join(" AND ");
+        const [{ total }] = await this.db.query("WritebackService.listLog", `SELECT COUNT(*) AS total FROM writeback_log WHERE ${where}`, values);
+        const entries = await this.db.query(
+            "WritebackService.listLog",
+            `SELECT * FROM writeback_log WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [...values, limit, offset]
+        );
+        return { total: total, entries: entries.map(entry => ({ ...entry, params: JSON.parse(entry.params) })) };
+    }
+}
+
+export {
+    WritebackService,
+    validateWritebackSettings,
+    formatAnomaliesComment,
+    DEFAULT_WRITEBACK_SETTINGS,
+    WRITEBACK_VALUES,
+    WRITEBACK_STATUSES
+};
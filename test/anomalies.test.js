@@ -0,0 +1,53 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { DEFAULT_ANOMALY_SETTINGS, detectAnomalies, validateAnomalySettings } from "../services/anomalies.js";
+
+const HISTORY = [100, 100, 110, 90, 100].map(price => ({ product_id: 1, price: price, discount: 10 }));
+
+function row(price, discount = 10) {
+    return { deal_id: 5, row_id: 50, product_id: 1, product_name: "A", price: price, discount: discount };
+}
+
+describe("detectAnomalies", () => {
+    it("flags prices far from the mean in both directions", () => {
+        const [high] = detectAnomalies([row(160)], HISTORY);
+        assert.deepEqual(high, {
+            deal_id: 5, row_id: 50, product_id: 1, product_name: "A", field: "price",
+            value: 160, expected: 100, deviation: 0.6, z_score: 9.49, sample_size: 5
+        });
+        assert.equal(detectAnomalies([row(40)], HISTORY)[0].deviation, -0.6);
+    });
+
+    it("flags by z-score when the deviation is within bounds", () => {
+        const [anomaly] = detectAnomalies([row(125)], HISTORY);
+        assert.equal(anomaly.deviation, 0.25);
+        assert.ok(anomaly.z_score > DEFAULT_ANOMALY_SETTINGS.max_z_score);
+
+        assert.deepEqual(detectAnomalies([row(125)], HISTORY, { ...DEFAULT_ANOMALY_SETTINGS, max_z_score: null }), []);
+    });
+
+    it("flags only discounts deeper than usual", () => {
+        assert.deepEqual(detectAnomalies([row(100, 0)], HISTORY), []);
+        assert.deepEqual(detectAnomalies([row(100, 30)], HISTORY).map(anomaly => anomaly.field), ["discount"]);
+    });
+
+    it("skips products with too little history", () => {
+        assert.deepEqual(detectAnomalies([row(1000)], HISTORY.slice(0, 4)), []);
+    });
+});
+
+describe("validateAnomalySettings", () => {
+    it("accepts the defaults and rejects settings that check nothing", () => {
+        assert.equal(validateAnomalySettings(DEFAULT_ANOMALY_SETTINGS), null);
+        assert.equal(
+            validateAnomalySettings({ max_deviation: null, max_z_score: null, min_samples: 5 }),
+            "max_deviation and max_z_score cannot both be null"
+        );
+        assert.equal(
+            validateAnomalySettings({ max_deviation: 0.5, max_z_score: 3, min_samples: 1 }),
+            "min_samples must be an integer of at least 2"
+        );
+    });
+});
@@ -0,0 +1,81 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+
+import { AuthService, getRequestApiKey, hasRole } from "../services/auth.js";
+import { createTestDb } from "./helpers.js";
+
+describe("hasRole", () => {
+    it("lets admin keys call every route", () => {
+        assert.equal(hasRole("admin", "data"), true);
+        assert.equal(hasRole("data", "data"), true);
+        assert.equal(hasRole("data", "admin"), false);
+    });
+});
+
+describe("getRequestApiKey", () => {
+    const request = headers => ({ get: name => headers[name] });
+
+    it("reads a bearer token or the X-API-Key header", () => {
+        assert.equal(getRequestApiKey(request({ authorization: "Bearer pc_abc " })), "pc_abc");
+        assert.equal(getRequestApiKey(request({ "x-api-key": "pc_def" })), "pc_def");
+        assert.equal(getRequestApiKey(request({})), null);
+    });
+});
+
+describe("AuthService", () => {
+    let fixture;
+    let db;
+    let auth;
+
+    before(async () => {
+        fixture = await createTestDb("auth");
+        db = fixture.db;
+        auth = new AuthService(db);
+    });
+
+    after(() => fixture.cleanup());
+
+    beforeEach(async () => {
+        await db.run("test", "DELETE FROM portals");
+        await db.run("test", "DELETE FROM settings");
+        await db.insertInTable("portals", { id: "p1", bx_link: "encrypted" });
+    });
+
+    it("verifies created keys and rejects revoked ones", async () => {
+        const created = await auth.create("reports", "data");
+        assert.deepEqual(await auth.verifyKey(created.key), { id: created.id, name: "reports", role: "data" });
+        assert.equal(await auth.verifyKey("pc_unknown"), null);
+
+        await auth.revoke(created.id);
+        assert.equal(await auth.verifyKey(created.key), null);
+    });
+
+    it("checks the application token of event calls", async () => {
+        await auth.setApplicationToken("p1", "secret");
+        assert.equal(await auth.verifyApplicationToken("p1", "secret"), null);
+        assert.equal(await auth.verifyApplicationToken("p1", "other"), "auth[application_token] does not match");
+        assert.equal(await auth.verifyApplicationToken("p1", null), "auth[application_token] is missing");
+    });
+
+    it("rejects events of portals without a token and lists these portals", async () => {
+        assert.match(await auth.verifyApplicationToken("p1", "secret"), /no application_token is configured for portal p1/);
+        assert.deepEqual(await auth.getPortalsWithoutApplicationToken(), ["p1"]);
+    });
+
+    it("stores the token of the first event while a capture is armed", async () => {
+        await auth.startApplicationTokenCapture("p1", 5);
+
+        assert.equal(await auth.verifyApplicationToken("p1", "captured"), null);
+        assert.deepEqual(await auth.getPortalsWithoutApplicationToken(), []);
+        assert.equal(await auth.verifyApplicationToken("p1", "other"), "auth[application_token] does not match");
+        assert.equal(await auth.verifyApplicationToken("p1", "captured"), null);
+    });
+
+    it("does not capture after the capture expired", async () => {
+        await auth.startApplicationTokenCapture("p1", -1);
+
+        assert.notEqual(await auth.verifyApplicationToken("p1", "late"), null);
+        assert.deepEqual(await auth.getPortalsWithoutApplicationToken(), ["p1"]);
+    });
+});
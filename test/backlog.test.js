@@ -0,0 +1,95 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+
+import { BacklogService, normalizeDeal, validateBacklog } from "../services/backlog.js";
+import { createTestDb } from "./helpers.js";
+
+function deal(id, rows = [row(id * 10)]) {
+    return { deal_id: id, deal_title: `Сделка ${id}`, date_create: "2024-03-01T10:00:00+03:00", currency_id: "RUB", productrows: rows };
+}
+
+function row(rowId, fields = {}) {
+    return { row_id: rowId, product_id: 7, product_name: "Товар", price: "100.5", quantity: 2, tax_included: "Y", ...fields };
+}
+
+describe("normalizeDeal", () => {
+    it("maps a deal of get_deals_with_productrows/ to its records", () => {
+        const { deal: record, productrows, errors } = normalizeDeal(deal(1));
+        assert.deepEqual(errors, []);
+        assert.deepEqual(record, { id: 1, date_create: "2024-03-01T10:00:00+03:00", title: "Сделка 1", currency_id: "RUB" });
+        assert.equal(productrows[0].price, 100.5);
+        assert.equal(productrows[0].tax_included, 1);
+        assert.equal(productrows[0].discount, null);
+    });
+
+    it("keeps the stored rows of a deal without productrows", () => {
+        assert.equal(normalizeDeal({ id: 2, date_create: "2024-03-01" }).productrows, null);
+    });
+});
+
+describe("validateBacklog", () => {
+    it("rejects invalid and repeated deals as a whole and keeps the others", () => {
+        const result = validateBacklog([
+            deal(1),
+            deal(2, [row(20), row(21, { price: -1, quantity: 0 })]),
+            deal(1, [row(30)]),
+            deal(3, [row(10)]),
+            { deal_id: "x", date_create: "yesterday", currency_id: "rub" },
+            null
+        ]);
+
+        assert.deepEqual(result.deals.map(item => item.deal.id), [1]);
+        assert.equal(result.productrows, 1);
+        assert.deepEqual(result.rejected, [
+            { index: 1, deal_id: 2, errors: ["price of row 21 must be a non-negative number", "quantity of row 21 must be a positive number"] },
+            { index: 2, deal_id: 1, errors: ["deal 1 appears more than once"] },
+            { index: 3, deal_id: 3, errors: ["row 10 appears more than once"] },
+            { index: 4, deal_id: "x", errors: ["deal_id must be a positive integer", "date_create must be an ISO date", "currency_id must be a 3-letter currency code"] },
+            { index: 5, deal_id: null, errors: ["a deal must be an object"] }
+        ]);
+    });
+});
+
+describe("BacklogService", () => {
+    let fixture;
+    let db;
+    let backlogs;
+
+    before(async () => {
+        fixture = await createTestDb("backlog");
+        db = fixture.db;
+        backlogs = new BacklogService(db);
+    });
+
+    after(() => fixture.cleanup());
+
+    it("stores a backlog and replays its valid deals", async () => {
+        const backlog = await backlogs.create("p1", [deal(1), deal(2, [row(20, { quantity: 0 })])], "test");
+        assert.equal(backlog.deals, 1);
+        assert.equal(backlog.rejected, 1);
+
+        const dryRun = await backlogs.replay("p1", backlog.id, { dryRun: true });
+        assert.equal(dryRun.deals.inserted, 1);
+        assert.deepEqual(await db.getByFilter("deals", { portal_id: "p1" }), []);
+
+        const report = await backlogs.replay("p1", backlog.id);
+        assert.deepEqual(report.deals, { inserted: 1, updated: 0, rejected: 1 });
+        assert.equal(report.productrows.inserted, 1);
+        assert.equal(report.productrows.rejected, 1);
+        assert.equal((await db.getByFilter("deals_products", { portal_id: "p1", deal_id: 1 })).length, 1);
+        assert.equal(await backlogs.replay("p2", backlog.id), null);
+    });
+
+    it("rejects deals with row ids stored under another deal", async () => {
+        const backlog = await backlogs.create("p1", [deal(3, [row(30)]), deal(4, [row(41), row(10)])], "test");
+        assert.equal(backlog.rejected, 0);
+
+        const report = await backlogs.replay("p1", backlog.id);
+        assert.deepEqual(report.deals, { inserted: 1, updated: 0, rejected: 1 });
+        assert.deepEqual(report.productrows, { inserted: 1, updated: 0, deleted: 0, rejected: 2 });
+        assert.deepEqual(report.rejected, [{ index: 1, deal_id: 4, errors: ["row 10 belongs to deal 1"] }]);
+        assert.deepEqual((await db.getByFilter("deals_products", { portal_id: "p1", row_id: 10 })).map(stored => stored.deal_id), [1]);
+        assert.deepEqual(await db.getByFilter("deals", { portal_id: "p1", id: 4 }), []);
+    });
+});
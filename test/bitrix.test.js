@@ -0,0 +1,171 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+
+import { BitrixBatchError, BitrixClient, BitrixNetworkError, BitrixServerError, RateLimiter, toQueryString } from "../services/bitrix.js";
+
+const FAST = { rateLimit: { rate: 1000, burst: 1000 }, retry: { retries: 2, minDelay: 1, maxDelay: 5 } };
+
+/**
+ * A fake portal: batch runs every command through `handle`, other methods answer with `handle` directly,
+ * as [status, payload] or [status, payload, delay in ms].
+ */
+function startPortal(handle) {
+    const portal = { requests: [] };
+    portal.server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => body += chunk);
+        req.on("end", () => {
+            const method = req.url.split("/").pop().replace(".json", "");
+            const params = new URLSearchParams(body);
+            portal.requests.push({ method, params });
+            let status = 200;
+            let payload;
+            let delay = 0;
+            if (method === "batch") {
+                const result = {};
+                const errors = {};
+                for (const [key, value] of params) {
+                    const name = key.match(/^cmd\[(.+)\]$/)?.[1];
+                    if (!name) {
+                        continue;
+                    }
+                    const [command, query] = value.split("?");
+                    const answer = handle(command, new URLSearchParams(query), name);
+                    answer.error ? errors[name] = answer : result[name] = answer.result;
+                }
+                payload = { result: { result, result_error: Object.keys(errors).length > 0 ? errors : [], result_total: {} } };
+            } else {
+                [status, payload, delay = 0] = handle(method, params);
+            }
+            setTimeout(() => {
+                res.writeHead(status, { "content-type": "application/json" });
+                res.end(JSON.stringify(payload));
+            }, delay);
+        });
+    });
+    return new Promise(resolve => portal.server.listen(0, "127.0.0.1", () => {
+        portal.link = `http://127.0.0.1:${portal.server.address().port}/rest/1/token/`;
+        resolve(portal);
+    }));
+}
+
+describe("toQueryString", () => {
+    it("serializes nested params the way PHP reads them", () => {
+        assert.equal(
+            toQueryString({ id: 5, filter: { ">DATE_MODIFY": "2024-01-01" }, select: ["ID", "TITLE"], skip: undefined }),
+            "id=5&filter%5B%3EDATE_MODIFY%5D=2024-01-01&select%5B0%5D=ID&select%5B1%5D=TITLE"
+        );
+    });
+});
+
+describe("RateLimiter", () => {
+    it("lets the burst through and spaces the following requests at the rate", async () => {
+        const limiter = new RateLimiter(50, 2);
+        const startedAt = Date.now();
+        for (let i = 0; i < 4; i++) {
+            await limiter.acquire();
+        }
+        // 2 requests from the bucket, 2 more at 20 ms each
+        assert.ok(Date.now() - startedAt >= 35);
+    });
+
+    it("is shared by the clients of one portal", () => {
+        const first = new BitrixClient("https://shared.bitrix24.ru/rest/1/a/");
+        const second = new BitrixClient("https://shared.bitrix24.ru/rest/7/b/");
+        const other = new BitrixClient("https://other.bitrix24.ru/rest/1/a/");
+        assert.equal(first.limiter, second.limiter);
+        assert.notEqual(first.limiter, other.limiter);
+    });
+});
+
+describe("BitrixClient", () => {
+    let portal;
+    let failures;
+
+    before(async () => {
+        portal = await startPortal((method, params, name) => {
+            if (method === "server.flaky") {
+                return failures-- > 0 ? [503, { error: "INTERNAL_SERVER_ERROR" }] : [200, { result: "ok" }];
+            }
+            if (method === "server.slow") {
+                return [200, { result: "late" }, 200];
+            }
+            if (method === "server.limited") {
+                return failures-- > 0 ? [429, { error: "QUERY_LIMIT_EXCEEDED" }] : [200, { result: "ok" }];
+            }
+            if (method === "crm.deal.get" && params.get("id") === "404") {
+                return { error: "NOT_FOUND", error_description: "Not found" };
+            }
+            if (method === "crm.deal.get" && name === "limited" && failures-- > 0) {
+                return { error: "QUERY_LIMIT_EXCEEDED", error_description: "Too many requests" };
+            }
+            return method === "crm.deal.get" ? { result: { ID: params.get("id") } } : [200, { result: method }];
+        });
+    });
+
+    after(() => portal.server.close());
+
+    it("retries requests failing with a server error", async () => {
+        failures = 2;
+        const client = new BitrixClient(portal.link, FAST);
+        assert.deepEqual((await client.call("server.flaky")).result, "ok");
+    });
+
+    it("does not retry a write that timed out or failed on the server", async () => {
+        portal.requests = [];
+        const client = new BitrixClient(portal.link, { ...FAST, timeout: 50 });
+        await assert.rejects(client.call("server.slow", {}, { idempotent: false }), BitrixNetworkError);
+        assert.equal(portal.requests.length, 1);
+
+        failures = 1;
+        await assert.rejects(client.call("server.flaky", {}, { idempotent: false }), BitrixServerError);
+        assert.equal(portal.requests.length, 2);
+    });
+
+    it("retries a write rejected over the rate limit", async () => {
+        failures = 1;
+        const client = new BitrixClient(portal.link, FAST);
+        assert.equal((await client.call("server.limited", {}, { idempotent: false })).result, "ok");
+    });
+
+    it("sends commands in batches of 50", async () => {
+        portal.requests = [];
+        const client = new BitrixClient(portal.link, FAST);
+        const commands = {};
+        for (let id = 1; id <= 120; id++) {
+            commands[`deal_${id}`] = { method: "crm.deal.get", params: { id } };
+        }
+        const progress = [];
+        const { result } = await client.batch(commands, { onProgress: (done, total) => progress.push([done, total]) });
+        assert.equal(portal.requests.length, 3);
+        assert.equal(Object.keys(result).length, 120);
+        assert.deepEqual(result.deal_120, { ID: "120" });
+        assert.deepEqual(progress, [[50, 120], [100, 120], [120, 120]]);
+    });
+
+    it("sends commands rejected over the rate limit again", async () => {
+        failures = 1;
+        portal.requests = [];
+        const client = new BitrixClient(portal.link, FAST);
+        const { result } = await client.batch({
+            first: { method: "crm.deal.get", params: { id: 1 } },
+            limited: { method: "crm.deal.get", params: { id: 2 } }
+        });
+        assert.deepEqual(result, { first: { ID: "1" }, limited: { ID: "2" } });
+        assert.equal(portal.requests.length, 2);
+        assert.deepEqual([...portal.requests[1].params.keys()], ["halt", "cmd[limited]"]);
+    });
+
+    it("raises failed commands with the results of the others", async () => {
+        const client = new BitrixClient(portal.link, FAST);
+        const error = await client.batch({
+            found: { method: "crm.deal.get", params: { id: 1 } },
+            missing: { method: "crm.deal.get", params: { id: 404 } }
+        }).catch(error => error);
+        assert.ok(error instanceof BitrixBatchError);
+        assert.deepEqual(Object.keys(error.errors), ["missing"]);
+        assert.deepEqual(error.result.found, { ID: "1" });
+    });
+});
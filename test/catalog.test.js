@@ -0,0 +1,101 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+
+import { calculateCatalogPriceComparison, convertCatalogRows } from "../services/catalog.js";
+import { CurrencyConverter, getDefaultCurrency } from "../services/currency.js";
+import { DealsService } from "../services/deals.js";
+import { createTestDb } from "./helpers.js";
+
+const SYNCED_AT = "2024-02-01T00:00:00.000Z";
+
+const RATES = [{ from_currency: "USD", to_currency: "RUB", rate: 100, rate_date: "2024-02-01" }];
+
+function product(id, price, currencyId, sectionId = 5) {
+    return { portal_id: "p1", id: id, name: `Товар ${id}`, section_id: sectionId, price: price, currency_id: currencyId, synced_at: SYNCED_AT };
+}
+
+describe("DealsService catalog", () => {
+    it("maps products and sections of the Bitrix catalog", async () => {
+        const dealsService = new DealsService("http://127.0.0.1:1/rest/1/token/");
+        const requests = [];
+        dealsService.bx.list = async method => {
+            requests.push(method);
+            return method === "crm.product.list"
+                ? [
+                    { ID: "1", NAME: "Товар", SECTION_ID: "5", CATALOG_ID: "24", PRICE: "10.50", CURRENCY_ID: "USD", VAT_INCLUDED: "Y", ACTIVE: "N" },
+                    { ID: "2", NAME: "Услуга", SECTION_ID: null, CATALOG_ID: "24", PRICE: null, CURRENCY_ID: null, VAT_INCLUDED: null }
+                ]
+                : [{ ID: "5", NAME: "Раздел", SECTION_ID: null, CATALOG_ID: "24" }];
+        };
+
+        assert.deepEqual(await dealsService.getProducts(), [
+            { id: "1", name: "Товар", section_id: "5", catalog_id: "24", price: "10.50", currency_id: "USD", vat_included: 1, active: 0 },
+            { id: "2", name: "Услуга", section_id: null, catalog_id: "24", price: null, currency_id: null, vat_included: null, active: null }
+        ]);
+        assert.deepEqual(await dealsService.getProductSections(), [{ id: "5", name: "Раздел", parent_id: null, catalog_id: "24" }]);
+        assert.deepEqual(requests, ["crm.product.list", "crm.productsection.list"]);
+    });
+});
+
+describe("catalog price comparison", () => {
+    let fixture;
+    let db;
+
+    before(async () => {
+        fixture = await createTestDb("catalog");
+        db = fixture.db;
+        await db.insertMultipleInTable("deals", [
+            { portal_id: "p1", id: 1, date_create: "2024-02-10T12:00:00+03:00", currency_id: "RUB" },
+            { portal_id: "p1", id: 2, date_create: "2024-02-10T12:00:00+03:00", currency_id: "USD" }
+        ]);
+        await db.insertMultipleInTable("deals_products", [
+            { portal_id: "p1", deal_id: 1, row_id: 11, product_id: 1, product_name: "Товар 1", price: 900, price_final: 900, quantity: 2 },
+            { portal_id: "p1", deal_id: 2, row_id: 21, product_id: 1, product_name: "Товар 1", price: 10, price_final: 10, quantity: 1 },
+            { portal_id: "p1", deal_id: 1, row_id: 12, product_id: 2, product_name: "Товар 2", price: 50, price_final: 50, quantity: 1 },
+            { portal_id: "p1", deal_id: 2, row_id: 22, product_id: 3, product_name: "Товар 3", price: 1, price_final: 1, quantity: 3 },
+            { portal_id: "p1", deal_id: 1, row_id: 13, product_id: 4, product_name: "Товар 4", price: 70, price_final: 70, quantity: 1 }
+        ]);
+        await db.replaceCatalog(
+            "p1",
+            [{ portal_id: "p1", id: 5, name: "Раздел", parent_id: null, synced_at: SYNCED_AT }],
+            [product(1, 10, "USD"), product(3, 150, null), product(4, null, "RUB")]
+        );
+    });
+
+    after(() => fixture.cleanup());
+
+    const compare = async () => calculateCatalogPriceComparison(
+        convertCatalogRows(await db.getProductRowsWithCatalogPrice("p1"), new CurrencyConverter(getDefaultCurrency(), RATES))
+    );
+
+    it("converts sold and catalog prices into the default currency", async () => {
+        const { products } = await compare();
+
+        assert.deepEqual(products.find(row => row.product_id === 1), {
+            product_id: 1, product_name: "Товар 1", section_id: 5, catalog_price: 1000, avg_sold_price: 933.33,
+            rows: 2, quantity: 3, sold_total: 2800, catalog_total: 3000, difference: -200, difference_percent: -6.67,
+            rows_below: 1, rows_at: 1, rows_above: 0
+        });
+        // A catalog price without a currency is in the default currency
+        assert.equal(products.find(row => row.product_id === 3).catalog_price, 150);
+        assert.deepEqual(products.map(row => row.product_id), [1, 3]);
+    });
+
+    it("sums up sold products missing from the catalog or without a catalog price", async () => {
+        const { sections, not_in_catalog } = await compare();
+
+        assert.deepEqual(not_in_catalog, { rows: 2, quantity: 2, sold_total: 120, product_ids: [2, 4] });
+        assert.deepEqual(sections.map(section => [section.section_id, section.section_name, section.products, section.rows]), [[5, "Раздел", 2, 3]]);
+    });
+
+    it("drops products and sections missing from a replaced catalog", async () => {
+        assert.deepEqual(await db.replaceCatalog("p1", [], [product(1, 12, "USD", null)]), { sections: 0, products: 1, deleted: 4 });
+
+        const { products, not_in_catalog } = await compare();
+        assert.deepEqual(products.map(row => [row.product_id, row.catalog_price, row.section_id]), [[1, 1200, null]]);
+        assert.deepEqual(not_in_catalog.product_ids, [2, 3, 4]);
+        assert.equal((await db.getByFilter("products", { portal_id: "p1" })).length, 1);
+        assert.deepEqual(await db.getByFilter("product_sections", { portal_id: "p1" }), []);
+    });
+});
@@ -0,0 +1,105 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { decryptText, encryptText, generateCryptoKey, getKeyId, isLegacyCiphertext, loadCryptoKeys } from "../services/crypto.js";
+import { PortalsService } from "../services/portals.js";
+import { createTestDb } from "./helpers.js";
+
+const WEBHOOK = "https://example.bitrix24.ru/rest/1/secret/";
+
+/**
+ * Encrypts like the versions before AES-256-GCM: AES-256-CBC with a static IV, base64 without a prefix.
+ */
+function encryptLegacy(text, key, iv) {
+    const cipher = crypto.createCipheriv("aes-256-cbc", Buffer.from(key, "hex"), Buffer.from(iv, "hex"));
+    return cipher.update(text, "utf8", "base64") + cipher.final("base64");
+}
+
+describe("encryptText and decryptText", () => {
+    const key = generateCryptoKey();
+
+    it("round-trips with a random IV and names the key", async () => {
+        const first = await encryptText(WEBHOOK, key);
+        const second = await encryptText(WEBHOOK, key);
+        assert.notEqual(first, second);
+        assert.ok(first.startsWith(`v2:${getKeyId(key)}:`));
+        assert.equal(isLegacyCiphertext(first), false);
+        assert.equal(await decryptText(first, key), WEBHOOK);
+    });
+
+    it("picks the named key among previous ones", async () => {
+        const previous = generateCryptoKey();
+        assert.equal(await decryptText(await encryptText(WEBHOOK, previous), [key, previous]), WEBHOOK);
+        await assert.rejects(decryptText(await encryptText(WEBHOOK, previous), [key]), /No key with id/);
+    });
+
+    it("rejects modified ciphertexts", async () => {
+        const [version, keyId, data] = (await encryptText(WEBHOOK, key)).split(":");
+        const payload = Buffer.from(data, "base64");
+        payload[payload.length - 1] ^= 1;
+        await assert.rejects(decryptText(`${version}:${keyId}:${payload.toString("base64")}`, key));
+    });
+
+    it("reads AES-256-CBC ciphertexts of the old format with any configured key", async () => {
+        const previous = generateCryptoKey();
+        const iv = crypto.randomBytes(16).toString("hex");
+        const legacy = encryptLegacy(WEBHOOK, previous, iv);
+        assert.equal(isLegacyCiphertext(legacy), true);
+        assert.equal(await decryptText(legacy, [key, previous], iv), WEBHOOK);
+        await assert.rejects(decryptText(legacy, [key, previous], "00"), /Invalid IV length/);
+    });
+});
+
+describe("PortalsService.rotateKey", () => {
+    let fixture;
+    let db;
+    let portals;
+    const env = {};
+
+    before(async () => {
+        fixture = await createTestDb("crypto");
+        db = fixture.db;
+        for (const name of ["CRYPTO_KEY_FILE", "CRYPTO_IV", "BX_LINK"]) {
+            env[name] = process.env[name];
+        }
+        process.env.CRYPTO_KEY_FILE = path.join(fixture.dir, "keys");
+        process.env.CRYPTO_IV = crypto.randomBytes(16).toString("hex");
+        delete process.env.BX_LINK;
+        portals = new PortalsService(db);
+    });
+
+    after(async () => {
+        await fixture.cleanup();
+        Object.entries(env).forEach(([name, value]) => value === undefined ? delete process.env[name] : process.env[name] = value);
+    });
+
+    it("re-encrypts every webhook, including old format ones, with the new key", async () => {
+        const oldKey = generateCryptoKey();
+        fs.writeFileSync(process.env.CRYPTO_KEY_FILE, oldKey + "\n");
+        await portals.register("p1", WEBHOOK);
+        await db.insertInTable("portals", { id: "p2", bx_link: encryptLegacy(WEBHOOK + "2", oldKey, process.env.CRYPTO_IV) });
+
+        const newKey = generateCryptoKey();
+        const rotation = await portals.rotateKey({ key: newKey });
+
+        assert.deepEqual(rotation, { key_id: getKeyId(newKey), reencrypted: 2, previous_keys: 1 });
+        assert.deepEqual(loadCryptoKeys().keys, [newKey, oldKey]);
+        for (const portal of await db.getAll("portals")) {
+            assert.ok(portal.bx_link.startsWith(`v2:${getKeyId(newKey)}:`));
+        }
+        assert.equal(await portals.getWebhook("p2"), WEBHOOK + "2");
+    });
+
+    it("drops the previous keys on request", async () => {
+        const newKey = generateCryptoKey();
+        const rotation = await portals.rotateKey({ key: newKey, dropPrevious: true });
+
+        assert.equal(rotation.previous_keys, 0);
+        assert.deepEqual(loadCryptoKeys().keys, [newKey]);
+        assert.equal(await portals.getWebhook("p1"), WEBHOOK);
+    });
+});
@@ -0,0 +1,61 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { CurrencyConverter, MissingRateError, parseRatesCsv, validateRate } from "../services/currency.js";
+
+const RATES = [
+    { from_currency: "USD", to_currency: "RUB", rate: 90, rate_date: "2024-01-01" },
+    { from_currency: "USD", to_currency: "RUB", rate: 100, rate_date: "2024-02-01" },
+    { from_currency: "RUB", to_currency: "EUR", rate: 0.01, rate_date: "2024-01-01" }
+];
+
+describe("CurrencyConverter", () => {
+    const converter = new CurrencyConverter("RUB", RATES);
+
+    it("uses the rate in effect on the date", () => {
+        assert.equal(converter.getFactor("RUB", "2023-01-01"), 1);
+        assert.equal(converter.getFactor("USD", "2023-12-31"), null);
+        assert.equal(converter.getFactor("USD", "2024-01-15"), 90);
+        assert.equal(converter.getFactor("USD", "2024-02-01"), 100);
+        assert.equal(converter.getFactor("USD", "2025-01-01"), 100);
+    });
+
+    it("inverts rates from the target currency", () => {
+        assert.equal(converter.getFactor("EUR", "2024-03-01"), 100);
+    });
+
+    it("converts the money fields of rows and keeps their currency", () => {
+        const [row] = converter.convertRows([
+            { product_id: 1, price: 2, discount: 1, price_final: null, currency_id: "USD", date_create: "2024-02-10T12:00:00+03:00" }
+        ]);
+        assert.deepEqual(row, {
+            product_id: 1, price: 200, discount: 100, price_final: null,
+            currency_id: "RUB", original_currency_id: "USD", date_create: "2024-02-10T12:00:00+03:00"
+        });
+    });
+
+    it("reports every currency and date without a rate", () => {
+        assert.throws(
+            () => converter.convertRows([
+                { price: 1, currency_id: "USD", date_create: "2023-05-01" },
+                { price: 1, currency_id: "KZT", date_create: "2024-05-01" },
+                { price: 1, currency_id: "USD", date_create: "2023-05-01" }
+            ]),
+            error => error instanceof MissingRateError && error.missing.length === 2
+        );
+    });
+});
+
+describe("parseRatesCsv", () => {
+    it("reads rates with a header, semicolons and decimal commas", () => {
+        const { rates, errors } = parseRatesCsv("\uFEFFrate_date;from_currency;to_currency;rate\n2024-01-01;usd;rub;90,5\n2024-01-02;USD;USD;1\n");
+        assert.deepEqual(rates, [{ from_currency: "USD", to_currency: "RUB", rate: 90.5, rate_date: "2024-01-01" }]);
+        assert.deepEqual(errors, [{ line: 3, message: "from_currency and to_currency must differ" }]);
+    });
+
+    it("validates the rate and the date", () => {
+        assert.equal(validateRate({ from_currency: "USD", to_currency: "RUB", rate: 0, rate_date: "2024-01-01" }), "rate must be a positive number");
+        assert.equal(validateRate({ from_currency: "USD", to_currency: "RUB", rate: 1, rate_date: "01.01.2024" }), "rate_date must be in YYYY-MM-DD format");
+    });
+});
@@ -0,0 +1,89 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+
+import { createTestDb } from "./helpers.js";
+
+describe("Db.transaction", () => {
+    let fixture;
+    let db;
+
+    before(async () => {
+        fixture = await createTestDb("db");
+        db = fixture.db;
+    });
+
+    after(() => fixture.cleanup());
+
+    it("rolls every statement back when the work fails", async () => {
+        await assert.rejects(db.transaction("test", async tx => {
+            await tx.run("INSERT INTO deals (portal_id, id, title) VALUES (?, ?, ?)", ["p1", 1, "A"]);
+            throw new Error("failed");
+        }), /failed/);
+        assert.deepEqual(await db.getByFilter("deals", { portal_id: "p1" }), []);
+    });
+
+    it("waits for every write before the following read", async () => {
+        const writes = [1, 2, 3].map(id => db.insertInTable("deals", { portal_id: "p1", id: id, title: "A" }));
+        assert.equal((await db.getByFilter("deals", { portal_id: "p1" })).length, 3);
+        assert.deepEqual((await Promise.all(writes)).map(result => result.lastID), [1, 2, 3]);
+    });
+});
+
+describe("Db.getDealsWithProductRows", () => {
+    let fixture;
+    let db;
+
+    before(async () => {
+        fixture = await createTestDb("db");
+        db = fixture.db;
+        await db.insertMultipleInTable("deals", [
+            { portal_id: "p1", id: 1, title: "B", date_create: "2024-03-02" },
+            { portal_id: "p1", id: 2, title: "A", date_create: "2024-03-01" },
+            { portal_id: "p1", id: 3, title: "B", date_create: "2024-03-02" },
+            { portal_id: "p1", id: 4, title: "C", date_create: "2024-03-02" },
+            { portal_id: "p1", id: 5, title: "A", date_create: "2024-03-03" },
+            { portal_id: "p2", id: 6, title: "A", date_create: "2024-03-01" }
+        ]);
+        await db.insertMultipleInTable("deals_products", [
+            { portal_id: "p1", deal_id: 3, row_id: 31, product_id: 7, price: 100 },
+            { portal_id: "p1", deal_id: 3, row_id: 32, product_id: 8, price: 200 }
+        ]);
+    });
+
+    after(() => fixture.cleanup());
+
+    /**
+     * Reads every page following the cursor of the last deal, as get_deals_with_productrows/ does.
+     */
+    async function readPages(sort, order, limit) {
+        const pages = [];
+        let cursor = null;
+        for (;;) {
+            const { total, deals } = await db.getDealsWithProductRows("p1", {}, { sort, order, limit, after: cursor });
+            assert.equal(total, 5);
+            pages.push(deals.map(deal => deal.id));
+            if (deals.length === 0) {
+                return pages;
+            }
+            const last = deals[deals.length - 1];
+            cursor = { value: last[sort], id: last.id };
+        }
+    }
+
+    it("pages through deals with equal sort values without skipping or repeating any", async () => {
+        assert.deepEqual(await readPages("date_create", "asc", 2), [[2, 1], [3, 4], [5], []]);
+        assert.deepEqual(await readPages("title", "desc", 2), [[4, 3], [1, 5], [2], []]);
+        assert.deepEqual(await readPages("id", "asc", 5), [[1, 2, 3, 4, 5], []]);
+    });
+
+    it("returns no deals after the last one", async () => {
+        const { total, deals } = await db.getDealsWithProductRows("p1", {}, { sort: "date_create", after: { value: "2024-03-03", id: 5 } });
+        assert.deepEqual([total, deals], [5, []]);
+    });
+
+    it("pages by offset and returns the product rows of each deal", async () => {
+        const { deals } = await db.getDealsWithProductRows("p1", {}, { sort: "date_create", limit: 2, offset: 2 });
+        assert.deepEqual(deals.map(deal => [deal.id, deal.productrows.map(row => row.row_id)]), [[3, [31, 32]], [4, []]]);
+    });
+});
@@ -0,0 +1,99 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { PassThrough } from "node:stream";
+import { describe, it } from "node:test";
+import ExcelJS from "exceljs";
+
+import { CurrencyConverter, MissingRateError } from "../services/currency.js";
+import { createExportConverter, toCsvCell, writeCsv, writeXlsx } from "../services/export.js";
+
+async function* iterate(rows) {
+    yield* rows;
+}
+
+/**
+ * Collects everything written to a stream by `write`.
+ */
+async function capture(write) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on("data", chunk => chunks.push(Buffer.from(chunk)));
+    const count = await write(stream);
+    await new Promise(resolve => stream.end(resolve));
+    return { count, data: Buffer.concat(chunks) };
+}
+
+describe("toCsvCell", () => {
+    it("quotes separators and quotes", () => {
+        assert.equal(toCsvCell('Болт "М6", 10 шт'), '"Болт ""М6"", 10 шт"');
+        assert.equal(toCsvCell(null), "");
+        assert.equal(toCsvCell(12.5), "12.5");
+    });
+
+    it("keeps text that looks like a formula from being evaluated", () => {
+        assert.equal(toCsvCell("=HYPERLINK(\"http://x\")"), "\"'=HYPERLINK(\"\"http://x\"\")\"");
+        assert.equal(toCsvCell("+7 900"), "'+7 900");
+        assert.equal(toCsvCell("-Скидка"), "'-Скидка");
+        assert.equal(toCsvCell("@SUM(A1)"), "'@SUM(A1)");
+        assert.equal(toCsvCell("\t=1+1"), "'\t=1+1");
+        assert.equal(toCsvCell("\r=1+1"), "\"'\r=1+1\"");
+        assert.equal(toCsvCell(-5), "-5");
+    });
+});
+
+describe("writeCsv", () => {
+    it("writes a BOM, the header and one line per row", async () => {
+        const { count, data } = await capture(stream => writeCsv(stream, iterate([
+            { deal_id: 1, product_id: 7, product_name: "=1+1", price: 100 }
+        ])));
+        const lines = data.toString("utf8").split("\r\n");
+        assert.equal(count, 1);
+        assert.ok(lines[0].startsWith("\uFEFFdeal_id,"));
+        assert.ok(lines[1].includes(",'=1+1,100,"));
+    });
+});
+
+describe("writeXlsx", () => {
+    it("summarizes the prices of every product", async () => {
+        const rows = [
+            { product_id: 2, product_name: "B", price: 10, discount: 0, quantity: 1 },
+            { product_id: 1, product_name: "A", price: 100, discount: 10, quantity: 2 },
+            { product_id: 1, product_name: "A", price: 200, discount: 0, quantity: 1 }
+        ];
+        const { count, data } = await capture(stream => writeXlsx(stream, iterate(rows)));
+        assert.equal(count, 3);
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(data);
+        const summary = workbook.getWorksheet("summary");
+        const header = summary.getRow(1).values;
+        const product = summary.getRow(2).values;
+        const column = name => product[header.indexOf(name)];
+        assert.equal(summary.rowCount, 3);
+        assert.equal(column("product_id"), 1);
+        assert.equal(column("count"), 2);
+        assert.equal(column("median"), 150);
+        assert.equal(column("avg_discount"), 5);
+        assert.equal(column("quantity"), 3);
+    });
+});
+
+describe("createExportConverter", () => {
+    const currencyService = {
+        createConverter: async target => new CurrencyConverter(target, [{ from_currency: "USD", to_currency: "RUB", rate: 90, rate_date: "2024-01-01" }])
+    };
+
+    it("fails before the export when a deal currency has no rate", async () => {
+        const db = { getProductRowsCurrencyDates: async () => [{ currency_id: "USD", date_create: "2023-06-01" }, { currency_id: null, date_create: "2023-06-01" }] };
+        await assert.rejects(
+            createExportConverter(db, currencyService, "default", {}, "RUB"),
+            error => error instanceof MissingRateError && error.missing.length === 1
+        );
+    });
+
+    it("returns the converter of the export currency", async () => {
+        const db = { getProductRowsCurrencyDates: async () => [{ currency_id: "USD", date_create: "2024-06-01" }] };
+        const converter = await createExportConverter(db, currencyService, "default", {}, "RUB");
+        assert.equal(converter.target, "RUB");
+    });
+});
@@ -0,0 +1,29 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { isValidDate, parseProductRowsFilters, parseTargetCurrency } from "../services/filters.js";
+
+describe("parseProductRowsFilters", () => {
+    it("maps the request fields to Db filters", () => {
+        assert.deepEqual(parseProductRowsFilters({ date_from: "2024-01-01", product_ids: [7], product_name: "болт" }), {
+            filters: { dateFrom: "2024-01-01", dateTo: undefined, dealIds: undefined, productIds: [7], productName: "болт" }
+        });
+    });
+
+    it("rejects invalid fields", () => {
+        assert.equal(isValidDate("2024-02-30x"), false);
+        assert.deepEqual(parseProductRowsFilters({ date_to: "01.01.2024" }), { error: "Dates must be in YYYY-MM-DD format" });
+        assert.deepEqual(parseProductRowsFilters({ deal_ids: "1,2" }), { error: "deal_ids must be an array" });
+        assert.deepEqual(parseProductRowsFilters({ product_ids: 7 }), { error: "product_ids must be an array" });
+        assert.deepEqual(parseProductRowsFilters({ product_name: 7 }), { error: "product_name must be a string" });
+    });
+});
+
+describe("parseTargetCurrency", () => {
+    it("accepts a missing currency or a 3-letter code", () => {
+        assert.deepEqual(parseTargetCurrency({}), { currency: null });
+        assert.deepEqual(parseTargetCurrency({ currency: "USD" }), { currency: "USD" });
+        assert.deepEqual(parseTargetCurrency({ currency: "usd1" }), { error: "currency must be a 3-letter currency code, e.g. USD" });
+    });
+});
@@ -0,0 +1,72 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { generateCryptoKey } from "../services/crypto.js";
+import { HealthService } from "../services/health.js";
+import { Migrator } from "../services/migrator.js";
+import { PortalsService } from "../services/portals.js";
+import { createTestDb } from "./helpers.js";
+
+describe("HealthService", () => {
+    let fixture;
+    let db;
+    let migrator;
+    let health;
+    const env = {};
+
+    before(async () => {
+        fixture = await createTestDb("health", { migrate: false });
+        db = fixture.db;
+        for (const name of ["CRYPTO_KEY_FILE", "BX_LINK"]) {
+            env[name] = process.env[name];
+        }
+        process.env.CRYPTO_KEY_FILE = path.join(fixture.dir, "keys");
+        fs.writeFileSync(process.env.CRYPTO_KEY_FILE, generateCryptoKey() + "\n");
+        delete process.env.BX_LINK;
+        migrator = new Migrator(db);
+        health = new HealthService(db, migrator);
+    });
+
+    after(async () => {
+        await fixture.cleanup();
+        Object.entries(env).forEach(([name, value]) => value === undefined ? delete process.env[name] : process.env[name] = value);
+    });
+
+    it("reports pending migrations without creating schema_migrations", async () => {
+        const { ready, checks } = await health.checkReadiness();
+
+        assert.equal(ready, false);
+        assert.equal(checks.database.ok, true);
+        assert.match(checks.migrations.error, /migration\(s\) pending/);
+        assert.deepEqual(await db.query("test", "SELECT name FROM sqlite_master WHERE name = 'schema_migrations'"), []);
+    });
+
+    it("is ready while a long transaction holds the database", async () => {
+        await migrator.migrate();
+        await new PortalsService(db).register("p1", "https://example.bitrix24.ru/rest/1/secret/");
+
+        let finish;
+        const transaction = db.transaction("test", async tx => {
+            await tx.run("INSERT INTO portals (id, bx_link) VALUES ('p2', 'pending')");
+            await new Promise(resolve => finish = resolve);
+        });
+        const readiness = await health.checkReadiness();
+        finish();
+        await transaction;
+
+        assert.deepEqual(readiness, {
+            ready: true,
+            checks: { database: { ok: true }, migrations: { ok: true }, webhooks: { ok: true, portals: 1 }, bx_link: { ok: true, configured: false } }
+        });
+    });
+
+    it("names the portals whose webhook does not decrypt", async () => {
+        const { ready, checks } = await health.checkReadiness();
+
+        assert.equal(ready, false);
+        assert.equal(checks.webhooks.error, "Webhooks of portals p2 do not decrypt");
+    });
+});
@@ -0,0 +1,34 @@
+import "../global.js";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { Db } from "../services/db.js";
+import { Migrator } from "../services/migrator.js";
+
+/**
+ * Opens a database in a new temporary directory, migrated to the latest version unless `migrate` is false.
+ *
+ * @param {string} name - Prefix of the temporary directory, e.g. the name of the test file.
+ * @param {Object} [options]
+ * @param {boolean} [options.migrate=true] - Apply the migrations.
+ * @returns {Promise<{db: Db, dir: string, cleanup: function(): Promise<void>}>} The database, its directory and
+ *          a function closing the database and removing the directory.
+ */
+async function createTestDb(name, { migrate = true } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-test-`));
+    const db = new Db(path.join(dir, "database.db"));
+    if (migrate) {
+        await new Migrator(db).migrate();
+    }
+    return {
+        db: db,
+        dir: dir,
+        cleanup: async () => {
+            await db.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+export { createTestDb };
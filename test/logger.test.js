@@ -0,0 +1,72 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { closeLogs, logMessage, queryLogs, runWithCorrelationId } from "../logger/logger.js";
+
+describe("logger", () => {
+    const cwd = process.cwd();
+    const env = { ...process.env };
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "logger-test-"));
+        process.chdir(dir);
+        delete process.env.LOG_LEVEL;
+        delete process.env.LOG_CONSOLE;
+    });
+
+    after(async () => {
+        await closeLogs();
+        process.chdir(cwd);
+        process.env = env;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("writes entries as JSON lines with their correlation id", async () => {
+        runWithCorrelationId("req-1", () => logMessage(LOG_TYPES.I, "test", "first"));
+        logMessage(LOG_TYPES.E, "test", new Error("broken"));
+        await closeLogs();
+
+        const entries = await queryLogs({ source: "test" });
+        assert.deepEqual(entries.map(entry => [entry.type, entry.message, entry.correlation_id]), [
+            ["error", "broken", null],
+            ["info", "first", "req-1"]
+        ]);
+        assert.ok(entries[0].stack.includes("broken"));
+    });
+
+    it("drops entries below LOG_LEVEL without creating their files", async () => {
+        logMessage(LOG_TYPES.D, "test", "hidden");
+        await closeLogs();
+
+        assert.equal(fs.existsSync(path.join(dir, "logger", "logs", "debug")), false);
+    });
+
+    it("starts a new file when the current one would grow over LOG_MAX_FILE_SIZE", async () => {
+        process.env.LOG_MAX_FILE_SIZE = String(300 / 1024 / 1024);
+        for (let i = 0; i < 5; i++) {
+            logMessage(LOG_TYPES.W, "rotation", `entry ${i}`);
+        }
+        await closeLogs();
+        delete process.env.LOG_MAX_FILE_SIZE;
+
+        const files = fs.readdirSync(path.join(dir, "logger", "logs", "warn"));
+        assert.ok(files.length > 1);
+        files.forEach(file => assert.ok(fs.statSync(path.join(dir, "logger", "logs", "warn", file)).size <= 300));
+        assert.equal((await queryLogs({ source: "rotation" })).length, 5);
+    });
+
+    it("returns the newest entries and stops before files older than them", async () => {
+        const stale = path.join(dir, "logger", "logs", "info", "stale.log");
+        fs.writeFileSync(stale, JSON.stringify({ time: new Date().toISOString(), level: "info", type: "info", source: "rotation", message: "unread" }) + "\n");
+        fs.utimesSync(stale, new Date(0), new Date(0));
+
+        const entries = await queryLogs({ source: "rotation" }, 2);
+        assert.deepEqual(entries.map(entry => entry.message), ["entry 4", "entry 3"]);
+        assert.equal((await queryLogs({ source: "rotation" }, 10)).length, 6);
+    });
+});
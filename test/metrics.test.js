@@ -0,0 +1,66 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+
+import { collectMetrics, metrics, MetricsRegistry } from "../services/metrics.js";
+import { createTestDb } from "./helpers.js";
+
+/**
+ * @returns {Array<string>} The sample lines of a metric in the rendered registry.
+ */
+function samples(registry, name) {
+    return registry.render().split("\n").filter(line => line.startsWith(name));
+}
+
+describe("MetricsRegistry", () => {
+    it("renders counters with their labels escaped and sorted", () => {
+        const registry = new MetricsRegistry();
+        registry.increment("http_requests_total", { route: "/a", method: "POST", status: 200 });
+        registry.increment("http_requests_total", { route: "/a", method: "POST", status: 200 });
+        registry.increment("bitrix_requests_total", { method: "crm.deal.list", outcome: "say \"no\"" });
+
+        assert.deepEqual(samples(registry, "http_requests_total"), ['http_requests_total{method="POST",route="/a",status="200"} 2']);
+        assert.deepEqual(samples(registry, "bitrix_requests_total"), ['bitrix_requests_total{method="crm.deal.list",outcome="say \\"no\\""} 1']);
+        assert.ok(registry.render().includes("# TYPE http_requests_total counter\n"));
+    });
+
+    it("renders histograms with cumulative buckets", () => {
+        const registry = new MetricsRegistry([1, 10]);
+        registry.observe("sync_run_duration_seconds", { portal: "p1", status: "success" }, 0.5);
+        registry.observe("sync_run_duration_seconds", { portal: "p1", status: "success" }, 5);
+
+        assert.deepEqual(samples(registry, "sync_run_duration_seconds"), [
+            'sync_run_duration_seconds_bucket{portal="p1",status="success",le="1"} 1',
+            'sync_run_duration_seconds_bucket{portal="p1",status="success",le="10"} 2',
+            'sync_run_duration_seconds_bucket{portal="p1",status="success",le="+Inf"} 2',
+            'sync_run_duration_seconds_sum{portal="p1",status="success"} 5.5',
+            'sync_run_duration_seconds_count{portal="p1",status="success"} 2'
+        ]);
+    });
+
+    it("rejects unknown metrics", () => {
+        assert.throws(() => new MetricsRegistry().increment("unknown_total", {}), /Unknown metric unknown_total/);
+    });
+});
+
+describe("collectMetrics", () => {
+    let fixture;
+    let db;
+
+    before(async () => {
+        fixture = await createTestDb("metrics");
+        db = fixture.db;
+    });
+
+    after(() => fixture.cleanup());
+
+    it("counts the rows per portal and drops the series of removed portals", async () => {
+        await db.insertMultipleInTable("deals", [{ portal_id: "p1", id: 1 }, { portal_id: "p1", id: 2 }, { portal_id: "p2", id: 1 }]);
+        await collectMetrics(db);
+        assert.deepEqual(samples(metrics, "db_rows"), ['db_rows{portal="p1",table="deals"} 2', 'db_rows{portal="p2",table="deals"} 1']);
+
+        await db.run("test", "DELETE FROM deals WHERE portal_id = 'p2'");
+        await collectMetrics(db);
+        assert.deepEqual(samples(metrics, "db_rows"), ['db_rows{portal="p1",table="deals"} 2']);
+    });
+});
@@ -0,0 +1,145 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { Migrator, formatMigrationId } from "../services/migrator.js";
+import { createTestDb } from "./helpers.js";
+
+describe("Migrator.loadMigrations", () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrator-test-"));
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("loads the migration files ordered by version", async () => {
+        const migrations = await new Migrator(null).loadMigrations();
+        assert.deepEqual(migrations.slice(0, 2).map(formatMigrationId), ["001_initial_schema", "002_portal_scope"]);
+        assert.ok(migrations.every((migration, i) => i === 0 || migration.version > migrations[i - 1].version));
+        assert.ok(migrations.every(migration => typeof migration.up === "function"));
+    });
+
+    it("rejects two files with the same version", async () => {
+        fs.writeFileSync(path.join(dir, "001_first.js"), "export async function up() {}\n");
+        fs.writeFileSync(path.join(dir, "001_second.js"), "export async function up() {}\n");
+        await assert.rejects(new Migrator(null, dir).loadMigrations(), /Duplicate migration version 1: 001_second\.js/);
+    });
+
+    it("rejects a file without up()", async () => {
+        fs.writeFileSync(path.join(dir, "001_first.js"), "export async function down() {}\n");
+        fs.writeFileSync(path.join(dir, "notes.txt"), "");
+        await assert.rejects(new Migrator(null, dir).loadMigrations(), /Migration 001_first\.js does not export up\(\)/);
+    });
+});
+
+/**
+ * The tables of a database created before migrations, as in the production db/database.db.
+ */
+const LEGACY_DEALS = `
+    CREATE TABLE deals (
+        id INTEGER NOT NULL PRIMARY KEY,
+        title TEXT,
+        category_id INTEGER,
+        price_type INTEGER,
+        date_create DATE
+    )
+`;
+const LEGACY_DEALS_PRODUCTS = `
+    CREATE TABLE deals_products (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deal_id INTEGER,
+        product_id INTEGER,
+        product_name TEXT,
+        price FLOAT,
+        discount FLOAT,
+        FOREIGN KEY (deal_id) REFERENCES deals(id),
+        UNIQUE (deal_id, product_id)
+    )
+`;
+
+describe("Migrator", () => {
+    let fixture;
+    let db;
+    let migrator;
+
+    beforeEach(async () => {
+        fixture = await createTestDb("migrator", { migrate: false });
+        db = fixture.db;
+        migrator = new Migrator(db);
+    });
+
+    afterEach(() => fixture.cleanup());
+
+    const getColumns = async tableName => (await db.query("test", `PRAGMA table_info(${tableName})`)).map(row => row.name);
+
+    it("applies every migration once", async () => {
+        const applied = await migrator.migrate();
+        assert.ok(applied.length > 0);
+        assert.deepEqual(await migrator.migrate(), []);
+        assert.ok((await migrator.status()).every(migration => migration.applied));
+        assert.deepEqual((await migrator.status()).filter(migration => !migration.reversible).map(migration => migration.version), [1]);
+    });
+
+    it("rolls every migration but the initial schema back and applies them again", async () => {
+        const applied = await migrator.migrate();
+        for (let i = applied.length - 1; i > 0; i--) {
+            assert.deepEqual(await migrator.rollback(), applied[i]);
+        }
+        await assert.rejects(migrator.rollback(), /Migration 001_initial_schema cannot be rolled back/);
+        assert.deepEqual(await migrator.getApplied().then(rows => rows.map(row => row.version)), [1]);
+
+        assert.deepEqual(await migrator.migrate(), applied.slice(1));
+    });
+
+    it("keeps the data of a database created before migrations when rolling back", async () => {
+        await db.run("test", LEGACY_DEALS);
+        await db.run("test", LEGACY_DEALS_PRODUCTS);
+        await db.insertMultipleInTable("deals", [{ id: 1, title: "A", category_id: 68 }, { id: 2, title: "B", category_id: 68 }]);
+        await db.insertMultipleInTable("deals_products", [
+            { deal_id: 1, product_id: 7, product_name: "Товар", price: 100 },
+            { deal_id: 2, product_id: 7, product_name: "Товар", price: 110 }
+        ]);
+
+        await migrator.migrate();
+        while ((await migrator.getApplied()).length > 1) {
+            await migrator.rollback();
+        }
+        await assert.rejects(migrator.rollback(), /cannot be rolled back/);
+
+        assert.deepEqual(await db.query("test", "SELECT id, title FROM deals ORDER BY id"), [{ id: 1, title: "A" }, { id: 2, title: "B" }]);
+        assert.deepEqual(await db.query("test", "SELECT deal_id, price FROM deals_products ORDER BY deal_id"), [{ deal_id: 1, price: 100 }, { deal_id: 2, price: 110 }]);
+        assert.ok(!(await getColumns("deals")).includes("portal_id"));
+    });
+
+    it("moves the default portal back to the single portal schema", async () => {
+        const applied = await migrator.migrate();
+        await db.insertInTable("deals", { portal_id: "default", id: 1, title: "A" });
+        while ((await migrator.getApplied()).length > 2) {
+            await migrator.rollback();
+        }
+
+        await migrator.rollback();
+        assert.ok(!(await getColumns("deals")).includes("portal_id"));
+        assert.deepEqual(await db.query("test", "SELECT id, title FROM deals"), [{ id: 1, title: "A" }]);
+
+        await migrator.migrate();
+        assert.deepEqual(await db.query("test", "SELECT portal_id, id FROM deals"), [{ portal_id: "default", id: 1 }]);
+        assert.equal((await migrator.getApplied()).length, applied.length);
+    });
+
+    it("refuses to drop the portal scope while other portals have data", async () => {
+        await migrator.migrate();
+        await db.insertInTable("deals", { portal_id: "second", id: 1, title: "A" });
+        while ((await migrator.getApplied()).length > 2) {
+            await migrator.rollback();
+        }
+
+        await assert.rejects(migrator.rollback(), /portals other than "default" \(second\)/);
+        assert.ok((await getColumns("deals")).includes("portal_id"));
+    });
+});
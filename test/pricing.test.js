@@ -0,0 +1,91 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { recommendBasket, recommendProductPrice, validateBasket } from "../services/pricing.js";
+
+const ROWS = [
+    { product_id: 1, product_name: "A", deal_id: 1, price: 100, discount: 10, quantity: 1, date_create: "2024-03-01T10:00:00+03:00" },
+    { product_id: 1, product_name: "A", deal_id: 2, price: 120, discount: 0, quantity: 3, date_create: "2024-03-05T10:00:00+03:00" },
+    { product_id: 1, product_name: "A", deal_id: 3, price: 90, discount: null, quantity: null, date_create: "2024-03-05T12:00:00+03:00" },
+    { product_id: 1, product_name: "A", deal_id: 4, price: null, discount: null, quantity: 1, date_create: "2024-03-20T10:00:00+03:00" }
+];
+
+describe("recommendProductPrice", () => {
+    it("takes the median price and discount of the priced rows", () => {
+        const { price, discount, rows } = recommendProductPrice(ROWS, "recent_median");
+        assert.deepEqual([price, discount, rows.map(row => row.deal_id)], [100, 0, [1, 2, 3]]);
+    });
+
+    it("weights the average by quantity, counting rows without one once", () => {
+        const { price, discount, rows } = recommendProductPrice(ROWS, "weighted_average");
+        assert.deepEqual([price, discount, rows.length], [110, 2, 3]);
+    });
+
+    it("takes the last sold row, the highest deal of the same day", () => {
+        const { price, discount, rows } = recommendProductPrice(ROWS, "last_price");
+        assert.deepEqual([price, discount, rows.map(row => row.deal_id)], [90, 0, [3]]);
+    });
+
+    it("has no recommendation without priced rows", () => {
+        assert.equal(recommendProductPrice([], "recent_median"), null);
+        assert.equal(recommendProductPrice([ROWS[3]], "last_price"), null);
+    });
+});
+
+describe("recommendBasket", () => {
+    it("prices every line with its sample and dates and totals the priced lines", () => {
+        const basket = recommendBasket([{ product_id: 1, quantity: 2 }, { product_id: "2" }], ROWS, "recent_median");
+
+        assert.deepEqual(basket, {
+            lines: [
+                {
+                    product_id: 1, product_name: "A", quantity: 2, price: 100, discount: 0, price_final: 100, line_total: 200,
+                    sample_size: 3, date_from: "2024-03-01", date_to: "2024-03-05"
+                },
+                {
+                    product_id: 2, product_name: null, quantity: 1, price: null, discount: null, price_final: null, line_total: null,
+                    sample_size: 0, date_from: null, date_to: null
+                }
+            ],
+            total: 200,
+            complete: false
+        });
+    });
+
+    it("reports the rows behind the chosen method", () => {
+        const [line] = recommendBasket([{ product_id: 1 }], ROWS, "weighted_average").lines;
+        assert.deepEqual([line.price_final, line.sample_size, line.date_from, line.date_to], [108, 3, "2024-03-01", "2024-03-05"]);
+
+        const [last] = recommendBasket([{ product_id: 1 }], ROWS, "last_price").lines;
+        assert.deepEqual([last.price_final, last.sample_size, last.date_from, last.date_to], [90, 1, "2024-03-05", "2024-03-05"]);
+    });
+
+    it("is complete when every product has history", () => {
+        assert.equal(recommendBasket([{ product_id: 1 }], ROWS, "recent_median").complete, true);
+    });
+});
+
+describe("validateBasket", () => {
+    it("accepts integer product ids with optional positive quantities", () => {
+        assert.equal(validateBasket([{ product_id: 1 }, { product_id: "2", quantity: 1.5 }]), null);
+    });
+
+    it("rejects empty, oversized and non-array baskets", () => {
+        for (const items of [[], {}, "1", null, Array.from({ length: 501 }, () => ({ product_id: 1 }))]) {
+            assert.equal(validateBasket(items), "items must be an array of 1 to 500 lines");
+        }
+    });
+
+    it("rejects lines without an integer product id", () => {
+        for (const item of [null, {}, { product_id: null }, { product_id: "" }, { product_id: "abc" }, { product_id: 1.5 }]) {
+            assert.equal(validateBasket([item]), "product_id of every line must be an integer");
+        }
+    });
+
+    it("rejects quantities that are not positive numbers", () => {
+        for (const quantity of [0, -1, "2", null]) {
+            assert.equal(validateBasket([{ product_id: 1, quantity: quantity }]), "quantity must be a positive number");
+        }
+    });
+});
@@ -0,0 +1,164 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import os from "node:os";
+import { after, before, beforeEach, describe, it } from "node:test";
+
+import { SyncScheduler } from "../services/scheduler.js";
+import { createTestDb } from "./helpers.js";
+
+/**
+ * The owner of a run executed by a live process of this host: the parent process of the test runner.
+ */
+const OTHER_PROCESS = { owner_host: os.hostname(), owner_pid: process.ppid, heartbeat_at: new Date().toISOString() };
+
+describe("SyncScheduler", () => {
+    let fixture;
+    let db;
+    let syncService;
+    let scheduler;
+
+    before(async () => {
+        fixture = await createTestDb("scheduler");
+        db = fixture.db;
+    });
+
+    after(() => fixture.cleanup());
+
+    const insertRunning = async owner => (await db.insertInTable("sync_runs", {
+        portal_id: "p1", trigger: "api", kind: "all", status: "running", ...owner
+    })).lastID;
+
+    beforeEach(async () => {
+        await db.run("test", "DELETE FROM sync_runs");
+        syncService = {
+            syncDeals: async () => ({ deals: [{ id: 1 }, { id: 2 }], removed: 0, since: null }),
+            syncProductRows: async () => ({ deals: [{ id: 1 }], rows: 3, removed: 0, since: null })
+        };
+        scheduler = new SyncScheduler(db, async () => syncService);
+    });
+
+    it("records a run executed right away", async () => {
+        const { run, error } = await scheduler.runNow("cli", { kind: "all", portalId: "p1" });
+
+        assert.equal(error, null);
+        assert.equal(run.trigger, "cli");
+        assert.equal(run.status, "success");
+        assert.equal(run.deals_processed, 2);
+        assert.equal(run.rows_processed, 3);
+        assert.equal(scheduler.running, false);
+    });
+
+    it("returns the error of a failed run and records it", async () => {
+        syncService.syncDeals = async () => {
+            throw new Error("Bitrix is down");
+        };
+        const { run, error } = await scheduler.runNow("cli", { kind: "deals", portalId: "p1" });
+
+        assert.equal(error.message, "Bitrix is down");
+        assert.equal(run.status, "error");
+        assert.equal(run.error, "Bitrix is down");
+    });
+
+    it("keeps the rows reported by the product rows stage of a failed run", async () => {
+        syncService.syncProductRows = async ({ onProgress }) => {
+            onProgress({ stage: "productrows", done: 50, total: 100, rows: 120 });
+            throw new Error("Bitrix is down");
+        };
+        const { run } = await scheduler.runNow("cli", { kind: "productrows", portalId: "p1" });
+
+        assert.equal(run.status, "error");
+        assert.equal(run.rows_processed, 120);
+        assert.equal(JSON.parse(run.progress).done, 50);
+    });
+
+    it("skips a run while a run of another process is in progress", async () => {
+        await insertRunning(OTHER_PROCESS);
+
+        assert.equal(await scheduler.runNow("cli", { kind: "deals", portalId: "p1" }), null);
+        assert.equal((await db.getByFilter("sync_runs", { trigger: "cli" })).length, 0);
+    });
+
+    it("keeps the queue waiting while a run of another process is in progress", async () => {
+        const otherId = await insertRunning(OTHER_PROCESS);
+        const [runId] = await scheduler.enqueue("api", { kind: "deals", portalId: "p1" });
+        await scheduler.processQueue();
+
+        assert.equal((await db.getByFilter("sync_runs", { id: runId }))[0].status, "pending");
+        assert.equal((await db.getByFilter("sync_runs", { id: otherId }))[0].status, "running");
+        clearTimeout(scheduler.retryTimer);
+        scheduler.retryTimer = null;
+
+        await db.updateTable("sync_runs", { status: "success" }, { id: otherId });
+        await scheduler.processQueue();
+        assert.equal((await db.getByFilter("sync_runs", { id: runId }))[0].status, "success");
+    });
+
+    it("requeues only the runs whose process is gone", async () => {
+        const alive = await insertRunning(OTHER_PROCESS);
+        const previous = await insertRunning({ owner_host: os.hostname(), owner_pid: process.pid, heartbeat_at: new Date().toISOString() });
+        const stale = await insertRunning({ ...OTHER_PROCESS, owner_host: "other-host", heartbeat_at: "2024-01-01T00:00:00.000Z" });
+        const legacy = await insertRunning({});
+
+        assert.equal(await scheduler.recover(), 3);
+        const runs = await db.query("test", "SELECT id, status, owner_pid FROM sync_runs ORDER BY id");
+        assert.deepEqual(runs, [
+            { id: alive, status: "running", owner_pid: process.ppid },
+            { id: previous, status: "pending", owner_pid: null },
+            { id: stale, status: "pending", owner_pid: null },
+            { id: legacy, status: "pending", owner_pid: null }
+        ]);
+    });
+
+    it("records its own process as the owner of a run", async () => {
+        const { run } = await scheduler.runNow("cli", { kind: "deals", portalId: "p1" });
+
+        assert.equal(run.owner_host, os.hostname());
+        assert.equal(run.owner_pid, process.pid);
+        assert.ok(run.heartbeat_at);
+    });
+
+    it("works off the queued runs one after another", async () => {
+        const runIds = await scheduler.enqueue("api", { kind: "deals", portalId: "p1" });
+        runIds.push(...await scheduler.enqueue("api", { kind: "productrows", portalId: "p1" }));
+        await scheduler.processQueue();
+
+        const runs = await db.query("test", "SELECT id, status FROM sync_runs ORDER BY id");
+        assert.deepEqual(runs, runIds.map(id => ({ id: id, status: "success" })));
+    });
+
+    it("cancels a running run and keeps its reported progress", async () => {
+        let started;
+        const running = new Promise(resolve => started = resolve);
+        syncService.syncDeals = ({ signal, onProgress }) => new Promise((resolve, reject) => {
+            onProgress({ stage: "deals", done: 1, total: 2 });
+            signal.addEventListener("abort", () => reject(signal.reason));
+            started();
+        });
+        const [runId] = await scheduler.enqueue("api", { kind: "deals", portalId: "p1" });
+        await running;
+
+        assert.equal(await scheduler.cancel(runId), true);
+        await scheduler.processQueue();
+        const [run] = await db.getByFilter("sync_runs", { id: runId });
+        assert.deepEqual([run.status, run.deals_processed, run.error], ["cancelled", 1, null]);
+        assert.equal(await scheduler.cancel(runId), false);
+    });
+
+    it("requeues the runs interrupted by a restart unless they were asked to be cancelled", async () => {
+        const { lastID: interrupted } = await db.insertInTable("sync_runs", { portal_id: "p1", trigger: "api", kind: "all", status: "running" });
+        const { lastID: cancelled } = await db.insertInTable("sync_runs", {
+            portal_id: "p1", trigger: "api", kind: "all", status: "running", cancel_requested: 1
+        });
+
+        assert.equal(await scheduler.recover(), 1);
+        const runs = await db.query("test", "SELECT id, status FROM sync_runs ORDER BY id");
+        assert.deepEqual(runs, [{ id: interrupted, status: "pending" }, { id: cancelled, status: "cancelled" }]);
+    });
+
+    it("rejects an invalid cron expression and keeps the current one", async () => {
+        const cron = scheduler.cron;
+
+        await assert.rejects(scheduler.setCron("every hour"), /Invalid cron expression "every hour"/);
+        assert.equal(scheduler.getStatus().cron, cron);
+    });
+});
@@ -0,0 +1,94 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+
+import {
+    buildDealFilters, isDealQualifying, isValidFieldName, loadSelection, validateRule,
+    DEFAULT_PRICE_TYPE_FIELD, DEFAULT_RULES, SETTINGS_KEYS
+} from "../services/selection.js";
+import { createTestDb } from "./helpers.js";
+
+const RULES = [{ category_id: 68, price_type: "616" }, { category_id: 70, price_type: null }];
+
+describe("isDealQualifying", () => {
+    it("requires the category and the price type of a rule", () => {
+        assert.equal(isDealQualifying({ category_id: "68", price_type: "616" }, RULES), true);
+        assert.equal(isDealQualifying({ category_id: 68, price_type: 616 }, RULES), true);
+        assert.equal(isDealQualifying({ category_id: "68", price_type: "617" }, RULES), false);
+        assert.equal(isDealQualifying({ category_id: "68", price_type: null }, RULES), false);
+        assert.equal(isDealQualifying({ category_id: "69", price_type: "616" }, RULES), false);
+    });
+
+    it("accepts every price type of a rule without one", () => {
+        assert.equal(isDealQualifying({ category_id: "70", price_type: null }, RULES), true);
+        assert.equal(isDealQualifying({ category_id: "70", price_type: "1" }, [{ category_id: 70 }]), true);
+    });
+
+    it("rejects every deal without rules", () => {
+        assert.equal(isDealQualifying({ category_id: "68", price_type: "616" }, []), false);
+    });
+});
+
+describe("buildDealFilters", () => {
+    it("builds one filter per rule on the price type field", () => {
+        assert.deepEqual(buildDealFilters(RULES, "UF_CRM_PRICE_TYPE"), [
+            { CATEGORY_ID: 68, UF_CRM_PRICE_TYPE: "616" },
+            { CATEGORY_ID: 70 }
+        ]);
+        assert.deepEqual(buildDealFilters(DEFAULT_RULES, DEFAULT_PRICE_TYPE_FIELD), [{ CATEGORY_ID: 68, [DEFAULT_PRICE_TYPE_FIELD]: "616" }]);
+    });
+});
+
+describe("validateRule", () => {
+    it("accepts a category with an optional price type and active flag", () => {
+        assert.equal(validateRule({ category_id: 68 }), null);
+        assert.equal(validateRule({ category_id: "0", price_type: "616", active: false }), null);
+        assert.equal(validateRule({ category_id: 68, price_type: null, active: true }), null);
+    });
+
+    it("rejects invalid rules", () => {
+        assert.equal(validateRule({}), "category_id must be an integer");
+        assert.equal(validateRule({ category_id: null }), "category_id must be an integer");
+        assert.equal(validateRule({ category_id: "" }), "category_id must be an integer");
+        assert.equal(validateRule({ category_id: "6.5" }), "category_id must be an integer");
+        assert.equal(validateRule({ category_id: 68, price_type: "616' OR 1=1" }), "price_type must be a field value or null");
+        assert.equal(validateRule({ category_id: 68, price_type: "" }), "price_type must be a field value or null");
+        assert.equal(validateRule({ category_id: 68, active: "yes" }), "active must be a boolean");
+    });
+});
+
+describe("isValidFieldName", () => {
+    it("accepts upper case Bitrix field names only", () => {
+        assert.equal(isValidFieldName("UF_CRM_1710140074001"), true);
+        assert.equal(isValidFieldName("uf_crm_1"), false);
+        assert.equal(isValidFieldName("UF_CRM; DROP"), false);
+        assert.equal(isValidFieldName(null), false);
+    });
+});
+
+describe("loadSelection", () => {
+    let fixture;
+    let db;
+
+    before(async () => {
+        fixture = await createTestDb("selection");
+        db = fixture.db;
+    });
+
+    after(() => fixture.cleanup());
+
+    it("falls back to the default rules and price type field", async () => {
+        assert.deepEqual(await loadSelection(db, "p1"), { rules: DEFAULT_RULES, priceTypeField: DEFAULT_PRICE_TYPE_FIELD });
+    });
+
+    it("loads the active rules and the price type field of the portal", async () => {
+        await db.insertMultipleInTable("selection_rules", [
+            { portal_id: "p1", category_id: 70, price_type: null, active: 1 },
+            { portal_id: "p1", category_id: 71, price_type: "1", active: 0 },
+            { portal_id: "p2", category_id: 72, price_type: "2", active: 1 }
+        ]);
+        await db.insertInTable("settings", { portal_id: "p1", key: SETTINGS_KEYS.PRICE_TYPE_FIELD, value: "UF_CRM_PRICE_TYPE" });
+
+        assert.deepEqual(await loadSelection(db, "p1"), { rules: [{ category_id: 70, price_type: null }], priceTypeField: "UF_CRM_PRICE_TYPE" });
+    });
+});
@@ -0,0 +1,97 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+    calculateProductsPriceHistory,
+    calculateProductsPriceStats,
+    getLineTotal,
+    getPeriodKey,
+    percentile
+} from "../services/stats.js";
+
+describe("percentile", () => {
+    it("interpolates between the closest ranks", () => {
+        assert.equal(percentile([], 50), null);
+        assert.equal(percentile([10], 90), 10);
+        assert.equal(percentile([10, 20, 30, 40], 50), 25);
+        assert.equal(percentile([10, 20, 30, 40], 25), 17.5);
+        assert.equal(percentile([10, 20, 30, 40], 100), 40);
+    });
+});
+
+describe("getLineTotal", () => {
+    it("multiplies the final price by the quantity", () => {
+        assert.equal(getLineTotal({ price: 100, price_final: 90, discount: 10, quantity: 3 }), 270);
+    });
+
+    it("falls back to price minus discount and one unit for rows synced before these fields", () => {
+        assert.equal(getLineTotal({ price: 100, discount: 10 }), 90);
+    });
+});
+
+describe("calculateProductsPriceStats", () => {
+    const rows = [
+        { product_id: 1, product_name: "A", price: 100, discount: 0, quantity: 1 },
+        { product_id: 1, product_name: "A", price: 200, discount: 20, quantity: 3 },
+        { product_id: 1, product_name: "A", price: 300, discount: 10, quantity: 0 },
+        { product_id: 2, product_name: "B", price: null, discount: 5 }
+    ];
+
+    it("calculates row based and quantity weighted statistics per product", () => {
+        const [a, b] = calculateProductsPriceStats(rows, [25, 75]);
+        assert.deepEqual(a, {
+            product_id: 1,
+            product_name: "A",
+            count: 3,
+            min: 100,
+            max: 300,
+            mean: 200,
+            median: 200,
+            percentiles: { p25: 150, p75: 250 },
+            avg_discount: 10,
+            quantity: 4,
+            weighted_mean: 175,
+            total: 640
+        });
+        assert.equal(b.count, 0);
+        assert.equal(b.median, null);
+        assert.equal(b.avg_discount, 5);
+        assert.equal(b.weighted_mean, null);
+    });
+});
+
+describe("calculateProductsPriceHistory", () => {
+    it("buckets rows by the week of their deal", () => {
+        assert.equal(getPeriodKey("2024-01-25T19:55:39+03:00", "week"), "2024-01-22");
+        assert.equal(getPeriodKey("2024-01-25T19:55:39+03:00", "month"), "2024-01");
+
+        const [history] = calculateProductsPriceHistory([
+            { product_id: 1, product_name: "A", price: 100, discount: 0, quantity: 2, date_create: "2024-01-22T10:00:00+03:00" },
+            { product_id: 1, product_name: "A", price: 200, discount: 10, quantity: 1, date_create: "2024-01-28T10:00:00+03:00" },
+            { product_id: 1, product_name: "A", price: 150, discount: 0, quantity: 1, date_create: "2024-01-29T10:00:00+03:00" }
+        ], "week");
+        assert.deepEqual(history.series.map(item => [item.period, item.count, item.avg_price, item.weighted_avg_price, item.total]), [
+            ["2024-01-22", 2, 150, 133.33, 390],
+            ["2024-01-29", 1, 150, 150, 150]
+        ]);
+    });
+
+    it("leaves rows without a price out of the prices", () => {
+        const [history] = calculateProductsPriceHistory([
+            { product_id: 1, product_name: "A", price: 100, discount: 0, quantity: 1, date_create: "2024-01-22T10:00:00+03:00" },
+            { product_id: 1, product_name: "A", price: null, discount: 10, quantity: 5, date_create: "2024-01-23T10:00:00+03:00" },
+            { product_id: 1, product_name: "A", price: null, discount: null, quantity: 1, date_create: "2024-01-29T10:00:00+03:00" }
+        ], "week");
+        assert.deepEqual(history.series.map(item => [item.period, item.count, item.min_price, item.max_price, item.avg_price, item.max_discount, item.quantity]), [
+            ["2024-01-22", 1, 100, 100, 100, 10, 1],
+            ["2024-01-29", 0, null, null, null, 0, 0]
+        ]);
+    });
+
+    it("handles periods with more rows than a call can take arguments", () => {
+        const rows = Array.from({ length: 200000 }, (_, i) => ({ product_id: 1, price: i % 1000, discount: 0, date_create: "2024-01-22" }));
+        const [{ series: [item] }] = calculateProductsPriceHistory(rows, "month");
+        assert.deepEqual([item.count, item.min_price, item.max_price], [200000, 0, 999]);
+    });
+});
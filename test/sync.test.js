@@ -0,0 +1,199 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+
+import { BitrixBatchError } from "../services/bitrix.js";
+import { DealsService } from "../services/deals.js";
+import { SyncService, mapProductRow } from "../services/sync.js";
+import { createTestDb } from "./helpers.js";
+
+const PORTAL = "test";
+const RULES = [{ category_id: 0, price_type: null }];
+
+/**
+ * A DealsService without Bitrix: deals and product rows come from `portal`, deals without rows are missing in Bitrix.
+ */
+function createDealsService(portal) {
+    const dealsService = new DealsService("http://127.0.0.1:1/rest/1/token/");
+    dealsService.getDealsByFilter = async () => portal.deals.map(deal => ({ ID: deal.id, TITLE: deal.title, CATEGORY_ID: "0", CURRENCY_ID: "RUB" }));
+    dealsService.getDealsProductRows = async ids => new Map(ids.map(id => [id, portal.rows[id] || null]));
+    dealsService.getDealById = async id => dealsService.mapDeal({ ID: id, TITLE: "Сделка", CATEGORY_ID: "0", CURRENCY_ID: "RUB" });
+    dealsService.getDealProductRows = async id => portal.rows[id] || [];
+    return dealsService;
+}
+
+function productRow(id, price) {
+    return { ID: id, PRODUCT_ID: 1, PRODUCT_NAME: "Товар", PRICE: price, PRICE_BRUTTO: price, PRICE_NETTO: price, QUANTITY: 1 };
+}
+
+describe("SyncService", () => {
+    let fixture;
+    let db;
+    let portal;
+    let sync;
+
+    before(async () => {
+        fixture = await createTestDb("sync");
+        db = fixture.db;
+    });
+
+    after(() => fixture.cleanup());
+
+    beforeEach(async () => {
+        await db.run("test", "DELETE FROM deals_products");
+        await db.run("test", "DELETE FROM deals");
+        await db.run("test", "DELETE FROM sync_state");
+        portal = { deals: [], rows: {} };
+        sync = new SyncService(db, createDealsService(portal), RULES, PORTAL);
+    });
+
+    const localDeals = async () => (await db.getByFilter("deals", { portal_id: PORTAL })).map(deal => String(deal.id)).sort();
+    const localRows = async () => (await db.getByFilter("deals_products", { portal_id: PORTAL })).map(row => String(row.row_id)).sort();
+
+    it("removes deals that left the selection on a full deals sync", async () => {
+        portal.deals = [{ id: "1", title: "A" }, { id: "2", title: "B" }];
+        portal.rows = { 1: [productRow(11, 100)], 2: [productRow(21, 200)] };
+        await sync.syncDeals({ full: true });
+        await sync.syncProductRows({ full: true });
+
+        portal.deals = [{ id: "1", title: "A" }];
+        const result = await sync.syncDeals({ full: true });
+
+        assert.equal(result.removed, 1);
+        assert.deepEqual(await localDeals(), ["1"]);
+        assert.deepEqual(await localRows(), ["11"]);
+    });
+
+    it("removes deals deleted in Bitrix instead of failing the product rows sync", async () => {
+        portal.deals = [{ id: "1", title: "A" }, { id: "2", title: "B" }];
+        portal.rows = { 1: [productRow(11, 100)], 2: [productRow(21, 200)] };
+        await sync.syncDeals({ full: true });
+        await sync.syncProductRows({ full: true });
+
+        delete portal.rows[2];
+        const result = await sync.syncProductRows({ full: true });
+
+        assert.equal(result.removed, 1);
+        assert.equal(result.rows, 1);
+        assert.deepEqual(await localDeals(), ["1"]);
+        assert.deepEqual(await localRows(), ["11"]);
+    });
+
+    it("stores the deals of an incremental product rows sync with their rows", async () => {
+        await sync.setLastSync("productrows_last_sync", "2024-01-01T00:00:00.000Z");
+        portal.deals = [{ id: "3", title: "C" }];
+        portal.rows = { 3: [productRow(31, 300)] };
+
+        const result = await sync.syncProductRows();
+
+        assert.equal(result.rows, 1);
+        assert.deepEqual(await localDeals(), ["3"]);
+        assert.deepEqual(await localRows(), ["31"]);
+    });
+
+    it("stores a single deal with its product rows", async () => {
+        portal.rows = { 4: [productRow(41, 400), productRow(42, 410)] };
+
+        const result = await sync.syncDeal(4);
+
+        assert.equal(result.stored, true);
+        assert.deepEqual(result.rows, { deleted: 0, inserted: 2 });
+        assert.deepEqual(await localDeals(), ["4"]);
+        assert.deepEqual(await localRows(), ["41", "42"]);
+    });
+
+    it("replaces the stored product rows of a single deal", async () => {
+        portal.rows = { 4: [productRow(41, 400), productRow(42, 410)] };
+        await sync.syncDeal(4);
+
+        portal.rows = { 4: [productRow(43, 420)] };
+        const result = await sync.syncDeal(4);
+
+        assert.deepEqual(result.rows, { deleted: 2, inserted: 1 });
+        assert.deepEqual(await localRows(), ["43"]);
+    });
+});
+
+describe("SyncService.fetchDeals", () => {
+    it("asks Bitrix once per rule for deals modified after the cursor and drops duplicates", async () => {
+        const filters = [];
+        const dealsService = {
+            priceTypeField: "UF_PRICE_TYPE",
+            getDealsByFilter: async filter => {
+                filters.push(filter);
+                return filter.CATEGORY_ID === 68 ? [{ ID: "1" }, { ID: "2" }] : [{ ID: "2" }, { ID: "3" }];
+            },
+            mapDeal: deal => ({ id: deal.ID })
+        };
+        const sync = new SyncService(null, dealsService, [{ category_id: 68, price_type: "616" }, { category_id: 70, price_type: null }], "p1");
+
+        assert.deepEqual(await sync.fetchDeals("2024-03-01T10:00:00.000Z"), [{ id: "1" }, { id: "2" }, { id: "3" }]);
+        assert.deepEqual(filters, [
+            { CATEGORY_ID: 68, UF_PRICE_TYPE: "616", ">DATE_MODIFY": "2024-03-01T10:00:00.000Z" },
+            { CATEGORY_ID: 70, ">DATE_MODIFY": "2024-03-01T10:00:00.000Z" }
+        ]);
+    });
+});
+
+describe("mapProductRow", () => {
+    it("maps a Bitrix product row to a deals_products record", () => {
+        const row = mapProductRow("p1", 5, {
+            ID: 51, PRODUCT_ID: 7, PRODUCT_NAME: "Товар", PRICE_BRUTTO: 120, PRICE_NETTO: 100, PRICE: 108, QUANTITY: 2,
+            DISCOUNT_SUM: 12, DISCOUNT_RATE: 10, DISCOUNT_TYPE_ID: 2, TAX_RATE: 20, TAX_INCLUDED: "Y", MEASURE_NAME: "шт"
+        });
+        assert.deepEqual(row, {
+            portal_id: "p1",
+            deal_id: 5,
+            row_id: 51,
+            product_id: 7,
+            product_name: "Товар",
+            price: 120,
+            price_netto: 100,
+            price_final: 108,
+            quantity: 2,
+            discount: 12,
+            discount_rate: 10,
+            discount_type_id: 2,
+            tax_rate: 20,
+            tax_included: 1,
+            measure_name: "шт"
+        });
+        assert.equal(mapProductRow("p1", 5, { ID: 52, TAX_INCLUDED: "N" }).tax_included, 0);
+        assert.equal(mapProductRow("p1", 5, { ID: 53 }).tax_included, null);
+    });
+});
+
+describe("DealsService.getDealsProductRows", () => {
+    it("returns null for deals not found in Bitrix and rethrows other errors", async () => {
+        const dealsService = new DealsService("http://127.0.0.1:1/rest/1/token/");
+        dealsService.bx.batch = async () => {
+            throw new BitrixBatchError(
+                { deal_2: { error: "NOT_FOUND", error_description: "Not found" } },
+                { deal_1: [productRow(11, 100)] }
+            );
+        };
+        const rows = await dealsService.getDealsProductRows([1, 2]);
+        assert.equal(rows.get(1).length, 1);
+        assert.equal(rows.get(2), null);
+
+        dealsService.bx.batch = async () => {
+            throw new BitrixBatchError({ deal_2: { error: "ACCESS_DENIED", error_description: "Access denied" } }, {});
+        };
+        await assert.rejects(dealsService.getDealsProductRows([1, 2]), BitrixBatchError);
+    });
+
+    it("reports the product rows read so far with the deals done", async () => {
+        const dealsService = new DealsService("http://127.0.0.1:1/rest/1/token/");
+        dealsService.bx.batch = async (commands, { onProgress }) => {
+            const result = { deal_1: [productRow(11, 100), productRow(12, 110)] };
+            onProgress(1, 3, result);
+            Object.assign(result, { deal_2: [], deal_3: [productRow(31, 300)] });
+            onProgress(3, 3, result);
+            return { result: result, total: {} };
+        };
+        const progress = [];
+        await dealsService.getDealsProductRows([1, 2, 3], { onProgress: (...args) => progress.push(args) });
+
+        assert.deepEqual(progress, [[1, 3, 2], [3, 3, 3]]);
+    });
+});
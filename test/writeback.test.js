@@ -0,0 +1,151 @@
+import "../global.js";
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+
+import { WritebackService, formatAnomaliesComment, validateWritebackSettings, DEFAULT_WRITEBACK_SETTINGS } from "../services/writeback.js";
+import { createTestDb } from "./helpers.js";
+
+const FIELD = "UF_CRM_1710140074002";
+
+const ANOMALY = { field: "price", product_name: "Товар", row_id: 31, value: 150, currency_id: "RUB", expected: 110, deviation: 0.3636, z_score: null };
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+}
+
+/**
+ * A DealsService without Bitrix recording the writes, failing them with `failure` if set.
+ */
+function createDealsService() {
+    const dealsService = { calls: [], failure: null };
+    const write = method => async (...args) => {
+        dealsService.calls.push([method, ...args]);
+        if (dealsService.failure) {
+            throw dealsService.failure;
+        }
+        return true;
+    };
+    dealsService.updateDeal = write("crm.deal.update");
+    dealsService.addTimelineComment = write("crm.timeline.comment.add");
+    return dealsService;
+}
+
+describe("validateWritebackSettings", () => {
+    it("accepts the defaults and requires a field to enable the write-back", () => {
+        assert.equal(validateWritebackSettings(DEFAULT_WRITEBACK_SETTINGS), null);
+        assert.equal(validateWritebackSettings({ ...DEFAULT_WRITEBACK_SETTINGS, enabled: true }), "field must be set to enable the write-back");
+        assert.match(validateWritebackSettings({ ...DEFAULT_WRITEBACK_SETTINGS, field: "title; DROP" }), /field must be a Bitrix field name/);
+        assert.match(validateWritebackSettings({ ...DEFAULT_WRITEBACK_SETTINGS, value: "amount" }), /value must be one of/);
+    });
+});
+
+describe("formatAnomaliesComment", () => {
+    it("lists every anomaly with its deviation", () => {
+        assert.equal(
+            formatAnomaliesComment([ANOMALY]),
+            "Цены сделки отличаются от истории продаж:\n- Товар (строка 31): цена 150 RUB, обычно 110 (+36.36%)"
+        );
+    });
+});
+
+describe("WritebackService", () => {
+    let fixture;
+    let db;
+    let writeback;
+    let dealsService;
+
+    before(async () => {
+        fixture = await createTestDb("writeback");
+        db = fixture.db;
+        writeback = new WritebackService(db);
+        await db.insertMultipleInTable("deals", [
+            { portal_id: "p1", id: 1, date_create: daysAgo(20), currency_id: "RUB" },
+            { portal_id: "p1", id: 2, date_create: daysAgo(10), currency_id: "RUB" },
+            { portal_id: "p1", id: 3, date_create: daysAgo(1), currency_id: "RUB" },
+            { portal_id: "p1", id: 4, date_create: daysAgo(1), currency_id: "RUB" }
+        ]);
+        await db.insertMultipleInTable("deals_products", [
+            { portal_id: "p1", deal_id: 1, row_id: 11, product_id: 7, product_name: "Товар", price: 100, price_final: 100, quantity: 1 },
+            { portal_id: "p1", deal_id: 2, row_id: 21, product_id: 7, product_name: "Товар", price: 120, price_final: 120, quantity: 1 },
+            { portal_id: "p1", deal_id: 3, row_id: 31, product_id: 7, product_name: "Товар", price: 150, price_final: 150, quantity: 2 },
+            { portal_id: "p1", deal_id: 4, row_id: 41, product_id: 8, product_name: "Новинка", price: 90, price_final: 90, quantity: 1 }
+        ]);
+    });
+
+    after(() => fixture.cleanup());
+
+    beforeEach(async () => {
+        await db.run("test", "DELETE FROM writeback_log");
+        await db.run("test", "DELETE FROM settings");
+        dealsService = createDealsService();
+    });
+
+    const enable = settings => writeback.saveSettings("p1", { ...DEFAULT_WRITEBACK_SETTINGS, enabled: true, field: FIELD, ...settings });
+
+    it("prices a deal at the recent median of the other deals", async () => {
+        assert.deepEqual(await writeback.computeReference("p1", 3), {
+            reference_price: 220,
+            amount: 300,
+            deviation: 36.36,
+            currency_id: "RUB",
+            complete: true
+        });
+        assert.equal(await writeback.computeReference("p1", 99), null);
+    });
+
+    it("does nothing while disabled", async () => {
+        assert.equal(await writeback.writeDeal("p1", dealsService, 3, [ANOMALY]), null);
+        assert.deepEqual((await writeback.listLog("p1")).entries, []);
+    });
+
+    it("only logs the writes of a dry run", async () => {
+        await enable({ comment: true });
+        const result = await writeback.writeDeal("p1", dealsService, 3, [ANOMALY]);
+
+        assert.equal(result.dry_run, true);
+        assert.deepEqual(result.writes.map(write => [write.method, write.status]), [["crm.deal.update", "dry_run"], ["crm.timeline.comment.add", "dry_run"]]);
+        assert.deepEqual(result.writes[0].params, { id: 3, fields: { [FIELD]: 220 } });
+        assert.deepEqual(dealsService.calls, []);
+    });
+
+    it("writes the deviation and the anomalies comment", async () => {
+        await enable({ value: "deviation", comment: true, dry_run: false });
+        const result = await writeback.writeDeal("p1", dealsService, 3, [ANOMALY]);
+
+        assert.deepEqual(result.writes.map(write => write.status), ["written", "written"]);
+        assert.deepEqual(dealsService.calls, [
+            ["crm.deal.update", 3, { [FIELD]: 36.36 }],
+            ["crm.timeline.comment.add", 3, formatAnomaliesComment([ANOMALY])]
+        ]);
+    });
+
+    it("skips a deal with products without recent history", async () => {
+        await enable({ dry_run: false });
+        const result = await writeback.writeDeal("p1", dealsService, 4, []);
+
+        assert.deepEqual(result.writes.map(write => [write.status, write.error]), [["skipped", "No recent price history for some products of the deal"]]);
+        assert.deepEqual(dealsService.calls, []);
+    });
+
+    it("logs a failed write instead of raising it", async () => {
+        await enable({ dry_run: false });
+        dealsService.failure = new Error("crm.deal.update: Access denied");
+        const result = await writeback.writeDeal("p1", dealsService, 3, null);
+
+        assert.deepEqual(result.writes.map(write => [write.status, write.error]), [["failed", "crm.deal.update: Access denied"]]);
+    });
+
+    it("lists the log entries most recent first", async () => {
+        await enable({ dry_run: false });
+        await writeback.writeDeal("p1", dealsService, 4, []);
+        await writeback.writeDeal("p1", dealsService, 3, []);
+
+        const log = await writeback.listLog("p1");
+        assert.equal(log.total, 2);
+        assert.deepEqual(log.entries.map(entry => [entry.deal_id, entry.status]), [[3, "written"], [4, "skipped"]]);
+        assert.deepEqual(log.entries[0].params, { id: 3, fields: { [FIELD]: 220 } });
+        assert.deepEqual((await writeback.listLog("p1", { status: "skipped" })).entries.map(entry => entry.deal_id), [4]);
+        assert.deepEqual((await writeback.listLog("p1", { dealId: 3 }, 1, 1)).entries, []);
+        assert.equal((await writeback.listLog("p2")).total, 0);
+    });
+});